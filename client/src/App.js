@@ -2,18 +2,23 @@ import { BrowserRouter, Routes, Route } from "react-router-dom";
 
 import AdminIndex from "./pages/admin/AdminIndex";
 import AdminExam from "./pages/admin/AdminExam";
+import AdminQuestionBank from "./pages/admin/AdminQuestionBank";
 import AdminLicense from "./pages/admin/AdminLicense";
 import VideoUpload from "./pages/admin/VideoUpload";
 import AdminTrainingVideos from "./pages/admin/AdminTrainingVideos";
 import AdminResults from "./pages/admin/AdminResults";
 import AdminStudents from "./pages/admin/AdminStudents";
+import AdminStudentDetail from "./pages/admin/AdminStudentDetail";
 import Notifications from "./pages/admin/Notifications";
+import AdminLogin from "./pages/admin/AdminLogin";
+import RequireAdmin from "./pages/admin/RequireAdmin";
 
 import StudentIndex from "./pages/student/StudentIndex";
 import StudentVideos from "./pages/student/StudentVideos";
 import StudentTrainingVideos from "./pages/student/StudentTrainingVideos";
 import StudentExam from "./pages/student/StudentExam";
 import StudentResults from "./pages/student/StudentResults";   // ← Real Results Page
+import StudentProgress from "./pages/student/StudentProgress";
 import StudentProfile from "./pages/student/StudentProfile";
 import StudentNotes from "./pages/student/StudentNotes";
 import StudentLogin from "./pages/student/StudentLogin";
@@ -26,14 +31,17 @@ export default function App() {
       <BrowserRouter>
         <Routes>
           {/* ====================== ADMIN ROUTES ====================== */}
-        <Route path="/admin" element={<AdminIndex />} />
-        <Route path="/admin/videos" element={<VideoUpload />} />
-        <Route path="/admin/training-videos" element={<AdminTrainingVideos />} />
-        <Route path="/admin/exam" element={<AdminExam />} />
-        <Route path="/admin/license" element={<AdminLicense />} />
-        <Route path="/admin/results" element={<AdminResults />} />
-        <Route path="/admin/students" element={<AdminStudents />} />
-        <Route path="/admin/notifications" element={<Notifications />} />
+        <Route path="/admin/login" element={<AdminLogin />} />
+        <Route path="/admin" element={<RequireAdmin><AdminIndex /></RequireAdmin>} />
+        <Route path="/admin/videos" element={<RequireAdmin roles={["instructor"]}><VideoUpload /></RequireAdmin>} />
+        <Route path="/admin/training-videos" element={<RequireAdmin roles={["instructor"]}><AdminTrainingVideos /></RequireAdmin>} />
+        <Route path="/admin/exam" element={<RequireAdmin roles={["instructor"]}><AdminExam /></RequireAdmin>} />
+        <Route path="/admin/question-bank" element={<RequireAdmin roles={["instructor"]}><AdminQuestionBank /></RequireAdmin>} />
+        <Route path="/admin/license" element={<RequireAdmin roles={["super-admin"]}><AdminLicense /></RequireAdmin>} />
+        <Route path="/admin/results" element={<RequireAdmin roles={["instructor", "viewer"]}><AdminResults /></RequireAdmin>} />
+        <Route path="/admin/students" element={<RequireAdmin roles={["super-admin"]}><AdminStudents /></RequireAdmin>} />
+        <Route path="/admin/students/:mobile" element={<RequireAdmin roles={["super-admin"]}><AdminStudentDetail /></RequireAdmin>} />
+        <Route path="/admin/notifications" element={<RequireAdmin roles={["super-admin"]}><Notifications /></RequireAdmin>} />
         
         {/* ====================== STUDENT ROUTES ====================== */}
         <Route path="/student/login" element={<StudentLogin />} />
@@ -45,6 +53,7 @@ export default function App() {
         <Route path="/student/videos/:subject" element={<SubjectVideos />} />
         {/* ✅ Real Results Page (no more Coming Soon) */}
         <Route path="/student/results" element={<StudentResults />} />
+        <Route path="/student/progress" element={<StudentProgress />} />
         <Route path="/student/profile" element={<StudentProfile />} />
 
         {/* Default Route */}
@@ -1,8 +1,11 @@
-import { useState, useEffect, useRef } from "react";
-import { FiUpload, FiTrash2, FiCalendar, FiClock, FiEdit2, FiSave, FiX, FiList, FiArrowLeft, FiCheckCircle, FiAlertCircle, FiRadio  } from "react-icons/fi";
-import { useNavigate } from "react-router-dom";
+import { useState, useEffect, useRef, useCallback } from "react";
+import { FiUpload, FiTrash2, FiCalendar, FiClock, FiEdit2, FiSave, FiX, FiList, FiArrowLeft, FiCheckCircle, FiAlertCircle, FiRadio, FiDownload } from "react-icons/fi";
+import { useNavigate, useLocation } from "react-router-dom";
+import { adminHeaders, downloadAdminFile } from "../../utils/adminAuth";
+import BatchPicker, { useBatches, batchNames } from "./BatchPicker";
 
 const API = "https://academy-backend-e02j.onrender.com/api/exam";
+const JOBS_API = "https://academy-backend-e02j.onrender.com/api/jobs";
 
 const TABS = [
   { id: "upload",    label: "Upload",    icon: <FiUpload size={14}/> },
@@ -10,53 +13,98 @@ const TABS = [
   { id: "scheduled", label: "Scheduled", icon: <FiCalendar size={14}/> },
 ];
 
+// When students may see the archived question paper and answer key
+const PAPER_RELEASE = [
+  { id: "never",        label: "Keep hidden" },
+  { id: "after-expiry", label: "After the exam ends" },
+  { id: "at",           label: "At a set time" },
+];
+
+const toLocalInput = (d) => {
+  if (!d) return "";
+  const date = new Date(d);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const releaseLabel = (e) =>
+  e.paperRelease === "at" && e.paperReleaseAt
+    ? `Release at ${new Date(e.paperReleaseAt).toLocaleString()}`
+    : (PAPER_RELEASE.find((p) => p.id === e.paperRelease) || PAPER_RELEASE[1]).label;
+
+// Question / option order is shuffled per student on the server
+const shuffleLabel = ({ shuffleQuestions, shuffleOptions }) =>
+  shuffleQuestions && shuffleOptions ? "Questions and options shuffled per student"
+    : shuffleQuestions ? "Questions shuffled per student"
+    : shuffleOptions ? "Options shuffled per student"
+    : "Same order for everyone";
+
+const DIFFICULTY_OPTIONS = [
+  { id: "",       label: "Difficulty —" },
+  { id: "easy",   label: "Easy" },
+  { id: "medium", label: "Medium" },
+  { id: "hard",   label: "Hard" },
+];
+const DIFFICULTY_COLORS = { easy: "#3fb950", medium: "#f0a500", hard: "#f85149" };
+
+const markingLabel = (m) => `+${Number(m.perCorrect)} correct · ${Number(m.perWrong) ? `−${Number(m.perWrong)}` : "no penalty"} wrong`;
+
+const maxScore = (questions, m) =>
+  Math.round(questions.reduce((sum, q) => sum + Number(q.marks ?? m.perCorrect), 0) * 100) / 100;
+
+const releaseBody = ({ paperRelease, paperReleaseAt }) => ({
+  paperRelease,
+  paperReleaseAt: paperRelease === "at" && paperReleaseAt ? new Date(paperReleaseAt).toISOString() : undefined,
+});
+
 export default function AdminExam() {
   const navigate = useNavigate();
-  const [tab, setTab] = useState("upload");
-  const [liveStatus, setLiveStatus] = useState(null);
+  const location = useLocation();
+  const [tab, setTab] = useState(location.state?.tab || "upload");
+  const [active, setActive] = useState({ live: [], upcoming: [] });
   const [license, setLicense] = useState(null);
-  const [countdown, setCountdown] = useState("");
+  const [now, setNow] = useState(Date.now());
   const timerRef = useRef(null);
 
   useEffect(() => {
     checkStatus();
     fetchLicense();
+    timerRef.current = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timerRef.current);
   }, []);
 
   const fetchLicense = async () => {
     try {
-      const r = await fetch(`${API}/license`);
+      const r = await fetch(`${API}/license`, { headers: adminHeaders() });
       const data = await r.json();
       setLicense(data);
     } catch {}
   };
 
-  const checkStatus = async () => {
+  const checkStatus = useCallback(async () => {
     try {
-      const r = await fetch(`${API}/active-exam`);
+      const r = await fetch(`${API}/active-exams`, { headers: adminHeaders() });
       const d = await r.json();
-      setLiveStatus(d);
-      startStatusCountdown(d);
+      if (r.ok) setActive(d);
     } catch {}
-  };
+  }, []);
+
+  // Re-check as soon as any live exam ends or an upcoming one starts
+  const activeExams = [...active.live, ...active.upcoming];
+  const nextChange = Math.min(...active.live.map((e) => new Date(e.expiresAt).getTime()), ...active.upcoming.map((e) => new Date(e.scheduledAt).getTime()));
+  const hasActive = activeExams.length > 0;
+  useEffect(() => {
+    if (hasActive && now >= nextChange + 1000) checkStatus();
+  }, [now, hasActive, nextChange, checkStatus]);
 
-  const startStatusCountdown = (data) => {
-    clearInterval(timerRef.current);
-    if (!data || data.state === "none") return;
-    const target = data.state === "live" ? new Date(data.exam.expiresAt) : new Date(data.exam.scheduledAt);
-    const tick = () => {
-      const diff = Math.max(0, Math.floor((target - new Date()) / 1000));
-      const h = Math.floor(diff / 3600), m = Math.floor((diff % 3600) / 60), s = diff % 60;
-      setCountdown(`${String(h).padStart(2,"0")}:${String(m).padStart(2,"0")}:${String(s).padStart(2,"0")}`);
-      if (diff === 0) { clearInterval(timerRef.current); setTimeout(checkStatus, 1000); }
-    };
-    tick();
-    timerRef.current = setInterval(tick, 1000);
+  const countdown = (target) => {
+    const diff = Math.max(0, Math.floor((new Date(target) - now) / 1000));
+    const h = Math.floor(diff / 3600), m = Math.floor((diff % 3600) / 60), sec = diff % 60;
+    return `${String(h).padStart(2,"0")}:${String(m).padStart(2,"0")}:${String(sec).padStart(2,"0")}`;
   };
 
   const cancelExam = async (id) => {
     if (!window.confirm("Cancel this exam?")) return;
-    await fetch(`${API}/cancel-exam/${id}`, { method: "POST" });
+    await fetch(`${API}/cancel-exam/${id}`, { method: "POST", headers: adminHeaders() });
     checkStatus();
   };
 
@@ -116,33 +164,41 @@ export default function AdminExam() {
               </div>
             </div>
           )}
-          {liveStatus && liveStatus.state !== "none" && (
-            <div style={{ ...s.statusBadge, background: liveStatus.state === "live" ? "rgba(63,185,80,0.15)" : "rgba(240,165,0,0.15)", borderColor: liveStatus.state === "live" ? "#3fb950" : "#f0a500", color: liveStatus.state === "live" ? "#3fb950" : "#f0a500" }} className="adminExamStatusBadge">
+          {active.live.length > 0 && (
+            <div style={{ ...s.statusBadge, background: "rgba(63,185,80,0.15)", borderColor: "#3fb950", color: "#3fb950" }} className="adminExamStatusBadge">
               <div style={{ width: 7, height: 7, borderRadius: "50%", background: "currentColor", animation: "pulse 1.5s infinite" }} />
-              {liveStatus.state === "live" ? "LIVE" : "SCHEDULED"}
+              {active.live.length} LIVE
+            </div>
+          )}
+          {active.upcoming.length > 0 && (
+            <div style={{ ...s.statusBadge, background: "rgba(240,165,0,0.15)", borderColor: "#f0a500", color: "#f0a500" }} className="adminExamStatusBadge">
+              {active.upcoming.length} SCHEDULED
             </div>
           )}
         </div>
       </div>
 
-      {/* LIVE STATUS PANEL */}
-      {liveStatus && liveStatus.state !== "none" && (
-        <div style={{ ...s.statusPanel, borderColor: liveStatus.state === "live" ? "rgba(63,185,80,0.4)" : "rgba(240,165,0,0.35)", background: liveStatus.state === "live" ? "rgba(63,185,80,0.07)" : "rgba(240,165,0,0.06)" }} className="adminExamStatusPanel">
-          <div style={s.statusPanelHeader}>
-            <FiRadio size={16} color={liveStatus.state === "live" ? "#3fb950" : "#f0a500"} />
-            <span style={{ ...s.statusPanelTitle, color: liveStatus.state === "live" ? "#3fb950" : "#f0a500" }}>
-              {liveStatus.state === "live" ? "🟢 Exam is LIVE" : "📅 Exam Scheduled"}
-            </span>
-          </div>
-          <div style={s.statusPanelName}>{liveStatus.exam.title} · {liveStatus.exam.subject} · Test #{liveStatus.exam.testNumber}</div>
-          <div style={s.countdownBox}>
-            <div style={s.countdownLabel}>{liveStatus.state === "live" ? "Time Remaining" : "Starts In"}</div>
-            <div style={{ ...s.countdownTime, color: liveStatus.state === "live" ? "#3fb950" : "#f0a500" }} className="adminExamCountDownTime">{countdown}</div>
+      {/* LIVE / UPCOMING STATUS PANELS */}
+      {activeExams.map((exam) => {
+        const isLive = exam.status === "live";
+        return (
+          <div key={exam._id} style={{ ...s.statusPanel, borderColor: isLive ? "rgba(63,185,80,0.4)" : "rgba(240,165,0,0.35)", background: isLive ? "rgba(63,185,80,0.07)" : "rgba(240,165,0,0.06)" }} className="adminExamStatusPanel">
+            <div style={s.statusPanelHeader}>
+              <FiRadio size={16} color={isLive ? "#3fb950" : "#f0a500"} />
+              <span style={{ ...s.statusPanelTitle, color: isLive ? "#3fb950" : "#f0a500" }}>
+                {isLive ? "🟢 Exam is LIVE" : "📅 Exam Scheduled"}
+              </span>
+            </div>
+            <div style={s.statusPanelName}>{exam.title} · {exam.subject} · Test #{exam.testNumber}</div>
+            <div style={s.countdownBox}>
+              <div style={s.countdownLabel}>{isLive ? "Time Remaining" : "Starts In"}</div>
+              <div style={{ ...s.countdownTime, color: isLive ? "#3fb950" : "#f0a500" }} className="adminExamCountDownTime">{countdown(isLive ? exam.expiresAt : exam.scheduledAt)}</div>
+            </div>
+            <div style={s.statusMeta}>{exam.totalQuestions} questions · {exam.durationMinutes} mins</div>
+            <button style={s.btnDanger} onClick={() => cancelExam(exam._id)}>Cancel Exam</button>
           </div>
-          <div style={s.statusMeta}>{liveStatus.exam.totalQuestions} questions · {liveStatus.exam.durationMinutes} mins</div>
-          <button style={s.btnDanger} onClick={() => cancelExam(liveStatus.exam._id)}>Cancel Exam</button>
-        </div>
-      )}
+        );
+      })}
 
       {/* TABS */}
       <div style={s.tabBar} className="adminExamTabBar">
@@ -169,6 +225,25 @@ function UploadTab({ onDone }) {
   const [file, setFile] = useState(null);
   const [loading, setLoading] = useState(false);
   const [msg, setMsg] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [skipErrors, setSkipErrors] = useState(false);
+  const [addToBank, setAddToBank] = useState(true);
+
+  const chooseFile = (f) => { setFile(f); setPreview(null); setSkipErrors(false); setMsg(null); };
+
+  const handlePreview = async () => {
+    if (!file) return setMsg({ type: "error", text: "Select an Excel file" });
+    setLoading(true); setMsg(null);
+    const fd = new FormData();
+    fd.append("examFile", file);
+    try {
+      const r = await fetch(`${API}/preview-exam`, { method: "POST", headers: adminHeaders(), body: fd });
+      const d = await r.json();
+      if (r.ok) setPreview(d);
+      else setMsg({ type: "error", text: d.error || "Preview failed" });
+    } catch { setMsg({ type: "error", text: "Server error" }); }
+    setLoading(false);
+  };
 
   const handleSubmit = async () => {
     if (!form.title || !form.subject || !form.testNumber) return setMsg({ type: "error", text: "Fill all fields" });
@@ -177,18 +252,26 @@ function UploadTab({ onDone }) {
     const fd = new FormData();
     fd.append("examFile", file);
     Object.entries(form).forEach(([k, v]) => fd.append(k, v));
+    fd.append("skipErrors", skipErrors);
+    fd.append("addToBank", addToBank);
     try {
-      const r = await fetch(`${`${API}/upload-exam`}`, { method: "POST", body: fd });
+      const r = await fetch(`${`${API}/upload-exam`}`, { method: "POST", headers: adminHeaders(), body: fd });
       const d = await r.json();
       if (r.ok) {
-        setMsg({ type: "success", text: `✅ ${d.totalQuestions} questions saved as draft!` });
-        setForm({ title: "", subject: "", testNumber: "" }); setFile(null);
+        const banked = d.bank?.added ? ` ${d.bank.added} new in the question bank.` : "";
+        setMsg({ type: "success", text: `✅ ${d.totalQuestions} questions saved as draft!${banked}` });
+        setForm({ title: "", subject: "", testNumber: "" }); setFile(null); setPreview(null); setSkipErrors(false);
         setTimeout(onDone, 1500);
-      } else setMsg({ type: "error", text: d.error || "Upload failed" });
+      } else {
+        if (d.report) setPreview({ summary: d.summary, report: d.report });
+        setMsg({ type: "error", text: d.error || "Upload failed" });
+      }
     } catch { setMsg({ type: "error", text: "Server error" }); }
     setLoading(false);
   };
 
+  const hasErrors = preview?.summary.errors > 0;
+
   return (
     <div>
       <DarkCard title="Upload Excel Question Paper" icon="📊">
@@ -201,20 +284,41 @@ function UploadTab({ onDone }) {
         <div style={{ ...s.uploadZone, borderColor: file ? "#1f6feb" : "#30363d" }} className="adminExamUploadZone" onClick={() => document.getElementById("xlFile").click()}>
           <FiUpload size={24} color={file ? "#1f6feb" : "#8b949e"} />
           <span style={{ fontSize: "0.85rem", color: file ? "#1f6feb" : "#8b949e", marginTop: 6 }}>{file ? file.name : "Click to choose Excel (.xlsx/.xls)"}</span>
-          <input id="xlFile" type="file" accept=".xlsx,.xls" style={{ display: "none" }} onChange={(e) => setFile(e.target.files[0])} />
+          <input id="xlFile" type="file" accept=".xlsx,.xls" style={{ display: "none" }} onChange={(e) => chooseFile(e.target.files[0])} />
         </div>
 
+        {hasErrors && (
+          <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: "0.85rem", color: "#8b949e", marginBottom: 12, cursor: "pointer" }}>
+            <input type="checkbox" checked={skipErrors} onChange={(e) => setSkipErrors(e.target.checked)} />
+            Skip the {preview.summary.errors} row{preview.summary.errors > 1 ? "s" : ""} with errors and import the rest
+          </label>
+        )}
+
+        <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: "0.85rem", color: "#8b949e", marginBottom: 12, cursor: "pointer" }}>
+          <input type="checkbox" checked={addToBank} onChange={(e) => setAddToBank(e.target.checked)} />
+          Also save these questions to the question bank
+        </label>
+
         {msg && <Alert msg={msg} />}
-        <button style={s.btnAccent} onClick={handleSubmit} disabled={loading}><FiUpload size={14}/> {loading ? "Processing..." : "Upload & Save Draft"}</button>
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          <button style={{ ...s.btnAccent, background: "#21262d", border: "1px solid #30363d" }} onClick={handlePreview} disabled={loading || !file}><FiList size={14}/> Check File</button>
+          <button style={{ ...s.btnAccent, opacity: !preview || (hasErrors && !skipErrors) ? 0.5 : 1 }} onClick={handleSubmit} disabled={loading || !preview || (hasErrors && !skipErrors)}>
+            <FiUpload size={14}/> {loading ? "Processing..." : "Upload & Save Draft"}
+          </button>
+        </div>
+        {!preview && file && <div style={{ ...s.draftMeta, marginTop: 8 }}>Check the file first to review how each row will be imported.</div>}
       </DarkCard>
 
+      {preview && <ImportReport summary={preview.summary} report={preview.report} />}
+
       <DarkCard title="Excel Format Guide" icon="📋">
         <div style={{ overflowX: "auto" }}>
           <table style={s.guideTable}>
-            <thead><tr>{["Col A: Q.No","Col B: Question","Col C: A","Col D: B","Col E: C","Col F: D","Col G: Answer"].map(h=><th key={h} style={s.guideTh}>{h}</th>)}</tr></thead>
-            <tbody><tr><td style={s.guideTd}>1</td><td style={s.guideTd}>What is 2+2?</td><td style={s.guideTd}>2</td><td style={s.guideTd}>4</td><td style={s.guideTd}>6</td><td style={s.guideTd}>8</td><td style={s.guideTd}>B</td></tr></tbody>
+            <thead><tr>{["Col A: Q.No","Col B: Question","Col C: A","Col D: B","Col E: C","Col F: D","Col G: Answer","Col H: Explanation","Col I: Topic","Col J: Difficulty"].map(h=><th key={h} style={s.guideTh}>{h}</th>)}</tr></thead>
+            <tbody><tr><td style={s.guideTd}>1</td><td style={s.guideTd}>What is 2+2?</td><td style={s.guideTd}>2</td><td style={s.guideTd}>4</td><td style={s.guideTd}>6</td><td style={s.guideTd}>8</td><td style={s.guideTd}>B</td><td style={s.guideTd}>2 + 2 = 4</td><td style={s.guideTd}>Arithmetic</td><td style={s.guideTd}>Easy</td></tr></tbody>
           </table>
         </div>
+        <div style={{ ...s.draftMeta, marginTop: 10 }}>Columns H–J are optional. Difficulty can be Easy, Medium or Hard (or E/M/H).</div>
       </DarkCard>
     </div>
   );
@@ -227,13 +331,15 @@ function DraftsTab({ onScheduled }) {
   const [selected, setSelected] = useState(null);
   const [questions, setQuestions] = useState([]);
   const [editing, setEditing] = useState(null);
-  const [schedForm, setSchedForm] = useState({ scheduledAt: "", durationMinutes: "" });
+  const [marking, setMarking] = useState({ perCorrect: 1, perWrong: 0 });
+  const [schedForm, setSchedForm] = useState({ scheduledAt: "", durationMinutes: "", graceSeconds: "60", paperRelease: "after-expiry", paperReleaseAt: "", shuffleQuestions: false, shuffleOptions: false, batches: [] });
+  const { batches } = useBatches();
   const [msg, setMsg] = useState(null);
   const [showSched, setShowSched] = useState(false);
 
   const load = async () => {
     setLoading(true);
-    try { const r = await fetch(`${API}/drafts`); setDrafts(await r.json()); } catch {}
+    try { const r = await fetch(`${API}/drafts`, { headers: adminHeaders() }); setDrafts(await r.json()); } catch {}
     setLoading(false);
   };
 
@@ -241,24 +347,25 @@ function DraftsTab({ onScheduled }) {
 
   const selectDraft = async (id) => {
     try {
-      const r = await fetch(`${API}/drafts/${id}`);
+      const r = await fetch(`${API}/drafts/${id}`, { headers: adminHeaders() });
       const d = await r.json();
-      setSelected(d); setQuestions(d.questions); setEditing(null); setShowSched(true);
+      setSelected(d); setQuestions(d.questions); setMarking(d.marking || { perCorrect: 1, perWrong: 0 }); setEditing(null); setShowSched(true);
     } catch { setMsg({ type: "error", text: "Failed to load draft" }); }
   };
 
   const deleteDraft = async (id) => {
     if (!window.confirm("Delete this draft?")) return;
-    await fetch(`${API}/drafts/${id}`, { method: "DELETE" });
+    await fetch(`${API}/drafts/${id}`, { method: "DELETE", headers: adminHeaders() });
     if (selected?._id === id) { setSelected(null); setShowSched(false); }
     load();
   };
 
   const saveEdits = async () => {
     try {
-      const r = await fetch(`${API}/drafts/${selected._id}`, { method: "PUT", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ questions, totalQuestions: questions.length }) });
+      const r = await fetch(`${API}/drafts/${selected._id}`, { method: "PUT", headers: adminHeaders({ "Content-Type": "application/json" }), body: JSON.stringify({ questions, marking, totalQuestions: questions.length }) });
+      const d = await r.json();
       if (r.ok) setMsg({ type: "success", text: "Changes saved!" });
-      else setMsg({ type: "error", text: "Save failed" });
+      else setMsg({ type: "error", text: d.error || "Save failed" });
     } catch { setMsg({ type: "error", text: "Error" }); }
   };
 
@@ -268,13 +375,13 @@ function DraftsTab({ onScheduled }) {
     try {
       const scheduledDate = new Date(schedForm.scheduledAt).toISOString();
       const r = await fetch(`${API}/schedule/${selected._id}`, {
-        method: "POST", headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ scheduledAt: scheduledDate, durationMinutes: Number(schedForm.durationMinutes) }),
+        method: "POST", headers: adminHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify({ scheduledAt: scheduledDate, durationMinutes: Number(schedForm.durationMinutes), graceSeconds: schedForm.graceSeconds, ...releaseBody(schedForm), shuffleQuestions: schedForm.shuffleQuestions, shuffleOptions: schedForm.shuffleOptions, batches: schedForm.batches }),
       });
       const d = await r.json();
       if (r.ok) {
         setMsg({ type: "success", text: `✅ Scheduled! (${d.licenseUsed}/${d.licenseTotal} used)` });
-        setSelected(null); setShowSched(false); load();
+        setSelected(null); setShowSched(false); setSchedForm({ scheduledAt: "", durationMinutes: "", graceSeconds: "60", paperRelease: "after-expiry", paperReleaseAt: "", shuffleQuestions: false, shuffleOptions: false, batches: [] }); load();
         setTimeout(onScheduled, 1500);
       } else setMsg({ type: "error", text: d.error || "Failed" });
     } catch { setMsg({ type: "error", text: "Error" }); }
@@ -301,6 +408,11 @@ function DraftsTab({ onScheduled }) {
 
       {selected && (
         <DarkCard title={`Questions — ${selected.title}`} icon="📝">
+          <div style={s.formGrid}>
+            <DarkField label="Marks per Correct" type="number" value={marking.perCorrect} onChange={(v) => setMarking({ ...marking, perCorrect: v })} placeholder="e.g. 1" />
+            <DarkField label="Penalty per Wrong" type="number" value={marking.perWrong} onChange={(v) => setMarking({ ...marking, perWrong: v })} placeholder="e.g. 0.25" />
+          </div>
+          <div style={{ ...s.draftMeta, marginBottom: 12 }}>Max score {maxScore(questions, marking)} · set marks or penalty on a question to override it.</div>
           <div style={{ maxHeight: 420, overflowY: "auto", display: "flex", flexDirection: "column", gap: 8, paddingRight: 4 }}>
             {questions.map((q, i) => (
               <div key={i} style={{ ...s.qCard, borderColor: editing === i ? "#1f6feb" : "#30363d" }}>
@@ -312,6 +424,10 @@ function DraftsTab({ onScheduled }) {
                     ) : (
                       <div style={s.qTextDisplay}>{q.questionText}</div>
                     )}
+                    {editing !== i && (q.marks != null || q.penalty != null) && (
+                      <div style={{ ...s.draftMeta, marginBottom: 6, color: "#f0a500" }}>{markingLabel({ perCorrect: q.marks ?? marking.perCorrect, perWrong: q.penalty ?? marking.perWrong })}</div>
+                    )}
+                    {editing !== i && <QuestionTags q={q} />}
                     <div style={s.qOptions} className="adminExamQOptions">
                       {["A","B","C","D"].map((opt) => (
                         <div key={opt} style={{ ...s.qOpt, borderColor: q.correctAnswer === opt ? "#3fb950" : "#30363d", background: q.correctAnswer === opt ? "rgba(63,185,80,0.08)" : "transparent" }}>
@@ -325,11 +441,24 @@ function DraftsTab({ onScheduled }) {
                       ))}
                     </div>
                     {editing === i && (
-                      <div style={{ marginTop: 8, display: "flex", alignItems: "center", gap: 8 }}>
+                      <>
+                        <textarea placeholder="Explanation (shown to students in answer review)" value={q.explanation || ""} onChange={(e) => { const qs = [...questions]; qs[i] = { ...qs[i], explanation: e.target.value }; setQuestions(qs); }} style={{ ...s.qTextArea, marginTop: 8, marginBottom: 0, borderColor: "#30363d" }} />
+                        <div style={{ marginTop: 8, display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+                          <input placeholder="Topic" value={q.topic || ""} onChange={(e) => { const qs = [...questions]; qs[i] = { ...qs[i], topic: e.target.value }; setQuestions(qs); }} style={{ ...s.ansSelect, width: 140 }} />
+                          <select value={q.difficulty || ""} onChange={(e) => { const qs = [...questions]; qs[i] = { ...qs[i], difficulty: e.target.value }; setQuestions(qs); }} style={s.ansSelect}>
+                            {DIFFICULTY_OPTIONS.map((d) => <option key={d.id} value={d.id}>{d.label}</option>)}
+                          </select>
+                        </div>
+                      </>
+                    )}
+                    {editing === i && (
+                      <div style={{ marginTop: 8, display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
                         <label style={{ fontSize: "0.78rem", color: "#8b949e" }}>Answer:</label>
                         <select value={q.correctAnswer} onChange={(e) => { const qs = [...questions]; qs[i] = { ...qs[i], correctAnswer: e.target.value }; setQuestions(qs); }} style={s.ansSelect}>
                           {["A","B","C","D"].map(o => <option key={o} value={o}>{o}</option>)}
                         </select>
+                        <input type="number" placeholder={`Marks (${marking.perCorrect})`} value={q.marks ?? ""} onChange={(e) => { const qs = [...questions]; qs[i] = { ...qs[i], marks: e.target.value === "" ? null : Number(e.target.value) }; setQuestions(qs); }} style={{ ...s.ansSelect, width: 90 }} />
+                        <input type="number" placeholder={`Penalty (${marking.perWrong})`} value={q.penalty ?? ""} onChange={(e) => { const qs = [...questions]; qs[i] = { ...qs[i], penalty: e.target.value === "" ? null : Number(e.target.value) }; setQuestions(qs); }} style={{ ...s.ansSelect, width: 90 }} />
                         <button style={s.btnSmAccent} onClick={() => setEditing(null)}><FiCheckCircle size={12}/> Done</button>
                       </div>
                     )}
@@ -349,12 +478,28 @@ function DraftsTab({ onScheduled }) {
           <div style={s.formGrid}>
             <DarkField label="Start Date & Time" type="datetime-local" value={schedForm.scheduledAt} onChange={(v) => setSchedForm({ ...schedForm, scheduledAt: v })} />
             <DarkField label="Duration (minutes)" type="number" value={schedForm.durationMinutes} onChange={(v) => setSchedForm({ ...schedForm, durationMinutes: v })} placeholder="e.g. 60" />
+            <DarkField label="Late Grace (seconds)" type="number" value={schedForm.graceSeconds} onChange={(v) => setSchedForm({ ...schedForm, graceSeconds: v })} placeholder="e.g. 60" />
           </div>
+          <ReleaseFields value={schedForm} onChange={(v) => setSchedForm({ ...schedForm, ...v })} />
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 16, marginBottom: 12 }}>
+            {[["shuffleQuestions", "Shuffle question order"], ["shuffleOptions", "Shuffle options A–D"]].map(([k, label]) => (
+              <label key={k} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: "0.85rem", color: "#8b949e", cursor: "pointer" }}>
+                <input type="checkbox" checked={schedForm[k]} onChange={(e) => setSchedForm({ ...schedForm, [k]: e.target.checked })} />
+                {label}
+              </label>
+            ))}
+          </div>
+          <BatchPicker dark batches={batches} value={schedForm.batches} onChange={(v) => setSchedForm({ ...schedForm, batches: v })} />
           {schedForm.scheduledAt && schedForm.durationMinutes && (
             <div style={s.schedPreview}>
               <strong style={{ color: "#f0a500" }}>📅 Start:</strong> {new Date(schedForm.scheduledAt).toLocaleString()}<br />
               <strong style={{ color: "#f0a500" }}>⏱ Duration:</strong> {schedForm.durationMinutes} minutes<br />
-              <strong style={{ color: "#f0a500" }}>🔴 End:</strong> {new Date(new Date(schedForm.scheduledAt).getTime() + Number(schedForm.durationMinutes) * 60000).toLocaleString()}
+              <strong style={{ color: "#f0a500" }}>🔴 End:</strong> {new Date(new Date(schedForm.scheduledAt).getTime() + Number(schedForm.durationMinutes) * 60000).toLocaleString()}<br />
+              <strong style={{ color: "#f0a500" }}>🧮 Marking:</strong> {markingLabel(marking)} · max {maxScore(questions, marking)}<br />
+              <strong style={{ color: "#f0a500" }}>⌛ Late submissions:</strong> accepted and flagged up to {Number(schedForm.graceSeconds) || 0}s after a student's time runs out<br />
+              <strong style={{ color: "#f0a500" }}>📄 Paper & key:</strong> {releaseLabel(schedForm)}<br />
+              <strong style={{ color: "#f0a500" }}>🔀 Order:</strong> {shuffleLabel(schedForm)}<br />
+              <strong style={{ color: "#f0a500" }}>👥 For:</strong> {batchNames(batches.filter((b) => schedForm.batches.includes(b._id)))}
             </div>
           )}
           {msg && <Alert msg={msg} />}
@@ -369,10 +514,15 @@ function DraftsTab({ onScheduled }) {
 function ScheduledTab({ onCancel }) {
   const [exams, setExams] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [releaseEdit, setReleaseEdit] = useState(null);
+  const [paper, setPaper] = useState(null);
+  const [regrading, setRegrading] = useState(null);
+  const [picked, setPicked] = useState([]);
+  const [msg, setMsg] = useState(null);
 
   const load = async () => {
     setLoading(true);
-    try { const r = await fetch(`${API}/scheduled-exams`); setExams(await r.json()); } catch {}
+    try { const r = await fetch(`${API}/scheduled-exams`, { headers: adminHeaders() }); setExams(await r.json()); } catch {}
     setLoading(false);
   };
 
@@ -380,17 +530,59 @@ function ScheduledTab({ onCancel }) {
 
   const cancel = async (id) => {
     if (!window.confirm("Cancel this exam?")) return;
-    await fetch(`${API}/cancel-exam/${id}`, { method: "POST" });
+    await fetch(`${API}/cancel-exam/${id}`, { method: "POST", headers: adminHeaders() });
     load(); onCancel();
   };
 
+  const saveRelease = async () => {
+    try {
+      const r = await fetch(`${API}/scheduled-exams/${releaseEdit.id}/release`, {
+        method: "PUT", headers: adminHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify(releaseBody(releaseEdit)),
+      });
+      const d = await r.json();
+      if (r.ok) {
+        setExams(exams.map((e) => e._id === releaseEdit.id ? { ...e, paperRelease: d.paperRelease, paperReleaseAt: d.paperReleaseAt } : e));
+        setReleaseEdit(null); setMsg(null);
+      } else setMsg({ type: "error", text: d.error || "Failed" });
+    } catch { setMsg({ type: "error", text: "Error" }); }
+  };
+
+  const togglePaper = async (id) => {
+    if (paper?._id === id) return setPaper(null);
+    try {
+      const r = await fetch(`${API}/scheduled-exams/${id}`, { headers: adminHeaders() });
+      if (r.ok) setPaper(await r.json());
+    } catch {}
+  };
+
   const statusColor = { scheduled: "#f0a500", live: "#3fb950", ended: "#8b949e" };
 
+  const togglePick = (id) => setPicked(picked.includes(id) ? picked.filter((x) => x !== id) : [...picked, id]);
+  // papers with keys, or result sheets with answers; one sheet per picked exam
+  const exportPicked = async (kind) => {
+    setMsg(null);
+    const err = await downloadAdminFile(`${API}/export/${kind}?examIds=${picked.join(",")}`, `${kind}.xlsx`);
+    if (err) setMsg({ type: "error", text: err });
+  };
+
   return (
+    <>
+    <JobsCard onRun={load} />
     <DarkCard title="All Scheduled Exams" icon="📅">
+      {picked.length > 0 && (
+        <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", marginBottom: 12 }}>
+          <span style={s.draftMeta}>{picked.length} selected</span>
+          <button style={s.btnSmAccent} onClick={() => exportPicked("papers")}><FiDownload size={12}/> Papers & keys</button>
+          <button style={s.btnSmAccent} onClick={() => exportPicked("results")}><FiDownload size={12}/> Results</button>
+          <button style={s.btnSmDanger} onClick={() => setPicked([])}><FiX size={12}/></button>
+        </div>
+      )}
+      {!releaseEdit && msg && <Alert msg={msg} />}
       {loading ? <Loader /> : exams.length === 0 ? <Empty text="No scheduled exams yet." /> : (
         exams.map((e) => (
           <div key={e._id} style={s.draftItem}>
+            {!e.questionsDeleted && <input type="checkbox" checked={picked.includes(e._id)} onChange={() => togglePick(e._id)} title="Select for export" />}
             <div style={s.draftInfo}>
               <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 4 }}>
                 <span style={s.draftTitle}>{e.title}</span>
@@ -398,14 +590,208 @@ function ScheduledTab({ onCancel }) {
               </div>
               <div style={s.draftMeta}>{e.subject} · Test #{e.testNumber} · {e.totalQuestions} Qs · {e.durationMinutes} min</div>
               <div style={s.draftMeta}>{new Date(e.scheduledAt).toLocaleString()}</div>
+              <div style={s.draftMeta}>👥 {batchNames(e.batches)}</div>
+              {e.marking && <div style={s.draftMeta}>🧮 {markingLabel(e.marking)}</div>}
+              <div style={s.draftMeta}>📄 {e.questionsDeleted ? "Paper deleted" : releaseLabel(e)}</div>
+              {(e.shuffleQuestions || e.shuffleOptions) && <div style={s.draftMeta}>🔀 {shuffleLabel(e)}</div>}
+              {releaseEdit?.id === e._id && (
+                <div style={{ marginTop: 10 }}>
+                  <ReleaseFields value={releaseEdit} onChange={(v) => setReleaseEdit({ ...releaseEdit, ...v })} />
+                  {msg && <Alert msg={msg} />}
+                  <div style={{ display: "flex", gap: 6 }}>
+                    <button style={s.btnSmAccent} onClick={saveRelease}><FiSave size={12}/> Save</button>
+                    <button style={s.btnSmDanger} onClick={() => { setReleaseEdit(null); setMsg(null); }}><FiX size={12}/></button>
+                  </div>
+                </div>
+              )}
+              {paper?._id === e._id && <PaperView questions={paper.questions} />}
+              {regrading === e._id && <RegradePanel examId={e._id} onClose={() => setRegrading(null)} />}
+            </div>
+            <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+              {!e.questionsDeleted && (
+                <>
+                  <button style={s.btnSmAccent} onClick={() => togglePaper(e._id)}>{paper?._id === e._id ? "Hide" : "Paper"}</button>
+                  <button style={s.btnSmAccent} onClick={() => setReleaseEdit({ id: e._id, paperRelease: e.paperRelease || "after-expiry", paperReleaseAt: toLocalInput(e.paperReleaseAt) })}>Release</button>
+                </>
+              )}
+              {e.status === "ended" && !e.questionsDeleted && (
+                <button style={s.btnSmAccent} onClick={() => setRegrading(regrading === e._id ? null : e._id)}>{regrading === e._id ? "Close" : "Re-grade"}</button>
+              )}
+              {(e.status === "scheduled" || e.status === "live") && (
+                <button style={s.btnSmDanger} onClick={() => cancel(e._id)}>Cancel</button>
+              )}
             </div>
-            {(e.status === "scheduled" || e.status === "live") && (
-              <button style={s.btnSmDanger} onClick={() => cancel(e._id)}>Cancel</button>
-            )}
           </div>
         ))
       )}
     </DarkCard>
+    </>
+  );
+}
+
+// ─── RE-GRADE ──────────────────────────────────
+const ADJUSTMENTS = [
+  { id: "", label: "Counts" },
+  { id: "dropped", label: "Dropped (nobody gets marks)" },
+  { id: "bonus", label: "Bonus (everyone gets marks)" },
+];
+const adjustmentLabel = (id) => (id ? id.charAt(0).toUpperCase() + id.slice(1) : "Counts");
+const changeText = (c) => (c.field === "correctAnswer" ? `Q${c.questionNumber} key ${c.from} → ${c.to}` : `Q${c.questionNumber} ${adjustmentLabel(c.from)} → ${adjustmentLabel(c.to)}`);
+
+function RegradePanel({ examId, onClose }) {
+  const [exam, setExam] = useState(null);
+  const [edits, setEdits] = useState({});
+  const [reason, setReason] = useState("");
+  const [history, setHistory] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const [er, hr] = await Promise.all([
+        fetch(`${API}/scheduled-exams/${examId}`, { headers: adminHeaders() }),
+        fetch(`${API}/scheduled-exams/${examId}/regrades`, { headers: adminHeaders() }),
+      ]);
+      if (er.ok) setExam(await er.json());
+      if (hr.ok) setHistory(await hr.json());
+    } catch {}
+  }, [examId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const valueOf = (q, field) => edits[q._id]?.[field] ?? (field === "adjustment" ? q.adjustment || "" : q.correctAnswer);
+  const setEdit = (q, field, value) => setEdits({ ...edits, [q._id]: { ...edits[q._id], [field]: value } });
+
+  const changes = exam ? exam.questions
+    .map((q) => ({ questionId: q._id, correctAnswer: valueOf(q, "correctAnswer"), adjustment: valueOf(q, "adjustment"), q }))
+    .filter((c) => c.correctAnswer !== c.q.correctAnswer || c.adjustment !== (c.q.adjustment || ""))
+    .map(({ q, ...c }) => c) : [];
+
+  const apply = async () => {
+    if (!reason.trim()) return setMsg({ type: "error", text: "Give a reason for the re-grade" });
+    if (!window.confirm(`Apply ${changes.length} change${changes.length > 1 ? "s" : ""} and re-score every result for this exam?`)) return;
+    setSaving(true); setMsg(null);
+    try {
+      const r = await fetch(`${API}/scheduled-exams/${examId}/regrade`, {
+        method: "POST", headers: adminHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify({ changes, reason }),
+      });
+      const d = await r.json();
+      if (r.ok) {
+        setMsg({ type: "success", text: `✅ ${d.regrade.resultsUpdated} results re-scored · ${d.regrade.affected.length} students' scores changed` });
+        setEdits({}); setReason(""); load();
+      } else setMsg({ type: "error", text: d.error || "Failed" });
+    } catch { setMsg({ type: "error", text: "Server error" }); }
+    setSaving(false);
+  };
+
+  if (!exam) return <Loader />;
+
+  return (
+    <div style={{ marginTop: 10 }}>
+      <div style={{ maxHeight: 360, overflowY: "auto", display: "flex", flexDirection: "column", gap: 6 }}>
+        {exam.questions.map((q) => {
+          const changed = changes.some((c) => c.questionId === q._id);
+          return (
+            <div key={q._id} style={{ ...s.qCard, borderColor: changed ? "#f0a500" : "#30363d" }}>
+              <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                <div style={s.qNum}>{q.questionNumber}</div>
+                <div style={{ flex: 1, minWidth: 0, fontSize: "0.82rem", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{q.questionText}</div>
+                <select value={valueOf(q, "correctAnswer")} onChange={(e) => setEdit(q, "correctAnswer", e.target.value)} style={s.ansSelect}>
+                  {["A","B","C","D"].filter((o) => q.options?.[o]).map((o) => <option key={o} value={o}>{o}</option>)}
+                </select>
+                <select value={valueOf(q, "adjustment")} onChange={(e) => setEdit(q, "adjustment", e.target.value)} style={s.ansSelect}>
+                  {ADJUSTMENTS.map((a) => <option key={a.id} value={a.id}>{a.label}</option>)}
+                </select>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      <div style={{ marginTop: 10 }}>
+        <DarkField label="Reason" value={reason} onChange={setReason} placeholder="e.g. Q12 key was misprinted" />
+      </div>
+      {msg && <Alert msg={msg} />}
+      <div style={{ display: "flex", gap: 6 }}>
+        <button style={{ ...s.btnSmAccent, opacity: changes.length && !saving ? 1 : 0.5 }} disabled={!changes.length || saving} onClick={apply}>
+          {saving ? "Re-grading..." : changes.length ? `Apply ${changes.length} change${changes.length > 1 ? "s" : ""}` : "No changes"}
+        </button>
+        <button style={s.btnSmDanger} onClick={onClose}><FiX size={12}/></button>
+      </div>
+      {history.length > 0 && (
+        <div style={{ marginTop: 12 }}>
+          <label style={s.fieldLabel}>Re-grade History</label>
+          {history.map((h) => (
+            <div key={h._id} style={{ ...s.draftMeta, borderTop: "1px solid #30363d", padding: "6px 0" }}>
+              <div style={{ color: "#e6edf3" }}>{new Date(h.createdAt).toLocaleString()} · {h.admin?.name || h.admin?.username}</div>
+              <div>{h.reason}</div>
+              <div>{h.changes.map(changeText).join(" · ")}</div>
+              <div>{h.resultsUpdated} results re-scored · {h.affected.length} changed</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── BACKGROUND JOBS ───────────────────────────
+const resultText = (r) => (r ? Object.entries(r).map(([k, v]) => `${k} ${v}`).join(" · ") : "—");
+
+function JobsCard({ onRun }) {
+  const [status, setStatus] = useState(null);
+  const [running, setRunning] = useState(null);
+  const [msg, setMsg] = useState(null);
+
+  const load = async () => {
+    try {
+      const r = await fetch(JOBS_API, { headers: adminHeaders() });
+      if (r.ok) setStatus(await r.json());
+    } catch {}
+  };
+
+  useEffect(() => {
+    load();
+    const t = setInterval(load, 15000);
+    return () => clearInterval(t);
+  }, []);
+
+  const run = async (name) => {
+    setRunning(name); setMsg(null);
+    try {
+      const r = await fetch(`${JOBS_API}/${name}/run`, { method: "POST", headers: adminHeaders() });
+      const d = await r.json();
+      if (r.ok) { setStatus(d); onRun(); }
+      else setMsg({ type: "error", text: d.error || "Failed" });
+    } catch { setMsg({ type: "error", text: "Server error" }); }
+    setRunning(null);
+  };
+
+  if (!status) return null;
+
+  return (
+    <DarkCard title="Background Jobs" icon="⚙️">
+      {!status.started && <div style={{ ...s.draftMeta, color: "#f0a500", marginBottom: 8 }}>Scheduler is not running on this server — jobs only run when triggered here.</div>}
+      {status.jobs.map((j) => (
+        <div key={j.name} style={s.draftItem}>
+          <div style={s.draftInfo}>
+            <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 2 }}>
+              <span style={s.draftTitle}>{j.name}</span>
+              {j.lastError && <span style={{ ...s.qTag, color: "#f85149", borderColor: "#f85149" }}>failed</span>}
+            </div>
+            <div style={s.draftMeta}>{j.description} · every {Math.round(j.intervalMs / 1000)}s</div>
+            <div style={s.draftMeta}>
+              {j.lastRunAt ? `Last run ${new Date(j.lastRunAt).toLocaleTimeString()} (${j.lastDurationMs}ms) · ${resultText(j.lastResult)}` : "Not run yet"}
+            </div>
+            {j.lastError && <div style={{ ...s.draftMeta, color: "#f85149" }}>{j.lastError}</div>}
+          </div>
+          <button style={{ ...s.btnSmAccent, opacity: running || j.running ? 0.5 : 1 }} disabled={!!running || j.running} onClick={() => run(j.name)}>
+            {running === j.name || j.running ? "Running..." : "Run now"}
+          </button>
+        </div>
+      ))}
+      {msg && <Alert msg={msg} />}
+    </DarkCard>
   );
 }
 
@@ -426,6 +812,96 @@ function DarkField({ label, value, onChange, placeholder, type = "text" }) {
     </div>
   );
 }
+function ReleaseFields({ value, onChange }) {
+  return (
+    <div style={s.formGrid}>
+      <div style={{ marginBottom: 12, flex: 1 }}>
+        <label style={s.fieldLabel}>Release Paper & Key</label>
+        <select value={value.paperRelease} onChange={(e) => onChange({ paperRelease: e.target.value })} style={s.darkInput}>
+          {PAPER_RELEASE.map((p) => <option key={p.id} value={p.id}>{p.label}</option>)}
+        </select>
+      </div>
+      {value.paperRelease === "at" && (
+        <DarkField label="Release At" type="datetime-local" value={value.paperReleaseAt} onChange={(v) => onChange({ paperReleaseAt: v })} />
+      )}
+    </div>
+  );
+}
+function PaperView({ questions }) {
+  if (!questions?.length) return <Empty text="No questions in this paper." />;
+  return (
+    <div style={{ maxHeight: 360, overflowY: "auto", display: "flex", flexDirection: "column", gap: 8, marginTop: 10 }}>
+      {questions.map((q, i) => (
+        <div key={q._id || i} style={{ ...s.qCard, borderColor: "#30363d" }}>
+          <div style={{ display: "flex", gap: 8, alignItems: "flex-start" }}>
+            <div style={s.qNum}>{q.questionNumber || i + 1}</div>
+            <div style={{ flex: 1 }}>
+              <div style={s.qTextDisplay}>{q.questionText}</div>
+              <QuestionTags q={q} />
+              <div style={s.qOptions} className="adminExamQOptions">
+                {["A","B","C","D"].map((opt) => (
+                  <div key={opt} style={{ ...s.qOpt, borderColor: q.correctAnswer === opt ? "#3fb950" : "#30363d", background: q.correctAnswer === opt ? "rgba(63,185,80,0.08)" : "transparent" }}>
+                    <span style={{ ...s.qOptLetter, color: q.correctAnswer === opt ? "#3fb950" : "#8b949e" }}>{opt}</span>
+                    <span style={{ fontSize: "0.8rem" }}>{q.options?.[opt]}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+const REPORT_COLORS = { accepted: "#3fb950", skipped: "#8b949e", error: "#f85149" };
+
+function ImportReport({ summary, report }) {
+  const [show, setShow] = useState(summary.errors > 0 ? "error" : "all");
+  const rows = show === "all" ? report : report.filter((r) => r.status === show);
+  return (
+    <DarkCard title="Import Check" icon="🔍">
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 12 }}>
+        {[["all", `All ${summary.rows}`], ["accepted", `✓ ${summary.accepted} accepted`], ["skipped", `⊘ ${summary.skipped} skipped`], ["error", `✕ ${summary.errors} errors`]].map(([id, label]) => (
+          <button key={id} onClick={() => setShow(id)} style={{ ...s.qTag, cursor: "pointer", fontFamily: "inherit", textTransform: "none", fontSize: "0.78rem", padding: "4px 10px", background: show === id ? "#21262d" : "transparent", color: REPORT_COLORS[id] || "#e6edf3", borderColor: show === id ? "#58a6ff" : "#30363d" }}>{label}</button>
+        ))}
+      </div>
+      {rows.length === 0 ? <Empty text="Nothing here." /> : (
+        <div style={{ overflowX: "auto", maxHeight: 360, overflowY: "auto" }}>
+          <table style={s.guideTable}>
+            <thead><tr>{["Row", "Q.No", "Status", "Question / Reason"].map((h) => <th key={h} style={s.guideTh}>{h}</th>)}</tr></thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.row}>
+                  <td style={s.guideTd}>{r.row}</td>
+                  <td style={s.guideTd}>{r.questionNumber ?? "—"}</td>
+                  <td style={{ ...s.guideTd, color: REPORT_COLORS[r.status], fontWeight: 600, textTransform: "capitalize" }}>{r.status}</td>
+                  <td style={s.guideTd}>
+                    {r.questionText && <div>{r.questionText}</div>}
+                    {r.reason && <div style={{ color: REPORT_COLORS[r.status], fontSize: "0.74rem" }}>{r.reason}</div>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </DarkCard>
+  );
+}
+function QuestionTags({ q }) {
+  if (!q.topic && !q.difficulty && !q.explanation) return null;
+  return (
+    <div style={{ marginBottom: 8 }}>
+      {(q.topic || q.difficulty) && (
+        <div style={{ display: "flex", gap: 6, marginBottom: 4 }}>
+          {q.topic && <span style={s.qTag}>{q.topic}</span>}
+          {q.difficulty && <span style={{ ...s.qTag, color: DIFFICULTY_COLORS[q.difficulty], borderColor: DIFFICULTY_COLORS[q.difficulty] }}>{q.difficulty}</span>}
+        </div>
+      )}
+      {q.explanation && <div style={s.draftMeta}>💡 {q.explanation}</div>}
+    </div>
+  );
+}
 function Alert({ msg }) {
   return (
     <div style={{ display: "flex", alignItems: "center", gap: 8, padding: "10px 14px", borderRadius: 8, border: `1px solid ${msg.type === "success" ? "#238636" : "#da3633"}`, background: msg.type === "success" ? "rgba(35,134,54,0.15)" : "rgba(218,54,51,0.15)", color: msg.type === "success" ? "#3fb950" : "#f85149", fontSize: "0.88rem", margin: "12px 0" }}>
@@ -494,6 +970,7 @@ const s = {
   qOptLetter: { fontWeight: 700, fontSize: "0.72rem", minWidth: 12 },
   optInput: { flex: 1, background: "#21262d", border: "none", color: "#e6edf3", fontSize: "0.78rem", fontFamily: "inherit", outline: "none", width: "100%" },
   ansSelect: { background: "#21262d", border: "1px solid #30363d", borderRadius: 6, color: "#e6edf3", padding: "4px 8px", fontSize: "0.82rem", fontFamily: "inherit" },
+  qTag: { fontSize: "0.68rem", fontWeight: 600, padding: "1px 8px", borderRadius: 20, border: "1px solid #30363d", color: "#8b949e", textTransform: "capitalize" },
   editIconBtn: { background: "none", border: "none", color: "#8b949e", cursor: "pointer", padding: 4, flexShrink: 0 },
 
   schedPreview: { background: "#21262d", border: "1px solid rgba(240,165,0,0.2)", borderRadius: 8, padding: "12px 14px", fontSize: "0.83rem", color: "#8b949e", lineHeight: 1.8, marginBottom: 14 },
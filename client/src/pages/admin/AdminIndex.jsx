@@ -1,14 +1,23 @@
 import { useNavigate } from "react-router-dom";
-import { FiVideo, FiTarget, FiClipboard, FiBarChart2, FiUsers, FiBell, FiChevronRight, FiSettings, FiShield } from "react-icons/fi";
+import { FiVideo, FiTarget, FiClipboard, FiDatabase, FiBarChart2, FiUsers, FiBell, FiChevronRight, FiSettings, FiShield, FiLogOut } from "react-icons/fi";
+import { getAdminSession, clearAdminSession, hasRole, ROLE_LABELS } from "../../utils/adminAuth";
 
 export default function AdminIndex() {
   const navigate = useNavigate();
+  const session = getAdminSession();
+  const role = session?.role;
+
+  const logout = () => {
+    clearAdminSession();
+    navigate("/admin/login", { replace: true });
+  };
 
   const menuItems = [
     { 
       icon: <FiVideo size={28} />, 
       label: "Class Videos", 
       path: "/admin/videos", 
+      roles: ["instructor"],
       color1: "#3b82f6",
       color2: "#1d4ed8"
     },
@@ -16,6 +25,7 @@ export default function AdminIndex() {
       icon: <FiTarget size={28} />, 
       label: "Training", 
       path: "/admin/training-videos", 
+      roles: ["instructor"],
       color1: "#10b981",
       color2: "#059669"
     },
@@ -23,13 +33,23 @@ export default function AdminIndex() {
       icon: <FiClipboard size={28} />, 
       label: "Exam Manager", 
       path: "/admin/exam", 
+      roles: ["instructor"],
       color1: "#f59e0b",
       color2: "#d97706"
     },
+    { 
+      icon: <FiDatabase size={28} />, 
+      label: "Question Bank", 
+      path: "/admin/question-bank", 
+      roles: ["instructor"],
+      color1: "#14b8a6",
+      color2: "#0d9488"
+    },
     { 
       icon: <FiBarChart2 size={28} />, 
       label: "Results", 
       path: "/admin/results", 
+      roles: ["instructor", "viewer"],
       color1: "#a855f7",
       color2: "#7c3aed"
     },
@@ -37,6 +57,7 @@ export default function AdminIndex() {
       icon: <FiUsers size={28} />, 
       label: "Students", 
       path: "/admin/students", 
+      roles: ["super-admin"],
       color1: "#ec4899",
       color2: "#db2777"
     },
@@ -44,6 +65,7 @@ export default function AdminIndex() {
       icon: <FiBell size={28} />, 
       label: "Notifications", 
       path: "/admin/notifications", 
+      roles: ["super-admin"],
       color1: "#f97316",
       color2: "#ea580c"
     },
@@ -52,10 +74,13 @@ export default function AdminIndex() {
       icon: <FiSettings size={28} />, 
       label: "Settings", 
       path: "/admin/settings", 
+      roles: ["super-admin"],
       color1: "#06b6d4",
       color2: "#0891b2"
     },
-  ];
+  ].filter((item) => hasRole(role, item.roles));
+
+  const canSchedule = hasRole(role, ["instructor"]);
 
   return (
     <div style={{
@@ -82,17 +107,17 @@ export default function AdminIndex() {
             </div>
             <div>
               <h1 style={styles.headerTitle}>GP Soldier Academy</h1>
-              <p style={styles.headerSubtitle}>Admin Panel</p>
+              <p style={styles.headerSubtitle}>Admin Panel · {session?.name}</p>
             </div>
           </div>
 
           <div style={styles.headerActions}>
             <div style={styles.adminBadge}>
               <FiShield size={14} color="#fff" />
-              <span>Admin</span>
+              <span>{ROLE_LABELS[role] || "Admin"}</span>
             </div>
-            <button style={styles.bellButton}>
-              <FiBell size={20} color="#fff" />
+            <button style={styles.bellButton} onClick={logout} title="Logout">
+              <FiLogOut size={20} color="#fff" />
             </button>
           </div>
         </div>
@@ -105,20 +130,22 @@ export default function AdminIndex() {
             <h3 style={styles.bannerTitle}>Manage Academy</h3>
             <p style={styles.bannerText}>Upload content, schedule exams & view reports</p>
           </div>
-          <button
-            onClick={() => navigate("/admin/exam")}
-            style={styles.bannerButton}
-            onMouseEnter={(e) => {
-              e.currentTarget.style.transform = "translateY(-2px)";
-              e.currentTarget.style.boxShadow = "0 8px 16px rgba(30, 77, 107, 0.25)";
-            }}
-            onMouseLeave={(e) => {
-              e.currentTarget.style.transform = "translateY(0)";
-              e.currentTarget.style.boxShadow = "0 4px 8px rgba(30, 77, 107, 0.15)";
-            }}
-          >
-            New Exam <FiChevronRight size={14} style={{ marginLeft: 4 }} />
-          </button>
+          {canSchedule && (
+            <button
+              onClick={() => navigate("/admin/exam")}
+              style={styles.bannerButton}
+              onMouseEnter={(e) => {
+                e.currentTarget.style.transform = "translateY(-2px)";
+                e.currentTarget.style.boxShadow = "0 8px 16px rgba(30, 77, 107, 0.25)";
+              }}
+              onMouseLeave={(e) => {
+                e.currentTarget.style.transform = "translateY(0)";
+                e.currentTarget.style.boxShadow = "0 4px 8px rgba(30, 77, 107, 0.15)";
+              }}
+            >
+              New Exam <FiChevronRight size={14} style={{ marginLeft: 4 }} />
+            </button>
+          )}
         </div>
 
         {/* Menu Grid */}
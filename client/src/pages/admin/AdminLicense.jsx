@@ -1,6 +1,7 @@
 import { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { FiShield, FiArrowLeft, FiCheckCircle, FiAlertCircle, FiTrendingUp, FiTrendingDown, FiMinus } from "react-icons/fi";
+import { adminHeaders } from "../../utils/adminAuth";
 
 const API = "https://academy-backend-e02j.onrender.com/api/exam";
 
@@ -17,7 +18,7 @@ export default function AdminLicense() {
 
   const fetchLicense = async () => {
     try {
-      const r = await fetch(`${API}/license`);
+      const r = await fetch(`${API}/license`, { headers: adminHeaders() });
       const data = await r.json();
       setLicense(data);
       setNewLimit(data.totalAllowed.toString());
@@ -38,7 +39,7 @@ export default function AdminLicense() {
     try {
       const r = await fetch(`${API}/license`, {
         method: "PUT",
-        headers: { "Content-Type": "application/json" },
+        headers: adminHeaders({ "Content-Type": "application/json" }),
         body: JSON.stringify({ totalAllowed: Number(newLimit) })
       });
 
@@ -0,0 +1,170 @@
+import { useState, useEffect } from "react";
+import { useNavigate, useLocation } from "react-router-dom";
+import { FiShield, FiAlertCircle } from "react-icons/fi";
+import { getAdminSession, saveAdminSession } from "../../utils/adminAuth";
+
+const API = "https://academy-backend-e02j.onrender.com/api/admin";
+
+export default function AdminLogin() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [loginForm, setLoginForm] = useState({ username: "", password: "" });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const from = location.state?.from?.pathname || "/admin";
+
+  useEffect(() => {
+    if (getAdminSession()) navigate(from, { replace: true });
+  }, [navigate, from]);
+
+  const doLogin = async () => {
+    setError("");
+    if (!loginForm.username || !loginForm.password) {
+      return setError("Enter username and password");
+    }
+    setLoading(true);
+    try {
+      const res = await fetch(`${API}/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(loginForm),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        saveAdminSession(data);
+        navigate(from, { replace: true });
+      } else {
+        setError(data.error || "Login failed");
+      }
+    } catch {
+      setError("Connection error");
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.card}>
+        <div style={styles.header}>
+          <div style={styles.logoCircle}>
+            <FiShield size={28} color="white" />
+          </div>
+          <h1 style={styles.title}>GP Soldier Academy</h1>
+          <p style={styles.subtitle}>Admin Panel</p>
+        </div>
+
+        <div style={styles.form}>
+          {error && (
+            <div style={styles.alert}>
+              <FiAlertCircle size={16} />
+              <span style={{ marginLeft: 8 }}>{error}</span>
+            </div>
+          )}
+
+          <input
+            style={styles.input}
+            type="text"
+            placeholder="Username"
+            autoComplete="username"
+            value={loginForm.username}
+            onChange={(e) => setLoginForm({ ...loginForm, username: e.target.value })}
+            onKeyPress={(e) => e.key === "Enter" && doLogin()}
+          />
+          <input
+            style={styles.input}
+            type="password"
+            placeholder="Password"
+            autoComplete="current-password"
+            value={loginForm.password}
+            onChange={(e) => setLoginForm({ ...loginForm, password: e.target.value })}
+            onKeyPress={(e) => e.key === "Enter" && doLogin()}
+          />
+          <button style={styles.btnPrimary} onClick={doLogin} disabled={loading}>
+            {loading ? "Please wait..." : "Login"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    minHeight: "100vh",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    background: "linear-gradient(135deg, #1e3a5f 0%, #2d5f4f 50%, #1e3a5f 100%)",
+    fontFamily: "'Segoe UI', 'Roboto', sans-serif",
+    padding: "20px",
+  },
+  card: {
+    background: "white",
+    borderRadius: "16px",
+    boxShadow: "0 20px 40px rgba(0,0,0,0.15)",
+    width: "100%",
+    maxWidth: "400px",
+    padding: "40px 32px",
+  },
+  header: {
+    textAlign: "center",
+    marginBottom: "32px",
+  },
+  logoCircle: {
+    width: "64px",
+    height: "64px",
+    borderRadius: "16px",
+    background: "linear-gradient(135deg, #1e3a5f 0%, #2d5f4f 100%)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    margin: "0 auto 16px",
+  },
+  title: {
+    fontSize: "24px",
+    fontWeight: "700",
+    color: "#1e293b",
+    margin: "0 0 8px",
+  },
+  subtitle: {
+    fontSize: "15px",
+    color: "#64748b",
+    margin: 0,
+  },
+  form: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "18px",
+  },
+  input: {
+    width: "100%",
+    padding: "14px 18px",
+    border: "2px solid #e2e8f0",
+    borderRadius: "12px",
+    fontSize: "16px",
+    outline: "none",
+    boxSizing: "border-box",
+  },
+  btnPrimary: {
+    width: "100%",
+    padding: "15px",
+    background: "#1e4d6b",
+    color: "white",
+    border: "none",
+    borderRadius: "12px",
+    fontSize: "16px",
+    fontWeight: "600",
+    cursor: "pointer",
+  },
+  alert: {
+    padding: "12px 16px",
+    borderRadius: "8px",
+    display: "flex",
+    alignItems: "center",
+    fontSize: "14px",
+    fontWeight: "500",
+    background: "#fee2e2",
+    color: "#dc2626",
+  },
+};
@@ -0,0 +1,477 @@
+import { useState, useEffect, useCallback } from "react";
+import { FiArrowLeft, FiSearch, FiTrash2, FiEdit2, FiSave, FiX, FiUpload, FiLayers, FiPlus, FiCheckCircle, FiAlertCircle, FiDatabase } from "react-icons/fi";
+import { useNavigate } from "react-router-dom";
+import { adminHeaders } from "../../utils/adminAuth";
+
+const API = "https://academy-backend-e02j.onrender.com/api/question-bank";
+
+const TABS = [
+  { id: "browse",   label: "Browse",   icon: <FiSearch size={14}/> },
+  { id: "import",   label: "Import",   icon: <FiUpload size={14}/> },
+  { id: "assemble", label: "Assemble", icon: <FiLayers size={14}/> },
+];
+
+const DIFFICULTY_OPTIONS = [
+  { id: "",       label: "Any difficulty" },
+  { id: "easy",   label: "Easy" },
+  { id: "medium", label: "Medium" },
+  { id: "hard",   label: "Hard" },
+  { id: "none",   label: "Not tagged" },
+];
+const DIFFICULTY_COLORS = { easy: "#3fb950", medium: "#f0a500", hard: "#f85149" };
+const EMPTY_RULE = { subject: "", topic: "", difficulty: "", count: "" };
+
+const unique = (list) => [...new Set(list.filter(Boolean))].sort();
+
+// How many bank questions match a subject / topic / difficulty combination
+const available = (groups, { subject, topic, difficulty }) =>
+  groups
+    .filter((g) => (!subject || g.subject === subject) && (!topic || g.topic === topic) && (!difficulty || g.difficulty === difficulty))
+    .reduce((sum, g) => sum + g.count, 0);
+
+export default function AdminQuestionBank() {
+  const navigate = useNavigate();
+  const [tab, setTab] = useState("browse");
+  const [facets, setFacets] = useState({ groups: [], sources: [] });
+  const [selected, setSelected] = useState([]);
+
+  const fetchFacets = useCallback(async () => {
+    try {
+      const r = await fetch(`${API}/facets`, { headers: adminHeaders() });
+      if (r.ok) setFacets(await r.json());
+    } catch {}
+  }, []);
+
+  useEffect(() => { fetchFacets(); }, [fetchFacets]);
+
+  const total = available(facets.groups, {});
+  const toggle = (id) => setSelected((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+
+  return (
+    <div style={s.root}>
+      <div style={s.header}>
+        <button style={s.backBtn} onClick={() => navigate("/admin")}><FiArrowLeft size={20} /></button>
+        <span style={s.headerTitle}>QUESTION BANK</span>
+        <div style={{ ...s.statusBadge, borderColor: "#30363d", color: "#8b949e" }}><FiDatabase size={12}/> {total} questions</div>
+        {selected.length > 0 && (
+          <div style={{ ...s.statusBadge, borderColor: "#1f6feb", color: "#58a6ff" }}>{selected.length} selected</div>
+        )}
+      </div>
+
+      <div style={s.tabBar}>
+        {TABS.map((t) => (
+          <button key={t.id} onClick={() => setTab(t.id)} style={{ ...s.tabBtn, ...(tab === t.id ? s.tabActive : {}) }}>
+            {t.icon}<span style={{ marginLeft: 5 }}>{t.label}</span>
+          </button>
+        ))}
+      </div>
+
+      <div style={s.body}>
+        {tab === "browse"   && <BrowseTab facets={facets} selected={selected} onToggle={toggle} onChanged={fetchFacets} />}
+        {tab === "import"   && <ImportTab onDone={() => { fetchFacets(); setTab("browse"); }} />}
+        {tab === "assemble" && (
+          <AssembleTab
+            facets={facets}
+            selected={selected}
+            onClearSelected={() => setSelected([])}
+            onDone={() => navigate("/admin/exam", { state: { tab: "drafts" } })}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── BROWSE TAB ────────────────────────────────
+function BrowseTab({ facets, selected, onToggle, onChanged }) {
+  const [filters, setFilters] = useState({ search: "", subject: "", topic: "", difficulty: "", source: "" });
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ questions: [], total: 0, pages: 0 });
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [msg, setMsg] = useState(null);
+
+  const fetchQuestions = useCallback(async () => {
+    setLoading(true);
+    const params = new URLSearchParams({ page, limit: 50 });
+    Object.entries(filters).forEach(([k, v]) => { if (v) params.append(k, v); });
+    try {
+      const r = await fetch(`${API}?${params}`, { headers: adminHeaders() });
+      if (r.ok) setData(await r.json());
+    } catch {}
+    setLoading(false);
+  }, [filters, page]);
+
+  useEffect(() => {
+    const t = setTimeout(fetchQuestions, 300);
+    return () => clearTimeout(t);
+  }, [fetchQuestions]);
+
+  const setFilter = (k, v) => {
+    setFilters((f) => ({ ...f, [k]: v, ...(k === "subject" && { topic: "" }) }));
+    setPage(1);
+  };
+
+  const subjects = unique(facets.groups.map((g) => g.subject));
+  const topics = unique(facets.groups.filter((g) => !filters.subject || g.subject === filters.subject).map((g) => g.topic));
+
+  const saveEdit = async () => {
+    setMsg(null);
+    try {
+      const r = await fetch(`${API}/${editing._id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", ...adminHeaders() },
+        body: JSON.stringify(editing),
+      });
+      const d = await r.json();
+      if (!r.ok) return setMsg({ type: "error", text: d.error || "Update failed" });
+      setEditing(null);
+      fetchQuestions();
+      onChanged();
+    } catch { setMsg({ type: "error", text: "Server error" }); }
+  };
+
+  const remove = async (id) => {
+    if (!window.confirm("Delete this question from the bank? Drafts and exams that already use it are not affected.")) return;
+    await fetch(`${API}/${id}`, { method: "DELETE", headers: adminHeaders() });
+    if (selected.includes(id)) onToggle(id);
+    fetchQuestions();
+    onChanged();
+  };
+
+  return (
+    <div>
+      <DarkCard title="Search" icon="🔎">
+        <DarkField value={filters.search} onChange={(v) => setFilter("search", v)} placeholder="Search question text, topic or source..." />
+        <div style={s.formGrid}>
+          <DarkSelect value={filters.subject} onChange={(v) => setFilter("subject", v)} options={[{ id: "", label: "All subjects" }, ...subjects.map((x) => ({ id: x, label: x }))]} />
+          <DarkSelect value={filters.topic} onChange={(v) => setFilter("topic", v)} options={[{ id: "", label: "All topics" }, ...topics.map((x) => ({ id: x, label: x }))]} />
+          <DarkSelect value={filters.difficulty} onChange={(v) => setFilter("difficulty", v)} options={DIFFICULTY_OPTIONS} />
+          <DarkSelect value={filters.source} onChange={(v) => setFilter("source", v)} options={[{ id: "", label: "All sources" }, ...facets.sources.map((x) => ({ id: x, label: x }))]} />
+        </div>
+      </DarkCard>
+
+      {msg && <Alert msg={msg} />}
+
+      <DarkCard title={`Questions (${data.total})`} icon="📚">
+        {loading ? <Loader /> : data.questions.length === 0 ? <Empty text="No questions match. Import a paper to fill the bank." /> : (
+          <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+            {data.questions.map((q) => {
+              const isEditing = editing?._id === q._id;
+              const isSelected = selected.includes(q._id);
+              return (
+                <div key={q._id} style={{ ...s.qCard, borderColor: isSelected ? "#1f6feb" : "#30363d" }}>
+                  <div style={{ display: "flex", gap: 10, alignItems: "flex-start" }}>
+                    <input type="checkbox" checked={isSelected} onChange={() => onToggle(q._id)} style={{ marginTop: 4 }} />
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      {isEditing ? (
+                        <QuestionEditor value={editing} onChange={setEditing} />
+                      ) : (
+                        <>
+                          <div style={s.qText}>{q.questionText}</div>
+                          <div style={s.qOptions}>
+                            {["A", "B", "C", "D"].map((k) => (
+                              <div key={k} style={{ ...s.qOpt, borderColor: q.correctAnswer === k ? "#238636" : "#30363d", color: q.correctAnswer === k ? "#3fb950" : "#c9d1d9" }}>
+                                <span style={s.qOptLetter}>{k}</span>{q.options?.[k]}
+                              </div>
+                            ))}
+                          </div>
+                          <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 8 }}>
+                            <span style={s.qTag}>{q.subject}</span>
+                            {q.topic && <span style={s.qTag}>{q.topic}</span>}
+                            {q.difficulty && <span style={{ ...s.qTag, color: DIFFICULTY_COLORS[q.difficulty], borderColor: DIFFICULTY_COLORS[q.difficulty] }}>{q.difficulty}</span>}
+                            {q.source && <span style={{ ...s.qTag, textTransform: "none" }}>{q.source}</span>}
+                            {q.timesUsed > 0 && <span style={{ ...s.qTag, textTransform: "none" }}>Used {q.timesUsed}×</span>}
+                          </div>
+                        </>
+                      )}
+                    </div>
+                    <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+                      {isEditing ? (
+                        <>
+                          <button style={{ ...s.editIconBtn, color: "#3fb950" }} onClick={saveEdit}><FiSave size={15}/></button>
+                          <button style={s.editIconBtn} onClick={() => setEditing(null)}><FiX size={15}/></button>
+                        </>
+                      ) : (
+                        <>
+                          <button style={s.editIconBtn} onClick={() => setEditing({ ...q, options: { ...q.options } })}><FiEdit2 size={15}/></button>
+                          <button style={{ ...s.editIconBtn, color: "#f85149" }} onClick={() => remove(q._id)}><FiTrash2 size={15}/></button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {data.pages > 1 && (
+          <div style={{ display: "flex", justifyContent: "center", alignItems: "center", gap: 12, marginTop: 14 }}>
+            <button style={{ ...s.btnSmAccent, opacity: page <= 1 ? 0.5 : 1 }} disabled={page <= 1} onClick={() => setPage(page - 1)}>Prev</button>
+            <span style={s.meta}>Page {page} of {data.pages}</span>
+            <button style={{ ...s.btnSmAccent, opacity: page >= data.pages ? 0.5 : 1 }} disabled={page >= data.pages} onClick={() => setPage(page + 1)}>Next</button>
+          </div>
+        )}
+      </DarkCard>
+    </div>
+  );
+}
+
+function QuestionEditor({ value, onChange }) {
+  const set = (k, v) => onChange({ ...value, [k]: v });
+  return (
+    <div>
+      <textarea value={value.questionText} onChange={(e) => set("questionText", e.target.value)} style={s.textArea} />
+      <div style={s.qOptions}>
+        {["A", "B", "C", "D"].map((k) => (
+          <div key={k} style={{ ...s.qOpt, borderColor: "#30363d" }}>
+            <span style={s.qOptLetter}>{k}</span>
+            <input value={value.options?.[k] || ""} onChange={(e) => set("options", { ...value.options, [k]: e.target.value })} style={s.optInput} />
+          </div>
+        ))}
+      </div>
+      <div style={{ ...s.formGrid, marginTop: 8 }}>
+        <DarkSelect value={value.correctAnswer} onChange={(v) => set("correctAnswer", v)} options={["A", "B", "C", "D"].map((k) => ({ id: k, label: `Answer: ${k}` }))} />
+        <DarkSelect value={value.difficulty || ""} onChange={(v) => set("difficulty", v)} options={[{ id: "", label: "Difficulty —" }, ...DIFFICULTY_OPTIONS.slice(1, 4)]} />
+        <DarkField value={value.subject} onChange={(v) => set("subject", v)} placeholder="Subject" />
+        <DarkField value={value.topic || ""} onChange={(v) => set("topic", v)} placeholder="Topic" />
+      </div>
+      <textarea value={value.explanation || ""} onChange={(e) => set("explanation", e.target.value)} placeholder="Explanation (optional)" style={{ ...s.textArea, minHeight: 40 }} />
+    </div>
+  );
+}
+
+// ─── IMPORT TAB ────────────────────────────────
+function ImportTab({ onDone }) {
+  const [form, setForm] = useState({ subject: "", source: "" });
+  const [file, setFile] = useState(null);
+  const [skipErrors, setSkipErrors] = useState(false);
+  const [errorCount, setErrorCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [msg, setMsg] = useState(null);
+
+  const handleImport = async () => {
+    if (!form.subject) return setMsg({ type: "error", text: "Enter the subject for these questions" });
+    if (!file) return setMsg({ type: "error", text: "Select an Excel file" });
+    setLoading(true); setMsg(null);
+    const fd = new FormData();
+    fd.append("examFile", file);
+    fd.append("subject", form.subject);
+    fd.append("source", form.source);
+    fd.append("skipErrors", skipErrors);
+    try {
+      const r = await fetch(`${API}/import`, { method: "POST", headers: adminHeaders(), body: fd });
+      const d = await r.json();
+      if (r.ok) {
+        setMsg({ type: "success", text: `✅ ${d.added} new question${d.added === 1 ? "" : "s"} added${d.existing ? `, ${d.existing} already in the bank` : ""}` });
+        setForm({ subject: "", source: "" }); setFile(null); setSkipErrors(false); setErrorCount(0);
+        setTimeout(onDone, 1500);
+      } else {
+        setErrorCount(d.summary?.errors || 0);
+        setMsg({ type: "error", text: d.error || "Import failed" });
+      }
+    } catch { setMsg({ type: "error", text: "Server error" }); }
+    setLoading(false);
+  };
+
+  return (
+    <DarkCard title="Import Questions into the Bank" icon="📊">
+      <div style={s.formGrid}>
+        <DarkField label="Subject" value={form.subject} onChange={(v) => setForm({ ...form, subject: v })} placeholder="e.g. General Knowledge" />
+        <DarkField label="Source (optional)" value={form.source} onChange={(v) => setForm({ ...form, source: v })} placeholder="e.g. 2024 Model Paper" />
+      </div>
+
+      <div style={{ ...s.uploadZone, borderColor: file ? "#1f6feb" : "#30363d" }} onClick={() => document.getElementById("bankFile").click()}>
+        <FiUpload size={24} color={file ? "#1f6feb" : "#8b949e"} />
+        <span style={{ fontSize: "0.85rem", color: file ? "#1f6feb" : "#8b949e", marginTop: 6 }}>{file ? file.name : "Click to choose Excel (.xlsx/.xls)"}</span>
+        <input id="bankFile" type="file" accept=".xlsx,.xls" style={{ display: "none" }} onChange={(e) => { setFile(e.target.files[0]); setErrorCount(0); setMsg(null); }} />
+      </div>
+
+      {errorCount > 0 && (
+        <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: "0.85rem", color: "#8b949e", marginBottom: 12, cursor: "pointer" }}>
+          <input type="checkbox" checked={skipErrors} onChange={(e) => setSkipErrors(e.target.checked)} />
+          Skip the {errorCount} row{errorCount > 1 ? "s" : ""} with errors and import the rest
+        </label>
+      )}
+
+      {msg && <Alert msg={msg} />}
+      <button style={s.btnAccent} onClick={handleImport} disabled={loading}>
+        <FiUpload size={14}/> {loading ? "Importing..." : "Import to Bank"}
+      </button>
+      <div style={{ ...s.meta, marginTop: 10 }}>
+        Uses the same Excel layout as exam uploads. Questions already in the bank for this subject are skipped.
+      </div>
+    </DarkCard>
+  );
+}
+
+// ─── ASSEMBLE TAB ──────────────────────────────
+function AssembleTab({ facets, selected, onClearSelected, onDone }) {
+  const [form, setForm] = useState({ title: "", subject: "", testNumber: "" });
+  const [rules, setRules] = useState([{ ...EMPTY_RULE }]);
+  const [mix, setMix] = useState({ easy: "", medium: "", hard: "" });
+  const [loading, setLoading] = useState(false);
+  const [msg, setMsg] = useState(null);
+  const [shortfalls, setShortfalls] = useState([]);
+
+  const subjects = unique(facets.groups.map((g) => g.subject));
+  const topicsFor = (subject) => unique(facets.groups.filter((g) => g.subject === subject).map((g) => g.topic));
+  const setRule = (i, patch) => setRules(rules.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+  const activeRules = rules.filter((r) => r.subject && Number(r.count) > 0);
+  const totalQuestions = selected.length + activeRules.reduce((sum, r) => sum + Number(r.count), 0);
+
+  const handleAssemble = async () => {
+    if (!form.title || !form.subject || !form.testNumber) return setMsg({ type: "error", text: "Fill title, subject and test number" });
+    if (totalQuestions === 0) return setMsg({ type: "error", text: "Select questions in Browse or add a rule" });
+    setLoading(true); setMsg(null); setShortfalls([]);
+    try {
+      const r = await fetch(`${API}/assemble`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...adminHeaders() },
+        body: JSON.stringify({
+          ...form,
+          questionIds: selected,
+          rules: activeRules.map((r) => ({ ...r, count: Number(r.count) })),
+          mix: Object.fromEntries(Object.entries(mix).filter(([, v]) => Number(v) > 0).map(([k, v]) => [k, Number(v)])),
+        }),
+      });
+      const d = await r.json();
+      if (r.ok) {
+        setMsg({ type: "success", text: `✅ Draft created with ${d.totalQuestions} questions` });
+        onClearSelected();
+        setTimeout(onDone, 1200);
+      } else {
+        setShortfalls(d.shortfalls || []);
+        setMsg({ type: "error", text: d.error || "Could not assemble exam" });
+      }
+    } catch { setMsg({ type: "error", text: "Server error" }); }
+    setLoading(false);
+  };
+
+  return (
+    <div>
+      <DarkCard title="New Exam Draft" icon="🧩">
+        <div style={s.formGrid}>
+          <DarkField label="Exam Title" value={form.title} onChange={(v) => setForm({ ...form, title: v })} placeholder="e.g. Army GK Mock" />
+          <DarkField label="Subject" value={form.subject} onChange={(v) => setForm({ ...form, subject: v })} placeholder="e.g. Mixed" />
+          <DarkField label="Test Number" value={form.testNumber} type="number" onChange={(v) => setForm({ ...form, testNumber: v })} placeholder="1" />
+        </div>
+        <div style={s.meta}>
+          {selected.length > 0
+            ? <>{selected.length} hand-picked question{selected.length > 1 ? "s" : ""} come first. <button style={s.linkBtn} onClick={onClearSelected}>Clear</button></>
+            : "Tick questions in Browse to hand-pick them, or draw them by rule below."}
+        </div>
+      </DarkCard>
+
+      <DarkCard title="Draw by Rule" icon="🎲">
+        {rules.map((rule, i) => {
+          const avail = rule.subject ? available(facets.groups, rule) : 0;
+          return (
+            <div key={i} style={s.ruleRow}>
+              <DarkSelect value={rule.subject} onChange={(v) => setRule(i, { subject: v, topic: "" })} options={[{ id: "", label: "Subject" }, ...subjects.map((x) => ({ id: x, label: x }))]} />
+              <DarkSelect value={rule.topic} onChange={(v) => setRule(i, { topic: v })} options={[{ id: "", label: "Any topic" }, ...topicsFor(rule.subject).map((x) => ({ id: x, label: x }))]} />
+              <DarkSelect value={rule.difficulty} onChange={(v) => setRule(i, { difficulty: v })} options={[{ id: "", label: "Use mix" }, ...DIFFICULTY_OPTIONS.slice(1, 4)]} />
+              <DarkField value={rule.count} type="number" onChange={(v) => setRule(i, { count: v })} placeholder="Count" />
+              <span style={{ ...s.meta, minWidth: 70, color: rule.subject && Number(rule.count) > avail ? "#f85149" : "#8b949e" }}>{rule.subject ? `${avail} in bank` : ""}</span>
+              <button style={{ ...s.editIconBtn, color: "#f85149" }} onClick={() => setRules(rules.filter((_, j) => j !== i))}><FiX size={15}/></button>
+            </div>
+          );
+        })}
+        <button style={{ ...s.btnSmAccent, background: "#21262d", border: "1px solid #30363d" }} onClick={() => setRules([...rules, { ...EMPTY_RULE }])}><FiPlus size={13}/> Add Rule</button>
+
+        <div style={{ ...s.fieldLabel, marginTop: 18 }}>Difficulty Mix (% of each rule)</div>
+        <div style={s.formGrid}>
+          {["easy", "medium", "hard"].map((level) => (
+            <DarkField key={level} label={level} value={mix[level]} type="number" onChange={(v) => setMix({ ...mix, [level]: v })} placeholder="0" />
+          ))}
+        </div>
+        <div style={s.meta}>Leave blank to draw at random. e.g. Hard 20 = a fifth of each rule is hard, the rest any other level. Rules with a fixed difficulty ignore the mix.</div>
+      </DarkCard>
+
+      {msg && <Alert msg={msg} />}
+      {shortfalls.length > 0 && (
+        <div style={{ ...s.meta, color: "#f85149", marginBottom: 12 }}>
+          {shortfalls.map((f) => <div key={f}>• {f}</div>)}
+        </div>
+      )}
+      <button style={s.btnSchedule} onClick={handleAssemble} disabled={loading}>
+        <FiLayers size={16}/> {loading ? "Assembling..." : `Create Draft (${totalQuestions} questions)`}
+      </button>
+    </div>
+  );
+}
+
+// ─── SHARED COMPONENTS ─────────────────────────
+function DarkCard({ title, icon, children }) {
+  return (
+    <div style={{ ...s.card, borderColor: "#30363d", background: "#161b22" }}>
+      <div style={s.cardTitle}>{icon && <span style={{ marginRight: 7 }}>{icon}</span>}{title}</div>
+      {children}
+    </div>
+  );
+}
+function DarkField({ label, value, onChange, placeholder, type = "text" }) {
+  return (
+    <div style={{ marginBottom: 12, flex: 1 }}>
+      {label && <label style={{ ...s.fieldLabel, textTransform: "uppercase" }}>{label}</label>}
+      <input type={type} value={value} onChange={(e) => onChange(e.target.value)} placeholder={placeholder} style={s.darkInput} />
+    </div>
+  );
+}
+function DarkSelect({ value, onChange, options }) {
+  return (
+    <div style={{ marginBottom: 12, flex: 1 }}>
+      <select value={value} onChange={(e) => onChange(e.target.value)} style={s.darkInput}>
+        {options.map((o) => <option key={o.id} value={o.id}>{o.label}</option>)}
+      </select>
+    </div>
+  );
+}
+function Alert({ msg }) {
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 8, padding: "10px 14px", borderRadius: 8, border: `1px solid ${msg.type === "success" ? "#238636" : "#da3633"}`, background: msg.type === "success" ? "rgba(35,134,54,0.15)" : "rgba(218,54,51,0.15)", color: msg.type === "success" ? "#3fb950" : "#f85149", fontSize: "0.88rem", margin: "12px 0" }}>
+      {msg.type === "success" ? <FiCheckCircle size={14}/> : <FiAlertCircle size={14}/>}
+      {msg.text}
+    </div>
+  );
+}
+function Loader() { return <div style={{ textAlign: "center", padding: 30, color: "#8b949e" }}>Loading...</div>; }
+function Empty({ text }) { return <div style={{ textAlign: "center", padding: 24, color: "#8b949e", fontSize: "0.88rem" }}>{text}</div>; }
+
+const s = {
+  root: { background: "#0d1117", minHeight: "100vh", color: "#e6edf3", fontFamily: "'Inter',sans-serif", paddingBottom: 40 },
+  header: { background: "#161b22", borderBottom: "1px solid #30363d", padding: "14px 18px", display: "flex", alignItems: "center", gap: 12, position: "sticky", top: 0, zIndex: 100 },
+  backBtn: { background: "none", border: "none", color: "#8b949e", cursor: "pointer", display: "flex", padding: 0 },
+  headerTitle: { fontFamily: "'Rajdhani',sans-serif", fontSize: "1.2rem", fontWeight: 700, letterSpacing: 1, flex: 1 },
+  statusBadge: { display: "flex", alignItems: "center", gap: 5, padding: "4px 10px", borderRadius: 20, border: "1px solid", fontSize: "0.72rem", fontWeight: 700 },
+
+  tabBar: { display: "flex", borderBottom: "1px solid #30363d", padding: "0 16px" },
+  tabBtn: { display: "flex", alignItems: "center", padding: "10px 14px", background: "none", border: "none", color: "#8b949e", cursor: "pointer", fontWeight: 600, fontSize: "0.85rem", fontFamily: "inherit", borderBottom: "2px solid transparent", gap: 5 },
+  tabActive: { color: "#58a6ff", borderBottom: "2px solid #58a6ff" },
+  body: { padding: "16px", maxWidth: 900, margin: "0 auto" },
+
+  card: { border: "1px solid", borderRadius: 12, padding: 20, marginBottom: 16 },
+  cardTitle: { fontFamily: "'Rajdhani',sans-serif", fontSize: "1rem", fontWeight: 700, marginBottom: 16, letterSpacing: 0.5 },
+  formGrid: { display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(160px, 1fr))", gap: 12, marginBottom: 4 },
+  fieldLabel: { display: "block", fontSize: "0.75rem", color: "#8b949e", fontWeight: 600, letterSpacing: "0.5px", marginBottom: 5 },
+  darkInput: { width: "100%", background: "#21262d", border: "1px solid #30363d", borderRadius: 8, padding: "9px 12px", color: "#e6edf3", fontSize: "0.9rem", fontFamily: "inherit", outline: "none", boxSizing: "border-box" },
+  uploadZone: { border: "2px dashed", borderRadius: 10, padding: 24, textAlign: "center", cursor: "pointer", display: "flex", flexDirection: "column", alignItems: "center", gap: 4, marginBottom: 12, transition: "border-color 0.2s" },
+  meta: { fontSize: "0.78rem", color: "#8b949e", lineHeight: 1.6 },
+  linkBtn: { background: "none", border: "none", color: "#58a6ff", cursor: "pointer", padding: 0, fontFamily: "inherit", fontSize: "inherit" },
+  ruleRow: { display: "grid", gridTemplateColumns: "1.4fr 1.2fr 1fr 0.7fr auto auto", gap: 8, alignItems: "center" },
+
+  btnAccent: { display: "inline-flex", alignItems: "center", gap: 7, background: "#1f6feb", color: "#fff", border: "none", padding: "10px 18px", borderRadius: 8, fontWeight: 600, fontSize: "0.88rem", cursor: "pointer", fontFamily: "inherit" },
+  btnSmAccent: { display: "inline-flex", alignItems: "center", gap: 4, background: "#1f6feb", color: "#fff", border: "none", padding: "5px 10px", borderRadius: 6, fontWeight: 600, fontSize: "0.78rem", cursor: "pointer", fontFamily: "inherit" },
+  btnSchedule: { display: "flex", alignItems: "center", justifyContent: "center", gap: 8, background: "linear-gradient(135deg,#d29922,#f0a500)", color: "#000", border: "none", padding: "13px", borderRadius: 10, fontWeight: 700, fontSize: "1rem", cursor: "pointer", width: "100%", fontFamily: "inherit" },
+
+  qCard: { background: "#0d1117", border: "1px solid", borderRadius: 10, padding: 12 },
+  qText: { fontSize: "0.88rem", lineHeight: 1.5, marginBottom: 8, color: "#e6edf3" },
+  textArea: { width: "100%", background: "#161b22", border: "1px solid #1f6feb", borderRadius: 6, padding: "7px 10px", color: "#e6edf3", fontSize: "0.85rem", fontFamily: "inherit", resize: "vertical", minHeight: 50, outline: "none", marginBottom: 8, boxSizing: "border-box" },
+  qOptions: { display: "grid", gridTemplateColumns: "1fr 1fr", gap: 5 },
+  qOpt: { background: "transparent", border: "1px solid", borderRadius: 6, padding: "5px 8px", fontSize: "0.78rem", display: "flex", alignItems: "center", gap: 5 },
+  qOptLetter: { fontWeight: 700, fontSize: "0.72rem", minWidth: 12 },
+  optInput: { flex: 1, background: "#21262d", border: "none", color: "#e6edf3", fontSize: "0.78rem", fontFamily: "inherit", outline: "none", width: "100%" },
+  qTag: { fontSize: "0.68rem", fontWeight: 600, padding: "1px 8px", borderRadius: 20, border: "1px solid #30363d", color: "#8b949e", textTransform: "capitalize" },
+  editIconBtn: { background: "none", border: "none", color: "#8b949e", cursor: "pointer", padding: 4, flexShrink: 0 },
+};
@@ -1,10 +1,15 @@
 import { useState, useEffect, useMemo } from "react";
 import { useNavigate } from "react-router-dom";
 import { useToast } from "../../context/ToastContext";
-import { FiArrowLeft, FiDownload, FiSearch, FiFilter } from "react-icons/fi";
+import { FiArrowLeft, FiDownload, FiSearch, FiFilter, FiBarChart2, FiX, FiGrid } from "react-icons/fi";
+import { adminHeaders, downloadAdminFile } from "../../utils/adminAuth";
 
 const API = "https://academy-backend-e02j.onrender.com/api/exam";
 
+// Percentage of marks (negative marking aware), or of questions for older results
+const percentOf = (r) =>
+  r.maxScore ? (Math.max(0, r.score) / r.maxScore) * 100 : (r.correct / r.total) * 100;
+
 export default function AdminResults() {
   const navigate = useNavigate();
   const { showToast } = useToast();
@@ -16,13 +21,17 @@ export default function AdminResults() {
 
   const [searchTerm, setSearchTerm] = useState("");
   const [selectedExam, setSelectedExam] = useState("all");
+  const [absentees, setAbsentees] = useState([]);
+  const [showAbsent, setShowAbsent] = useState(null);
+  const [analysisFor, setAnalysisFor] = useState(null);
+  const [exportPick, setExportPick] = useState(null);
 
   // Fetch all results
   useEffect(() => {
     const fetchResults = async () => {
       try {
         setLoading(true);
-        const res = await fetch(`${API}/all-results`);
+        const res = await fetch(`${API}/all-results`, { headers: adminHeaders() });
         if (res.ok) {
           const data = await res.json();
           setAllResults(data);
@@ -38,9 +47,26 @@ export default function AdminResults() {
       }
     };
 
+    // Students recorded as absent once an exam closes
+    const fetchAbsentees = async () => {
+      try {
+        const res = await fetch(`${API}/absentees`, { headers: adminHeaders() });
+        if (res.ok) setAbsentees(await res.json());
+      } catch {}
+    };
+
     fetchResults();
+    fetchAbsentees();
   }, []);
 
+  const absentByExam = useMemo(() => {
+    const groups = {};
+    absentees.forEach((a) => {
+      (groups[a.examId] = groups[a.examId] || []).push(a);
+    });
+    return groups;
+  }, [absentees]);
+
   // Filter results based on search and exam selection
   useEffect(() => {
     let results = allResults;
@@ -88,13 +114,13 @@ export default function AdminResults() {
       groups[result.examId].push(result);
     });
 
-    // Sort students by score within each group
+    // Merit order within each group: score, then fewer wrong, then earlier submission
     Object.keys(groups).forEach(examId => {
-      groups[examId].sort((a, b) => {
-        const scoreA = (a.correct / a.total) * 100;
-        const scoreB = (b.correct / b.total) * 100;
-        return scoreB - scoreA;
-      });
+      groups[examId].sort((a, b) =>
+        percentOf(b) - percentOf(a) ||
+        (a.wrong || 0) - (b.wrong || 0) ||
+        new Date(a.submittedAt) - new Date(b.submittedAt)
+      );
     });
 
     return groups;
@@ -116,7 +142,7 @@ export default function AdminResults() {
     ).size;
     const uniqueExams = new Set(filteredResults.map(r => r.examId)).size;
 
-    const scores = filteredResults.map(r => (r.correct / r.total) * 100);
+    const scores = filteredResults.map(percentOf);
     const averageScore = scores.reduce((a, b) => a + b, 0) / scores.length;
     const topScore = Math.max(...scores);
 
@@ -148,6 +174,7 @@ export default function AdminResults() {
       "Wrong",
       "Skipped",
       "Submitted At",
+      "Timing",
     ];
 
     const rows = filteredResults.map(r => [
@@ -156,13 +183,14 @@ export default function AdminResults() {
       r.examTitle,
       r.examSubject,
       r.examTestNumber,
-      r.correct,
-      r.total,
-      Math.round((r.correct / r.total) * 100),
+      r.maxScore ? r.score : r.correct,
+      r.maxScore || r.total,
+      Math.round(percentOf(r)),
       r.correct,
       r.wrong,
       r.unanswered,
       new Date(r.submittedAt).toLocaleDateString("en-IN"),
+      r.autoSubmitted ? "Auto-submitted" : r.late ? `Late (${r.lateBySeconds}s)` : "On time",
     ]);
 
     const csv = [headers, ...rows]
@@ -177,6 +205,25 @@ export default function AdminResults() {
     link.click();
   };
 
+  // Ranked CSV for one exam, built by the server
+  const downloadMeritList = async (examId) => {
+    const err = await downloadAdminFile(`${API}/merit-list/${examId}?format=csv`, "merit-list.csv");
+    if (err) showToast(err === "Connection error" ? err : "Could not download merit list", "error");
+  };
+
+  // Workbook with one sheet per chosen exam, answers included
+  const openExcelExport = () => {
+    if (exportPick) return setExportPick(null);
+    setExportPick(selectedExam !== "all" ? [selectedExam] : uniqueExams.map((e) => e.id));
+  };
+  const togglePick = (id) =>
+    setExportPick(exportPick.includes(id) ? exportPick.filter((x) => x !== id) : [...exportPick, id]);
+  const downloadExcel = async () => {
+    const err = await downloadAdminFile(`${API}/export/results?examIds=${exportPick.join(",")}`, "results.xlsx");
+    if (err) showToast(err, "error");
+    else setExportPick(null);
+  };
+
   const getRankColor = (rank) => {
     if (rank === 0) return "linear-gradient(135deg, #fbbf24 0%, #f59e0b 100%)"; // Gold
     if (rank === 1) return "linear-gradient(135deg, #cbd5e1 0%, #94a3b8 100%)"; // Silver
@@ -273,8 +320,36 @@ export default function AdminResults() {
           <FiDownload size={18} />
           Export CSV
         </button>
+        <button onClick={openExcelExport} style={styles.exportBtn}>
+          <FiGrid size={18} />
+          Export Excel
+        </button>
       </div>
 
+      {/* Excel export: pick exams, one sheet each */}
+      {exportPick && (
+        <div style={styles.exportPanel}>
+          <div style={styles.exportPanelHead}>
+            <span>Exams to export ({exportPick.length})</span>
+            <button onClick={() => setExportPick(exportPick.length === uniqueExams.length ? [] : uniqueExams.map((e) => e.id))} style={styles.meritBtn}>
+              {exportPick.length === uniqueExams.length ? "Clear" : "Select all"}
+            </button>
+          </div>
+          <div style={styles.exportList}>
+            {uniqueExams.map((exam) => (
+              <label key={exam.id} style={styles.exportItem}>
+                <input type="checkbox" checked={exportPick.includes(exam.id)} onChange={() => togglePick(exam.id)} />
+                {exam.title} ({exam.subject})
+              </label>
+            ))}
+          </div>
+          <button onClick={downloadExcel} disabled={exportPick.length === 0} style={{ ...styles.exportBtn, opacity: exportPick.length ? 1 : 0.5 }}>
+            <FiDownload size={18} />
+            Download .xlsx
+          </button>
+        </div>
+      )}
+
       {/* Results Section */}
       {filteredResults.length === 0 ? (
         <div style={styles.emptyBox}>
@@ -293,15 +368,43 @@ export default function AdminResults() {
             return (
               <div key={examId} style={styles.examGroup}>
                 {/* Exam Group Header */}
-                <div style={styles.examGroupHeader}>
+                <div style={{ ...styles.examGroupHeader, display: "flex", justifyContent: "space-between", alignItems: "center", gap: "12px", flexWrap: "wrap" }}>
                   <div style={styles.examGroupInfo}>
                     <h3 style={styles.examGroupTitle}>{examTitle}</h3>
                     <p style={styles.examGroupMeta}>
                       {examSubject} • Test #{testNumber} • {results.length} submissions
+                      {absentByExam[examId]?.length > 0 && (
+                        <>
+                          {" • "}
+                          <button style={styles.absentToggle} onClick={() => setShowAbsent(showAbsent === examId ? null : examId)}>
+                            {absentByExam[examId].length} absent
+                          </button>
+                        </>
+                      )}
                     </p>
                   </div>
+                  <div style={{ display: "flex", gap: "8px" }}>
+                    <button onClick={() => setAnalysisFor(analysisFor === examId ? null : examId)} style={styles.meritBtn}>
+                      <FiBarChart2 size={16} />
+                      Analysis
+                    </button>
+                    <button onClick={() => downloadMeritList(examId)} style={styles.meritBtn}>
+                      <FiDownload size={16} />
+                      Merit List
+                    </button>
+                  </div>
                 </div>
 
+                {analysisFor === examId && <ItemAnalysis examId={examId} onClose={() => setAnalysisFor(null)} />}
+
+                {showAbsent === examId && (
+                  <div style={styles.absentList}>
+                    {absentByExam[examId].map((a) => (
+                      <span key={a._id} style={styles.absentChip}>{a.studentName} · {a.studentMobile}</span>
+                    ))}
+                  </div>
+                )}
+
                 {/* Results Table for this exam */}
                 <div style={styles.tableWrapper}>
                   <table style={styles.table}>
@@ -316,9 +419,9 @@ export default function AdminResults() {
                     </thead>
                     <tbody>
                       {results.map((result, idx) => {
-                        const percentage = Math.round(
-                          (result.correct / result.total) * 100
-                        );
+                        const percentage = Math.round(percentOf(result));
+                        // stored once the exam closes; ties share a rank
+                        const place = result.rank ? result.rank - 1 : idx;
 
                         return (
                           <tr key={`${result._id}-${idx}`} style={styles.tableRow}>
@@ -327,11 +430,12 @@ export default function AdminResults() {
                               <div
                                 style={{
                                   ...styles.rankBadge,
-                                  background: getRankColor(idx),
-                                  color: idx < 3 ? "#000" : "#fff",
+                                  background: getRankColor(place),
+                                  color: place < 3 ? "#000" : "#fff",
                                 }}
+                                title={result.percentile != null ? `${result.percentile} percentile` : undefined}
                               >
-                                {getRankLabel(idx)}
+                                {getRankLabel(place)}
                               </div>
                             </td>
 
@@ -361,7 +465,9 @@ export default function AdminResults() {
                                 }}
                               >
                                 <span style={styles.scoreValue}>
-                                  {result.correct}/{result.total}
+                                  {result.maxScore
+                                    ? `${result.score}/${result.maxScore}`
+                                    : `${result.correct}/${result.total}`}
                                 </span>
                                 <span style={styles.scorePercent}>
                                   {percentage}%
@@ -396,6 +502,16 @@ export default function AdminResults() {
                                   }
                                 )}
                               </span>
+                              {result.late && (
+                                <span style={styles.lateBadge} title={`Submitted ${result.lateBySeconds}s after the deadline`}>
+                                  LATE
+                                </span>
+                              )}
+                              {result.autoSubmitted && (
+                                <span style={{ ...styles.lateBadge, background: "rgba(59, 130, 246, 0.15)", color: "#60a5fa" }} title="Graded from the student's last autosave">
+                                  AUTO
+                                </span>
+                              )}
                             </td>
                           </tr>
                         );
@@ -412,6 +528,118 @@ export default function AdminResults() {
   );
 }
 
+const OPTION_KEYS = ["A", "B", "C", "D"];
+const FLAG_COLORS = {
+  "check-key": "#ef4444",
+  negative: "#ef4444",
+  "low-discrimination": "#f59e0b",
+  "too-hard": "#f59e0b",
+  "too-easy": "#94a3b8",
+};
+const FLAG_LABELS = {
+  "check-key": "Check key",
+  negative: "Negative D",
+  "low-discrimination": "Low D",
+  "too-hard": "Too hard",
+  "too-easy": "Too easy",
+};
+
+// Per-question difficulty, option spread and discrimination for one exam
+function ItemAnalysis({ examId, onClose }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await fetch(`${API}/item-analysis/${examId}`, { headers: adminHeaders() });
+        const d = await res.json();
+        if (res.ok) setData(d);
+        else setError(d.error || "Failed to load analysis");
+      } catch {
+        setError("Connection error");
+      }
+    };
+    load();
+  }, [examId]);
+
+  const questions = data ? data.questions.filter((q) => !flaggedOnly || q.flags.length) : [];
+
+  return (
+    <div style={styles.analysisBox}>
+      <div style={styles.analysisHead}>
+        <div>
+          <strong style={{ color: "#e2e8f0" }}>Item Analysis</strong>
+          {data && (
+            <span style={styles.analysisMeta}>
+              {" "}• {data.participants} students • top/bottom groups of {data.groupSize} • {data.flagged} flagged
+            </span>
+          )}
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: "12px" }}>
+          {data && (
+            <label style={styles.analysisMeta}>
+              <input type="checkbox" checked={flaggedOnly} onChange={(e) => setFlaggedOnly(e.target.checked)} /> Flagged only
+            </label>
+          )}
+          <button onClick={onClose} style={styles.analysisClose}><FiX size={18} /></button>
+        </div>
+      </div>
+
+      {error && <p style={{ color: "#f87171", margin: 0 }}>{error}</p>}
+      {!data && !error && <p style={styles.analysisMeta}>Analysing...</p>}
+      {data && data.participants > 0 && data.participants < 10 && (
+        <p style={styles.analysisMeta}>Discrimination needs at least 10 students and is not shown yet.</p>
+      )}
+
+      {questions.map((q) => (
+        <div key={q._id} style={styles.itemRow}>
+          <div style={{ display: "flex", justifyContent: "space-between", gap: "12px", flexWrap: "wrap" }}>
+            <div style={{ flex: 1, minWidth: 220 }}>
+              <div style={{ color: "#e2e8f0", fontWeight: 600, marginBottom: 4 }}>
+                Q{q.questionNumber}. {q.questionText}
+              </div>
+              <div style={styles.analysisMeta}>
+                Key {q.correctAnswer} • {q.correctPct}% correct • D = {q.discrimination ?? "—"}
+                {q.topic ? ` • ${q.topic}` : ""}{q.difficulty ? ` • ${q.difficulty}` : ""}
+              </div>
+            </div>
+            <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", alignItems: "flex-start" }}>
+              {q.flags.map((f) => (
+                <span key={f.type} title={f.message} style={{ ...styles.flagBadge, color: FLAG_COLORS[f.type], borderColor: FLAG_COLORS[f.type] }}>
+                  {FLAG_LABELS[f.type] || f.type}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          <div style={{ marginTop: 10 }}>
+            {[...OPTION_KEYS, "blank"].map((k) => {
+              const share = q.distribution[k];
+              const isKey = k === q.correctAnswer;
+              return (
+                <div key={k} style={styles.optionBarRow}>
+                  <span style={{ width: 44, color: isKey ? "#22c55e" : "#94a3b8", fontWeight: isKey ? 700 : 500 }}>
+                    {k === "blank" ? "Skip" : k}
+                  </span>
+                  <div style={styles.optionBarTrack}>
+                    <div style={{ ...styles.optionBarFill, width: `${share.pct}%`, background: isKey ? "#22c55e" : k === "blank" ? "#475569" : "#3b82f6" }} />
+                  </div>
+                  <span style={{ width: 90, textAlign: "right", color: "#94a3b8", fontSize: "0.8rem" }}>
+                    {share.count} ({Math.round(share.pct)}%)
+                  </span>
+                  {k !== "blank" && <span style={styles.optionText}>{q.options?.[k]}</span>}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 const styles = {
   container: {
     minHeight: "100vh",
@@ -580,6 +808,37 @@ const styles = {
     transition: "all 0.3s ease",
   },
 
+  exportPanel: {
+    margin: "12px 16px 0",
+    padding: "16px 20px",
+    background: "linear-gradient(135deg, #1e293b 0%, #0f172a 100%)",
+    borderRadius: "16px",
+    border: "1px solid #334155",
+  },
+  exportPanelHead: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    fontWeight: "700",
+    marginBottom: "10px",
+  },
+  exportList: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(260px, 1fr))",
+    gap: "6px 16px",
+    maxHeight: "220px",
+    overflowY: "auto",
+    marginBottom: "14px",
+  },
+  exportItem: {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+    fontSize: "0.9rem",
+    color: "#cbd5e1",
+    cursor: "pointer",
+  },
+
   emptyBox: {
     margin: "40px 16px",
     padding: "80px 20px",
@@ -613,6 +872,19 @@ const styles = {
     overflow: "hidden",
     boxShadow: "0 8px 32px rgba(0, 0, 0, 0.3)",
   },
+  meritBtn: {
+    display: "flex",
+    alignItems: "center",
+    gap: "6px",
+    background: "rgba(255, 255, 255, 0.15)",
+    color: "#fff",
+    border: "1px solid rgba(255, 255, 255, 0.3)",
+    borderRadius: "10px",
+    padding: "8px 14px",
+    cursor: "pointer",
+    fontWeight: "600",
+    fontSize: "0.85rem",
+  },
   examGroupHeader: {
     padding: "20px 16px",
     background: "linear-gradient(135deg, #3b82f6 0%, #1d4ed8 100%)",
@@ -634,6 +906,100 @@ const styles = {
     fontWeight: "500",
   },
 
+  absentToggle: {
+    background: "rgba(255, 255, 255, 0.15)",
+    border: "none",
+    borderRadius: "50px",
+    padding: "2px 10px",
+    color: "#fff",
+    fontSize: "0.85rem",
+    fontWeight: "600",
+    cursor: "pointer",
+    fontFamily: "inherit",
+  },
+  absentList: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: "8px",
+    padding: "12px 16px",
+    background: "rgba(15, 23, 42, 0.5)",
+    borderBottom: "1px solid #334155",
+  },
+  absentChip: {
+    padding: "4px 10px",
+    borderRadius: "50px",
+    background: "rgba(239, 68, 68, 0.12)",
+    color: "#fca5a5",
+    fontSize: "0.8rem",
+  },
+
+  analysisBox: {
+    padding: "16px",
+    background: "rgba(15, 23, 42, 0.6)",
+    borderBottom: "1px solid #334155",
+  },
+  analysisHead: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: "12px",
+    flexWrap: "wrap",
+    marginBottom: "12px",
+  },
+  analysisMeta: {
+    color: "#94a3b8",
+    fontSize: "0.85rem",
+  },
+  analysisClose: {
+    background: "none",
+    border: "none",
+    color: "#94a3b8",
+    cursor: "pointer",
+    display: "flex",
+  },
+  itemRow: {
+    padding: "14px",
+    marginBottom: "10px",
+    background: "rgba(30, 41, 59, 0.6)",
+    border: "1px solid #334155",
+    borderRadius: "12px",
+  },
+  flagBadge: {
+    padding: "2px 10px",
+    borderRadius: "50px",
+    border: "1px solid",
+    fontSize: "0.72rem",
+    fontWeight: "700",
+    whiteSpace: "nowrap",
+  },
+  optionBarRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: "10px",
+    marginBottom: "4px",
+    fontSize: "0.85rem",
+  },
+  optionBarTrack: {
+    flex: "0 0 160px",
+    height: "8px",
+    background: "#1e293b",
+    borderRadius: "4px",
+    overflow: "hidden",
+  },
+  optionBarFill: {
+    height: "100%",
+    borderRadius: "4px",
+  },
+  optionText: {
+    color: "#cbd5e1",
+    fontSize: "0.8rem",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+    minWidth: 0,
+    flex: 1,
+  },
+
   tableWrapper: {
     overflowX: "auto",
   },
@@ -749,4 +1115,14 @@ const styles = {
     fontSize: "0.9rem",
     fontWeight: "500",
   },
+  lateBadge: {
+    display: "inline-block",
+    marginLeft: "8px",
+    padding: "2px 8px",
+    borderRadius: "50px",
+    background: "rgba(245, 158, 11, 0.15)",
+    color: "#f59e0b",
+    fontSize: "0.7rem",
+    fontWeight: "700",
+  },
 };
@@ -0,0 +1,350 @@
+import { useState, useEffect } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { FiArrowLeft, FiPrinter, FiTrendingUp, FiBookOpen, FiAlertTriangle, FiCalendar, FiVideo, FiAward } from "react-icons/fi";
+import { adminHeaders } from "../../utils/adminAuth";
+import { Tile, TrendChart, percentColor } from "../student/ProgressCharts";
+
+const API = "https://academy-backend-e02j.onrender.com/api/students";
+
+const fmtDate = (d) => (d ? new Date(d).toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric" }) : "—");
+const pctText = (p) => (p === null || p === undefined ? "—" : `${p}%`);
+const scoreText = (r) => (r.maxScore ? `${r.score} / ${r.maxScore}` : `${r.correct} / ${r.total}`);
+
+export default function AdminStudentDetail() {
+  const navigate = useNavigate();
+  const { mobile } = useParams();
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      try {
+        const res = await fetch(`${API}/report/${encodeURIComponent(mobile)}`, { headers: adminHeaders() });
+        const data = await res.json();
+        if (res.ok) setReport(data);
+        else setError(data.error || "Failed to load student");
+      } catch (err) {
+        setError("Connection error: " + err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [mobile]);
+
+  if (loading) return <div style={styles.container}><div style={styles.center}>Loading student...</div></div>;
+  if (error) return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <button onClick={() => navigate("/admin/students")} style={styles.backBtn}><FiArrowLeft size={22} /></button>
+        <h1 style={styles.title}>Student</h1>
+      </div>
+      <div style={styles.errorBox}>{error}</div>
+    </div>
+  );
+
+  const { student, performance: perf, videos, results, absences } = report;
+  const taken = perf.summary.exams;
+  const attendance = taken + absences.length ? Math.round((taken / (taken + absences.length)) * 100) : null;
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <button onClick={() => navigate("/admin/students")} style={styles.backBtn}><FiArrowLeft size={22} /></button>
+        <h1 style={styles.title}>{student.name}</h1>
+        <button onClick={() => printReportCard(report)} style={styles.printBtn}>
+          <FiPrinter size={16} /> Report Card
+        </button>
+      </div>
+
+      <div style={styles.body}>
+        <div style={styles.card}>
+          <div style={styles.profileRow}>
+            <Info label="Mobile" value={student.mobile} />
+            <Info label="Roll No." value={student.roll || "—"} />
+            <Info label="Batches" value={student.batches?.length ? student.batches.map((b) => b.name).join(", ") : "All students"} />
+            <Info label="Registered" value={fmtDate(student.createdAt)} />
+            <Info label="Status" value={student.active ? "Active" : "Inactive"} color={student.active ? "#22c55e" : "#ef4444"} />
+          </div>
+        </div>
+
+        <div style={styles.tiles}>
+          <Tile large label="Tests Taken" value={taken} color="#60a5fa" />
+          <Tile large label="Attendance" value={attendance === null ? "—" : `${attendance}%`} color="#f59e0b" />
+          <Tile large label="Average" value={pctText(perf.summary.average)} color={perf.summary.average === null ? "#94a3b8" : percentColor(perf.summary.average)} />
+          <Tile large label="Batch Average" value={pctText(perf.summary.batchAverage)} color="#94a3b8" />
+          <Tile large label="Best" value={pctText(perf.summary.best)} color="#22c55e" />
+          <Tile large label="Videos Watched" value={videos.class.watched + videos.training.watched} color="#a855f7" />
+        </div>
+
+        <Section icon={<FiTrendingUp />} title="Score Trend">
+          <TrendChart large points={perf.trend} />
+        </Section>
+
+        <div style={styles.twoCol}>
+          <Section icon={<FiBookOpen />} title="Subjects">
+            {perf.subjects.length === 0 ? <Muted text="No tests taken yet." /> : (
+              <table style={styles.table}>
+                <thead><tr>{["Subject", "Tests", "Average", "Batch", "Best", "Change"].map((h) => <th key={h} style={styles.th}>{h}</th>)}</tr></thead>
+                <tbody>
+                  {perf.subjects.map((s) => (
+                    <tr key={s.subject}>
+                      <td style={styles.td}>{s.subject}</td>
+                      <td style={styles.td}>{s.exams}</td>
+                      <td style={{ ...styles.td, color: percentColor(s.average), fontWeight: 700 }}>{s.average}%</td>
+                      <td style={styles.td}>{pctText(s.batchAverage)}</td>
+                      <td style={styles.td}>{s.best}%</td>
+                      <td style={{ ...styles.td, color: s.change > 0 ? "#22c55e" : s.change < 0 ? "#ef4444" : "#94a3b8" }}>
+                        {s.change === null ? "—" : `${s.change > 0 ? "+" : ""}${s.change}`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </Section>
+
+          <Section icon={<FiAlertTriangle />} title="Weak Topics">
+            {perf.weakTopics.length === 0 ? <Muted text={perf.topics.length ? "No weak topics." : "No topic data from released papers yet."} /> : (
+              perf.weakTopics.map((t) => (
+                <div key={t.topic} style={styles.listRow}>
+                  <span style={{ flex: 1, textTransform: "capitalize" }}>{t.topic}</span>
+                  <span style={styles.meta}>{t.correct}/{t.questions}</span>
+                  <span style={{ color: percentColor(t.accuracy), fontWeight: 700, minWidth: 52, textAlign: "right" }}>{t.accuracy}%</span>
+                </div>
+              ))
+            )}
+          </Section>
+        </div>
+
+        <div style={styles.twoCol}>
+          <Section icon={<FiCalendar />} title={`Attendance • ${taken} taken, ${absences.length} missed`}>
+            <div style={styles.meta}>
+              Current run {perf.streaks.attendance} • longest {perf.streaks.longestAttendance} • above batch average in the last {perf.streaks.aboveAverage}
+            </div>
+            {absences.length === 0 ? <Muted text="No missed tests." /> : (
+              absences.map((a) => (
+                <div key={a._id} style={styles.listRow}>
+                  <span style={{ flex: 1 }}>{a.examTitle}</span>
+                  <span style={styles.meta}>{a.examSubject} • Test #{a.examTestNumber}</span>
+                </div>
+              ))
+            )}
+          </Section>
+
+          <Section icon={<FiVideo />} title="Video Engagement">
+            <div style={styles.meta}>
+              Classes {videos.class.watched} / {videos.class.available} • Training {videos.training.watched} / {videos.training.available} • {videos.totalViews} views
+              {videos.lastViewedAt ? ` • last ${fmtDate(videos.lastViewedAt)}` : ""}
+            </div>
+            {videos.recent.length === 0 ? <Muted text="No videos opened yet." /> : (
+              videos.recent.map((v, i) => (
+                <div key={i} style={styles.listRow}>
+                  <span style={{ flex: 1 }}>{v.title}</span>
+                  <span style={styles.meta}>{v.kind === "class" ? v.subject : `Training • ${v.subject}`} • {v.views}×</span>
+                </div>
+              ))
+            )}
+          </Section>
+        </div>
+
+        <Section icon={<FiAward />} title={`Results (${results.length})`}>
+          {results.length === 0 ? <Muted text="No results yet." /> : (
+            <div style={{ overflowX: "auto" }}>
+              <table style={styles.table}>
+                <thead><tr>{["Exam", "Subject", "Date", "Score", "%", "Rank", ""].map((h) => <th key={h} style={styles.th}>{h}</th>)}</tr></thead>
+                <tbody>
+                  {results.map((r) => {
+                    const t = perf.trend.find((p) => p.resultId === r._id);
+                    return (
+                      <tr key={r._id}>
+                        <td style={styles.td}>{r.examTitle} <span style={styles.meta}>#{r.examTestNumber}</span></td>
+                        <td style={styles.td}>{r.examSubject}</td>
+                        <td style={styles.td}>{fmtDate(r.submittedAt)}</td>
+                        <td style={styles.td}>{scoreText(r)}</td>
+                        <td style={{ ...styles.td, color: t ? percentColor(t.percent) : "#e2e8f0", fontWeight: 700 }}>{t ? `${t.percent}%` : "—"}</td>
+                        <td style={styles.td}>{r.rank ? `${r.rank} / ${r.rankedOf}` : "—"}</td>
+                        <td style={styles.td}>
+                          {r.autoSubmitted && <span style={styles.flag}>AUTO</span>}
+                          {r.late && <span style={{ ...styles.flag, color: "#f59e0b", borderColor: "#f59e0b" }}>LATE</span>}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </Section>
+      </div>
+    </div>
+  );
+}
+
+function Info({ label, value, color }) {
+  return (
+    <div>
+      <div style={styles.infoLabel}>{label}</div>
+      <div style={{ ...styles.infoValue, color: color || "#e2e8f0" }}>{value}</div>
+    </div>
+  );
+}
+function Section({ icon, title, children }) {
+  return (
+    <div style={styles.card}>
+      <h3 style={styles.cardTitle}>{icon} {title}</h3>
+      {children}
+    </div>
+  );
+}
+function Muted({ text }) {
+  return <p style={{ ...styles.meta, margin: "8px 0 0" }}>{text}</p>;
+}
+
+
+// ─── REPORT CARD ───────────────────────────────
+const esc = (v) => String(v ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+
+// Opens a plain A4 report card in a new window and prints it; "Save as PDF" in the
+// print dialog gives the downloadable copy for parent meetings
+function printReportCard({ student, performance: perf, videos, results, absences, generatedAt }) {
+  const win = window.open("", "_blank");
+  if (!win) return alert("Allow pop-ups to print the report card");
+
+  const rows = (list, cells) => list.map((item) => `<tr>${cells(item).map((c) => `<td>${c}</td>`).join("")}</tr>`).join("");
+  const taken = perf.summary.exams;
+  const html = `<!doctype html><html><head><meta charset="utf-8"><title>Report Card - ${esc(student.name)}</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #111; margin: 24px; font-size: 12px; }
+  h1 { margin: 0; font-size: 20px; } h2 { font-size: 14px; margin: 18px 0 6px; border-bottom: 1px solid #999; padding-bottom: 3px; }
+  .head { display: flex; justify-content: space-between; align-items: flex-end; border-bottom: 2px solid #111; padding-bottom: 8px; }
+  .grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 6px 16px; margin-top: 10px; }
+  .tiles { display: grid; grid-template-columns: repeat(5, 1fr); gap: 8px; }
+  .tile { border: 1px solid #999; border-radius: 6px; padding: 8px; text-align: center; } .tile b { display: block; font-size: 16px; }
+  table { width: 100%; border-collapse: collapse; } th, td { border: 1px solid #bbb; padding: 4px 6px; text-align: left; } th { background: #eee; }
+  .sign { display: flex; justify-content: space-between; margin-top: 48px; } .sign div { border-top: 1px solid #111; width: 200px; text-align: center; padding-top: 4px; }
+  @media print { body { margin: 0; } }
+</style></head><body>
+<div class="head"><div><h1>GP Soldier Academy</h1><div>Student Report Card</div></div><div>Generated ${esc(fmtDate(generatedAt))}</div></div>
+<div class="grid">
+  <div><b>Name:</b> ${esc(student.name)}</div><div><b>Mobile:</b> ${esc(student.mobile)}</div><div><b>Roll No.:</b> ${esc(student.roll || "—")}</div>
+  <div><b>Batches:</b> ${esc(student.batches?.map((b) => b.name).join(", ") || "All students")}</div><div><b>Registered:</b> ${esc(fmtDate(student.createdAt))}</div>
+</div>
+<h2>Summary</h2>
+<div class="tiles">
+  <div class="tile"><b>${taken}</b>Tests taken</div>
+  <div class="tile"><b>${absences.length}</b>Tests missed</div>
+  <div class="tile"><b>${esc(pctText(perf.summary.average))}</b>Average</div>
+  <div class="tile"><b>${esc(pctText(perf.summary.batchAverage))}</b>Batch average</div>
+  <div class="tile"><b>${esc(pctText(perf.summary.best))}</b>Best</div>
+</div>
+<h2>Subject-wise Performance</h2>
+${perf.subjects.length ? `<table><tr><th>Subject</th><th>Tests</th><th>Average</th><th>Batch average</th><th>Best</th></tr>
+${rows(perf.subjects, (s) => [esc(s.subject), s.exams, `${s.average}%`, esc(pctText(s.batchAverage)), `${s.best}%`])}</table>` : "<p>No tests taken yet.</p>"}
+${perf.weakTopics.length ? `<h2>Topics Needing Attention</h2><table><tr><th>Topic</th><th>Correct</th><th>Accuracy</th></tr>
+${rows(perf.weakTopics, (t) => [esc(t.topic), `${t.correct} / ${t.questions}`, `${t.accuracy}%`])}</table>` : ""}
+<h2>Test Results</h2>
+${results.length ? `<table><tr><th>Test</th><th>Subject</th><th>Date</th><th>Score</th><th>%</th><th>Batch avg</th><th>Rank</th></tr>
+${rows(results, (r) => {
+    const t = perf.trend.find((p) => p.resultId === r._id);
+    return [`${esc(r.examTitle)} #${esc(r.examTestNumber)}`, esc(r.examSubject), esc(fmtDate(r.submittedAt)), esc(scoreText(r)), t ? `${t.percent}%` : "—", esc(pctText(t?.batchAverage)), r.rank ? `${r.rank} / ${r.rankedOf}` : "—"];
+  })}</table>` : "<p>No results yet.</p>"}
+${absences.length ? `<h2>Missed Tests</h2><table><tr><th>Test</th><th>Subject</th></tr>
+${rows(absences, (a) => [`${esc(a.examTitle)} #${esc(a.examTestNumber)}`, esc(a.examSubject)])}</table>` : ""}
+<h2>Video Engagement</h2>
+<p>Class videos watched: ${videos.class.watched} of ${videos.class.available} • Training videos watched: ${videos.training.watched} of ${videos.training.available} • Total views: ${videos.totalViews}</p>
+<div class="sign"><div>Instructor</div><div>Parent / Guardian</div></div>
+</body></html>`;
+
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
+const styles = {
+  container: {
+    minHeight: "100vh",
+    background: "linear-gradient(135deg, #0f172a 0%, #1a1f3a 50%, #0f172a 100%)",
+    color: "#e2e8f0",
+    fontFamily: "'Inter', '-apple-system', 'BlinkMacSystemFont', 'Segoe UI', sans-serif",
+    paddingBottom: "40px",
+  },
+  header: {
+    padding: "20px 24px",
+    background: "linear-gradient(135deg, #1e293b 0%, #0f172a 100%)",
+    display: "flex",
+    alignItems: "center",
+    gap: "16px",
+    borderBottom: "2px solid #3b82f6",
+    boxShadow: "0 4px 20px rgba(59, 130, 246, 0.1)",
+  },
+  backBtn: {
+    background: "rgba(59, 130, 246, 0.1)",
+    border: "none",
+    color: "#3b82f6",
+    cursor: "pointer",
+    display: "flex",
+    alignItems: "center",
+    padding: "8px",
+    borderRadius: "8px",
+  },
+  title: {
+    fontSize: "1.6rem",
+    fontWeight: "800",
+    margin: 0,
+    flex: 1,
+    background: "linear-gradient(135deg, #60a5fa 0%, #3b82f6 100%)",
+    WebkitBackgroundClip: "text",
+    WebkitTextFillColor: "transparent",
+    backgroundClip: "text",
+  },
+  printBtn: {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+    padding: "10px 16px",
+    background: "linear-gradient(135deg, #3b82f6 0%, #1d4ed8 100%)",
+    color: "#fff",
+    border: "none",
+    borderRadius: "10px",
+    fontSize: "0.9rem",
+    fontWeight: "700",
+    cursor: "pointer",
+  },
+  center: { textAlign: "center", padding: "80px 20px", color: "#94a3b8" },
+  errorBox: {
+    margin: "16px",
+    padding: "16px 20px",
+    background: "linear-gradient(135deg, #7f1d1d 0%, #5f2c2c 100%)",
+    color: "#fecaca",
+    borderRadius: "12px",
+    border: "1px solid #dc2626",
+  },
+
+  body: { padding: "20px", maxWidth: "1200px", margin: "0 auto" },
+  card: {
+    background: "linear-gradient(135deg, #1e293b 0%, #0f172a 100%)",
+    border: "1px solid #334155",
+    borderRadius: "16px",
+    padding: "18px 20px",
+    marginBottom: "16px",
+    minWidth: 0,
+  },
+  cardTitle: { display: "flex", alignItems: "center", gap: "8px", margin: "0 0 12px", fontSize: "1.05rem", fontWeight: "700", color: "#60a5fa" },
+  profileRow: { display: "flex", flexWrap: "wrap", gap: "24px" },
+  infoLabel: { fontSize: "0.75rem", color: "#94a3b8", textTransform: "uppercase", letterSpacing: "0.5px" },
+  infoValue: { fontSize: "0.95rem", fontWeight: "600", marginTop: "2px" },
+
+  tiles: { display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))", gap: "12px", marginBottom: "16px" },
+
+  twoCol: { display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(340px, 1fr))", gap: "16px" },
+  table: { width: "100%", borderCollapse: "collapse", fontSize: "0.88rem" },
+  th: { textAlign: "left", padding: "8px 10px", color: "#94a3b8", fontWeight: "600", borderBottom: "1px solid #334155", whiteSpace: "nowrap" },
+  td: { padding: "8px 10px", borderBottom: "1px solid #1e293b" },
+  listRow: { display: "flex", alignItems: "center", gap: "10px", padding: "8px 0", borderTop: "1px solid #334155", fontSize: "0.9rem" },
+  meta: { fontSize: "0.8rem", color: "#94a3b8" },
+  flag: { fontSize: "0.68rem", fontWeight: "700", padding: "1px 6px", borderRadius: "6px", border: "1px solid #60a5fa", color: "#60a5fa", marginRight: "4px" },
+};
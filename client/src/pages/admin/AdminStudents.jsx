@@ -2,8 +2,13 @@ import { useState, useEffect, useMemo } from "react";
 import { useNavigate } from "react-router-dom";
 import { useToast } from "../../context/ToastContext";
 import { FiArrowLeft, FiUsers, FiEdit3, FiToggleLeft, FiToggleRight, FiUserCheck, FiUserX, FiSearch, FiTrash2 } from "react-icons/fi";
+import { adminHeaders, downloadAdminFile } from "../../utils/adminAuth";
+import BatchPicker, { useBatches, batchNames } from "./BatchPicker";
+import StudentImport from "./StudentImport";
+import RegistrationQueue from "./RegistrationQueue";
 
 const API = "https://academy-backend-e02j.onrender.com/api/students";
+const BATCH_API = "https://academy-backend-e02j.onrender.com/api/batches";
 
 export default function AdminStudents() {
   const navigate = useNavigate();
@@ -18,6 +23,15 @@ export default function AdminStudents() {
   const [isMobile, setIsMobile] = useState(false);
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [createForm, setCreateForm] = useState({ name: "", mobile: "", password: "", roll: "" });
+  const { batches, reload: reloadBatches } = useBatches();
+  const [batchFilter, setBatchFilter] = useState("all");
+  const [showBatches, setShowBatches] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showRegistrations, setShowRegistrations] = useState(false);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [newBatchName, setNewBatchName] = useState("");
+  const [editingBatches, setEditingBatches] = useState(null);
+  const [batchDraft, setBatchDraft] = useState([]);
 
   // Detect mobile screen
   useEffect(() => {
@@ -35,7 +49,7 @@ export default function AdminStudents() {
     const fetchStudents = async () => {
       try {
         setLoading(true);
-        const res = await fetch(`${API}/all`);
+        const res = await fetch(`${API}/all`, { headers: adminHeaders() });
         if (res.ok) {
           const data = await res.json();
           setStudents(data);
@@ -53,16 +67,36 @@ export default function AdminStudents() {
     fetchStudents();
   }, []);
 
-  // Filter students based on search term
+  // Number of self-registrations waiting for approval
+  useEffect(() => {
+    const fetchPending = async () => {
+      try {
+        const res = await fetch(`${API}/registrations`, { headers: adminHeaders() });
+        if (res.ok) setPendingCount((await res.json()).length);
+      } catch {}
+    };
+
+    fetchPending();
+  }, []);
+
+  // Filter students based on search term and batch
   const filteredStudents = useMemo(() => {
-    if (!searchTerm.trim()) return students;
-    
+    const inBatch = (student) => {
+      if (batchFilter === "all") return true;
+      const ids = (student.batches || []).map(b => b._id || b);
+      return batchFilter === "none" ? ids.length === 0 : ids.includes(batchFilter);
+    };
+
+    if (!searchTerm.trim()) return students.filter(inBatch);
+
     return students.filter(student =>
-      student.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      student.mobile.includes(searchTerm) ||
-      (student.roll && student.roll.toLowerCase().includes(searchTerm.toLowerCase()))
+      inBatch(student) && (
+        student.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+        student.mobile.includes(searchTerm) ||
+        (student.roll && student.roll.toLowerCase().includes(searchTerm.toLowerCase()))
+      )
     );
-  }, [students, searchTerm]);
+  }, [students, searchTerm, batchFilter]);
 
   // Update student password
   const handlePasswordUpdate = async (mobile) => {
@@ -74,7 +108,7 @@ export default function AdminStudents() {
     try {
       const res = await fetch(`${API}/update-password/${mobile}`, {
         method: "PUT",
-        headers: { "Content-Type": "application/json" },
+        headers: adminHeaders({ "Content-Type": "application/json" }),
         body: JSON.stringify({ newPassword }),
       });
 
@@ -97,6 +131,7 @@ export default function AdminStudents() {
     try {
       const res = await fetch(`${API}/toggle-active/${mobile}`, {
         method: "PUT",
+        headers: adminHeaders(),
       });
 
       const data = await res.json();
@@ -124,9 +159,9 @@ export default function AdminStudents() {
     }
 
     try {
-      const res = await fetch(`${API}/register`, {
+      const res = await fetch(`${API}/create`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: adminHeaders({ "Content-Type": "application/json" }),
         body: JSON.stringify(createForm),
       });
 
@@ -136,7 +171,7 @@ export default function AdminStudents() {
         if (data.student) {
           setStudents([...students, data.student]);
         } else {
-          const listRes = await fetch(`${API}/all`);
+          const listRes = await fetch(`${API}/all`, { headers: adminHeaders() });
           if (listRes.ok) {
             const refreshed = await listRes.json();
             setStudents(refreshed);
@@ -153,6 +188,121 @@ export default function AdminStudents() {
     }
   };
 
+  // Create a new batch
+  const handleCreateBatch = async () => {
+    if (!newBatchName.trim()) return;
+    try {
+      const res = await fetch(BATCH_API, {
+        method: "POST",
+        headers: adminHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify({ name: newBatchName.trim() }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setNewBatchName("");
+        reloadBatches();
+        showToast("Batch created", "success");
+      } else {
+        showToast(data.error || "Failed to create batch", "error");
+      }
+    } catch (err) {
+      showToast("Connection error: " + err.message, "error");
+    }
+  };
+
+  // Delete a batch (students stay, they just lose the assignment)
+  const handleDeleteBatch = async (batch) => {
+    if (!window.confirm(`Delete batch "${batch.name}"?\n\n${batch.studentCount || 0} student(s) will be removed from it.`)) return;
+    try {
+      const res = await fetch(`${BATCH_API}/${batch._id}`, { method: "DELETE", headers: adminHeaders() });
+      const data = await res.json();
+      if (res.ok) {
+        setStudents(students.map(student => ({
+          ...student,
+          batches: (student.batches || []).filter(b => (b._id || b) !== batch._id),
+        })));
+        if (batchFilter === batch._id) setBatchFilter("all");
+        reloadBatches();
+        showToast(data.message, "success");
+      } else {
+        showToast(data.error || "Failed to delete batch", "error");
+      }
+    } catch (err) {
+      showToast("Connection error: " + err.message, "error");
+    }
+  };
+
+  // Refresh the list after a bulk import
+  const handleImported = async (created) => {
+    if (!created) return;
+    showToast(`${created} student${created > 1 ? "s" : ""} imported`, "success");
+    try {
+      const res = await fetch(`${API}/all`, { headers: adminHeaders() });
+      if (res.ok) setStudents(await res.json());
+    } catch {}
+    reloadBatches();
+  };
+
+  // An approved registration joins the list
+  const handleApproved = (student) => {
+    setStudents(current => [student, ...current.filter(s => s.mobile !== student.mobile)]);
+    reloadBatches();
+  };
+
+  // Roster workbook for the batch currently filtered on
+  const handleExport = async () => {
+    const err = await downloadAdminFile(`${API}/export?batch=${batchFilter}`, "students.xlsx");
+    if (err) showToast(err, "error");
+  };
+
+  const openReport = (student) => navigate(`/admin/students/${encodeURIComponent(student.mobile)}`);
+
+  const startBatchEdit = (student) => {
+    setEditingBatches(student.mobile);
+    setBatchDraft((student.batches || []).map(b => b._id || b));
+  };
+
+  // Save a student's batch assignment
+  const handleBatchSave = async (mobile) => {
+    try {
+      const res = await fetch(`${API}/batches/${mobile}`, {
+        method: "PUT",
+        headers: adminHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify({ batches: batchDraft }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        const assigned = batches.filter(b => batchDraft.includes(b._id)).map(b => ({ _id: b._id, name: b.name }));
+        setStudents(students.map(student =>
+          student.mobile === mobile ? { ...student, batches: assigned } : student
+        ));
+        setEditingBatches(null);
+        reloadBatches();
+        showToast(data.message, "success");
+      } else {
+        showToast(data.error || "Failed to update batches", "error");
+      }
+    } catch (err) {
+      showToast("Connection error: " + err.message, "error");
+    }
+  };
+
+  const renderBatches = (student) => (
+    editingBatches === student.mobile ? (
+      <div style={styles.batchEdit}>
+        <BatchPicker dark label="" batches={batches} value={batchDraft} onChange={setBatchDraft} />
+        <div style={{ display: "flex", gap: 6 }}>
+          <button onClick={() => handleBatchSave(student.mobile)} style={styles.saveBtn}>Save</button>
+          <button onClick={() => setEditingBatches(null)} style={styles.cancelBtn}>Cancel</button>
+        </div>
+      </div>
+    ) : (
+      <button onClick={() => startBatchEdit(student)} style={styles.batchChipBtn} title="Change batches">
+        👥 {student.batches?.length ? batchNames(student.batches) : "No batch"}
+      </button>
+    )
+  );
+
   // Delete student
   const handleDeleteStudent = async (mobile, name) => {
     if (!window.confirm(`Are you sure you want to delete student "${name}" (${mobile})?\n\nThis will also delete all their exam results and cannot be undone!`)) {
@@ -162,6 +312,7 @@ export default function AdminStudents() {
     try {
       const res = await fetch(`${API}/delete/${mobile}`, {
         method: "DELETE",
+        headers: adminHeaders(),
       });
 
       const data = await res.json();
@@ -224,7 +375,14 @@ export default function AdminStudents() {
             <button onClick={() => setSearchTerm("")} style={styles.clearSearchBtn}>✕</button>
           )}
         </div>
-        {searchTerm && (
+        {batches.length > 0 && (
+          <select value={batchFilter} onChange={(e) => setBatchFilter(e.target.value)} style={styles.batchSelect}>
+            <option value="all">All batches</option>
+            <option value="none">No batch</option>
+            {batches.map(b => <option key={b._id} value={b._id}>{b.name}</option>)}
+          </select>
+        )}
+        {(searchTerm || batchFilter !== "all") && (
           <div style={styles.searchResults}>
             Showing {filteredStudents.length} of {students.length}
           </div>
@@ -258,8 +416,78 @@ export default function AdminStudents() {
         >
           {showCreateForm ? "Cancel" : "+ Create Student"}
         </button>
+        <button
+          onClick={() => setShowBatches(!showBatches)}
+          style={isMobile ? { ...styles.createBtn, ...styles.mobileCreateBtn, ...styles.batchesBtn } : { ...styles.createBtn, ...styles.batchesBtn }}
+        >
+          {showBatches ? "Hide Batches" : `👥 Batches (${batches.length})`}
+        </button>
+        <button
+          onClick={() => setShowImport(!showImport)}
+          style={isMobile ? { ...styles.createBtn, ...styles.mobileCreateBtn, ...styles.batchesBtn } : { ...styles.createBtn, ...styles.batchesBtn }}
+        >
+          {showImport ? "Hide Import" : "⬆ Bulk Import"}
+        </button>
+        <button
+          onClick={handleExport}
+          style={isMobile ? { ...styles.createBtn, ...styles.mobileCreateBtn, ...styles.batchesBtn } : { ...styles.createBtn, ...styles.batchesBtn }}
+        >
+          ⬇ Export Excel
+        </button>
+        <button
+          onClick={() => setShowRegistrations(!showRegistrations)}
+          style={isMobile ? { ...styles.createBtn, ...styles.mobileCreateBtn, ...styles.batchesBtn } : { ...styles.createBtn, ...styles.batchesBtn }}
+        >
+          {showRegistrations ? "Hide Registrations" : `🕓 Registrations (${pendingCount})`}
+        </button>
       </div>
 
+      {/* Self-registration approval queue */}
+      {showRegistrations && (
+        <RegistrationQueue
+          batches={batches}
+          onApproved={handleApproved}
+          onCountChange={setPendingCount}
+          onClose={() => setShowRegistrations(false)}
+        />
+      )}
+
+      {/* Bulk Import */}
+      {showImport && <StudentImport onImported={handleImported} onClose={() => setShowImport(false)} />}
+
+      {/* Batch Manager */}
+      {showBatches && (
+        <div style={isMobile ? { ...styles.createForm, ...styles.mobileCreateForm } : styles.createForm}>
+          <h3 style={styles.formTitle}>Batches</h3>
+          <div style={{ display: "flex", gap: 10, marginBottom: 16 }}>
+            <input
+              type="text"
+              placeholder="New batch name (e.g. Morning 2025)"
+              value={newBatchName}
+              onChange={(e) => setNewBatchName(e.target.value)}
+              onKeyPress={(e) => e.key === "Enter" && handleCreateBatch()}
+              style={{ ...styles.formInput, flex: 1 }}
+            />
+            <button onClick={handleCreateBatch} style={styles.submitBtn}>Add</button>
+          </div>
+          {batches.length === 0 ? (
+            <p style={{ margin: 0, color: "#94a3b8", fontSize: "0.9rem" }}>No batches yet. Content without batches is visible to every student.</p>
+          ) : (
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+              {batches.map(b => (
+                <div key={b._id} style={styles.batchItem}>
+                  <span style={{ fontWeight: 600 }}>{b.name}</span>
+                  <span style={{ color: "#94a3b8", fontSize: "0.8rem" }}>{b.studentCount || 0} students</span>
+                  <button onClick={() => handleDeleteBatch(b)} style={styles.batchDeleteBtn} title="Delete batch">
+                    <FiTrash2 size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Create Student Form */}
       {showCreateForm && (
         <div style={isMobile ? styles.mobileCreateForm : styles.createForm}>
@@ -340,8 +568,9 @@ export default function AdminStudents() {
                       </td>
                       <td style={styles.td}>
                         <div style={styles.studentInfo}>
-                          <p style={styles.studentName}>{student.name}</p>
+                          <p onClick={() => openReport(student)} style={{ ...styles.studentName, ...styles.nameLink }} title="Open report">{student.name}</p>
                           <p style={styles.studentMobile}>{student.mobile}</p>
+                          {renderBatches(student)}
                         </div>
                       </td>
                       <td style={styles.td}>
@@ -411,7 +640,7 @@ export default function AdminStudents() {
                   {/* Card Header */}
                   <div style={styles.mobileCardHeader}>
                     <div style={styles.mobileStudentInfo}>
-                      <p style={styles.mobileStudentName}>{student.name}</p>
+                      <p onClick={() => openReport(student)} style={{ ...styles.mobileStudentName, ...styles.nameLink }}>{student.name}</p>
                       <p style={styles.mobileStudentMobile}>{student.mobile}</p>
                     </div>
                     <div style={{
@@ -430,6 +659,10 @@ export default function AdminStudents() {
                       <span style={styles.mobileDetailLabel}>Roll Number:</span>
                       <span style={styles.mobileDetailValue}>{student.roll || "N/A"}</span>
                     </div>
+                    <div style={styles.mobileDetailRow}>
+                      <span style={styles.mobileDetailLabel}>Batches:</span>
+                      {renderBatches(student)}
+                    </div>
                     <div style={styles.mobileDetailRow}>
                       <span style={styles.mobileDetailLabel}>Registered:</span>
                       <span style={styles.mobileDetailValue}>
@@ -758,6 +991,12 @@ const styles = {
     color: "#e2e8f0",
     fontSize: "0.95rem",
   },
+  nameLink: {
+    cursor: "pointer",
+    textDecoration: "underline",
+    textDecorationColor: "#475569",
+    textUnderlineOffset: "3px",
+  },
   studentMobile: {
     margin: "4px 0 0",
     fontSize: "0.85rem",
@@ -1011,10 +1250,14 @@ const styles = {
   createContainer: {
     display: "flex",
     justifyContent: "center",
+    gap: "12px",
     margin: "20px 0",
   },
   mobileCreateContainer: {
     margin: "15px 0",
+    display: "flex",
+    flexDirection: "column",
+    gap: "8px",
   },
   createBtn: {
     padding: "12px 24px",
@@ -1099,4 +1342,52 @@ const styles = {
     fontWeight: "600",
     cursor: "pointer",
   },
-};
\ No newline at end of file
+
+  // Batch Styles
+  batchesBtn: {
+    background: "linear-gradient(135deg, #334155 0%, #475569 100%)",
+  },
+  batchItem: {
+    display: "flex",
+    alignItems: "center",
+    gap: "10px",
+    padding: "8px 12px",
+    background: "#0f172a",
+    border: "1px solid #334155",
+    borderRadius: "8px",
+  },
+  batchDeleteBtn: {
+    background: "none",
+    border: "none",
+    color: "#ef4444",
+    cursor: "pointer",
+    display: "flex",
+    padding: 0,
+  },
+  batchChipBtn: {
+    marginTop: "6px",
+    padding: "3px 10px",
+    background: "rgba(59, 130, 246, 0.12)",
+    border: "1px solid #334155",
+    borderRadius: "50px",
+    color: "#93c5fd",
+    fontSize: "0.75rem",
+    cursor: "pointer",
+    textAlign: "left",
+  },
+  batchEdit: {
+    marginTop: "8px",
+    display: "flex",
+    flexDirection: "column",
+    gap: "4px",
+  },
+  batchSelect: {
+    marginTop: "10px",
+    padding: "10px 12px",
+    background: "#1e293b",
+    border: "1px solid #334155",
+    borderRadius: "8px",
+    color: "#e2e8f0",
+    fontSize: "0.9rem",
+  },
+};
@@ -1,6 +1,8 @@
 import { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { FiPlus, FiTrash2, FiCopy, FiCheck, FiArrowLeft, FiVideo } from "react-icons/fi";
+import { adminHeaders } from "../../utils/adminAuth";
+import BatchPicker, { useBatches, batchNames } from "./BatchPicker";
 
 const API = "https://academy-backend-e02j.onrender.com/api/training-videos";
 
@@ -13,12 +15,14 @@ export default function AdminTrainingVideos() {
     title: "",
     description: "",
     youtubeUrl: "",
-    category: CATEGORIES[0]
+    category: CATEGORIES[0],
+    batches: []
   });
   const [showForm, setShowForm] = useState(false);
   const [loading, setLoading] = useState(false);
   const [msg, setMsg] = useState(null);
   const [copied, setCopied] = useState(null);
+  const { batches } = useBatches();
 
   useEffect(() => {
     fetchVideos();
@@ -26,7 +30,7 @@ export default function AdminTrainingVideos() {
 
   const fetchVideos = async () => {
     try {
-      const res = await fetch(API);
+      const res = await fetch(API, { headers: adminHeaders() });
       setVideos(await res.json());
     } catch (err) {
       console.error(err);
@@ -44,13 +48,13 @@ export default function AdminTrainingVideos() {
     try {
       const res = await fetch(API, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: adminHeaders({ "Content-Type": "application/json" }),
         body: JSON.stringify(form),
       });
 
       if (res.ok) {
         setMsg({ type: "success", text: "✅ Training video added successfully!" });
-        setForm({ title: "", description: "", youtubeUrl: "", category: CATEGORIES[0] });
+        setForm({ title: "", description: "", youtubeUrl: "", category: CATEGORIES[0], batches: [] });
         setShowForm(false);
         fetchVideos();
       } else {
@@ -65,7 +69,7 @@ export default function AdminTrainingVideos() {
 
   const handleDelete = async (id) => {
     if (!window.confirm("Delete this training video?")) return;
-    await fetch(`${API}/${id}`, { method: "DELETE" });
+    await fetch(`${API}/${id}`, { method: "DELETE", headers: adminHeaders() });
     fetchVideos();
   };
 
@@ -119,6 +123,7 @@ export default function AdminTrainingVideos() {
               onChange={(e) => setForm({ ...form, youtubeUrl: e.target.value })}
               required
             />
+            <BatchPicker dark batches={batches} value={form.batches} onChange={(ids) => setForm({ ...form, batches: ids })} />
 
             {msg && <div style={msg.type === "success" ? styles.success : styles.error}>{msg.text}</div>}
 
@@ -140,6 +145,7 @@ export default function AdminTrainingVideos() {
                 <div style={styles.category}>{v.category}</div>
                 <h4 style={styles.videoTitle}>{v.title}</h4>
                 {v.description && <p style={styles.desc}>{v.description}</p>}
+                {v.batches?.length > 0 && <p style={styles.desc}>👥 {batchNames(v.batches)}</p>}
               </div>
               <div style={styles.actions}>
                 <button style={styles.copyBtn} onClick={() => copyUrl(v.youtubeUrl, v._id)}>
@@ -0,0 +1,72 @@
+import { useState, useEffect, useCallback } from "react";
+import { adminHeaders } from "../../utils/adminAuth";
+
+const API = "https://academy-backend-e02j.onrender.com/api/batches";
+
+export function useBatches() {
+  const [batches, setBatches] = useState([]);
+
+  const reload = useCallback(async () => {
+    try {
+      const res = await fetch(API, { headers: adminHeaders() });
+      if (res.ok) setBatches(await res.json());
+    } catch {}
+  }, []);
+
+  useEffect(() => { reload(); }, [reload]);
+
+  return { batches, reload };
+}
+
+// Chip toggles for choosing target batches. No selection = all students.
+export default function BatchPicker({ batches, value = [], onChange, dark = false, label = "Target Batches" }) {
+  const toggle = (id) => onChange(value.includes(id) ? value.filter((b) => b !== id) : [...value, id]);
+  const muted = dark ? "#8b949e" : "#64748b";
+
+  return (
+    <div style={{ marginBottom: 12 }}>
+      {label && (
+        <label style={{ display: "block", fontSize: "0.75rem", color: muted, fontWeight: 600, textTransform: "uppercase", letterSpacing: "0.5px", marginBottom: 6 }}>
+          {label}
+        </label>
+      )}
+      {batches.length === 0 ? (
+        <div style={{ fontSize: "0.8rem", color: muted }}>No batches yet — visible to all students.</div>
+      ) : (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+          {batches.map((b) => {
+            const on = value.includes(b._id);
+            return (
+              <button
+                key={b._id}
+                type="button"
+                onClick={() => toggle(b._id)}
+                style={{
+                  padding: "5px 12px",
+                  borderRadius: 20,
+                  fontSize: "0.78rem",
+                  fontWeight: 600,
+                  cursor: "pointer",
+                  fontFamily: "inherit",
+                  border: `1px solid ${on ? "#3b82f6" : dark ? "#30363d" : "#cbd5e1"}`,
+                  background: on ? "#3b82f6" : "transparent",
+                  color: on ? "#fff" : dark ? "#c9d1d9" : "#334155",
+                }}
+              >
+                {b.name}
+              </button>
+            );
+          })}
+        </div>
+      )}
+      {batches.length > 0 && (
+        <div style={{ fontSize: "0.72rem", color: muted, marginTop: 6 }}>
+          {value.length === 0 ? "All students" : `${value.length} batch${value.length === 1 ? "" : "es"} selected`}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export const batchNames = (batches = []) =>
+  batches.length === 0 ? "All students" : batches.map((b) => b.name || b).join(", ");
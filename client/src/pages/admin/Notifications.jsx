@@ -1,5 +1,7 @@
 import { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
+import { adminHeaders } from "../../utils/adminAuth";
+import BatchPicker, { useBatches, batchNames } from "./BatchPicker";
 
 const API = "https://academy-backend-e02j.onrender.com/api/students";
 
@@ -9,6 +11,8 @@ export default function Notifications() {
   const [message, setMessage] = useState("");
   const [startDate, setStartDate] = useState("");
   const [endDate, setEndDate] = useState("");
+  const [targetBatches, setTargetBatches] = useState([]);
+  const { batches } = useBatches();
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");
   const [notifications, setNotifications] = useState([]);
@@ -17,7 +21,7 @@ export default function Notifications() {
   const loadNotifications = async () => {
     try {
       setLoading(true);
-      const res = await fetch(`${API}/notifications/all`);
+      const res = await fetch(`${API}/notifications/all`, { headers: adminHeaders() });
       const data = await res.json();
       if (res.ok) {
         setNotifications(data);
@@ -39,6 +43,7 @@ export default function Notifications() {
     try {
       const res = await fetch(`${API}/notifications/${id}`, {
         method: "DELETE",
+        headers: adminHeaders(),
       });
       const data = await res.json();
       if (res.ok) {
@@ -83,8 +88,8 @@ export default function Notifications() {
     try {
       const res = await fetch(`${API}/notifications`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ message, startDate: st, endDate: ed }),
+        headers: adminHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify({ message, startDate: st, endDate: ed, batches: targetBatches }),
       });
       const data = await res.json();
       if (res.ok) {
@@ -92,6 +97,7 @@ export default function Notifications() {
         setMessage("");
         setStartDate("");
         setEndDate("");
+        setTargetBatches([]);
         loadNotifications();
       } else {
         setError(data.error || "Failed to create notification");
@@ -142,6 +148,10 @@ export default function Notifications() {
           </div>
         </div>
 
+        <div style={{ marginTop: 12 }}>
+          <BatchPicker batches={batches} value={targetBatches} onChange={setTargetBatches} />
+        </div>
+
         <p style={styles.info}>Notification period must be ≤ 90 days. Toast displays for students 8 seconds per item.</p>
 
         <button onClick={handleCreate} style={styles.createButton}>Create Notification</button>
@@ -159,6 +169,7 @@ export default function Notifications() {
               <li key={n._id} style={styles.notificationItem}>
                 <div style={styles.notificationMessage}>{n.message}</div>
                 <div style={styles.notificationDates}>From {new Date(n.startDate).toLocaleString()} to {new Date(n.endDate).toLocaleString()}</div>
+                <div style={styles.notificationDates}>👥 {batchNames(n.batches)}</div>
                 <button onClick={() => handleDelete(n._id)} style={styles.deleteNotificationBtn}>Delete</button>
               </li>
             ))}
@@ -0,0 +1,141 @@
+import { useState, useEffect, useCallback } from "react";
+import { FiCheck, FiX } from "react-icons/fi";
+import { adminHeaders } from "../../utils/adminAuth";
+import BatchPicker from "./BatchPicker";
+
+const API = "https://academy-backend-e02j.onrender.com/api/students/registrations";
+
+const formatDate = (d) => (d ? new Date(d).toLocaleString("en-IN", { day: "2-digit", month: "short", hour: "2-digit", minute: "2-digit" }) : "—");
+
+// Self-registered students waiting for approval; declined ones can still be approved later
+export default function RegistrationQueue({ batches, onApproved, onCountChange, onClose }) {
+  const [status, setStatus] = useState("pending");
+  const [list, setList] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [approving, setApproving] = useState(null);
+  const [batchDraft, setBatchDraft] = useState([]);
+  const [busy, setBusy] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await fetch(`${API}?status=${status}`, { headers: adminHeaders() });
+      const data = await res.json();
+      if (res.ok) {
+        setList(data);
+        setError("");
+        if (status === "pending") onCountChange(data.length);
+      } else setError(data.error || "Failed to load registrations");
+    } catch (err) {
+      setError("Connection error: " + err.message);
+    }
+    setLoading(false);
+  }, [status, onCountChange]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const review = async (student, action) => {
+    if (action === "reject" && !window.confirm(`Decline the registration from ${student.name} (${student.mobile})?`)) return;
+    setBusy(student.mobile); setError(""); setMessage("");
+    try {
+      const res = await fetch(`${API}/${student.mobile}/${action}`, {
+        method: "POST",
+        headers: adminHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify(action === "approve" ? { batches: batchDraft } : {}),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        const rest = list.filter((s) => s.mobile !== student.mobile);
+        setList(rest);
+        if (status === "pending") onCountChange(rest.length);
+        if (action === "approve") onApproved(data.student);
+        setApproving(null);
+        setMessage(data.message);
+      } else setError(data.error || "Action failed");
+    } catch (err) {
+      setError("Connection error: " + err.message);
+    }
+    setBusy(null);
+  };
+
+  const startApprove = (student) => { setApproving(student.mobile); setBatchDraft([]); };
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={styles.title}>Registrations</h3>
+      <p style={styles.hint}>Students who signed up on the login page. They can log in only after you approve them.</p>
+
+      <div style={styles.filters}>
+        {[["pending", "Waiting"], ["rejected", "Declined"]].map(([id, label]) => (
+          <button key={id} onClick={() => { setStatus(id); setApproving(null); }} style={{ ...styles.filter, borderColor: status === id ? "#3b82f6" : "#334155" }}>{label}</button>
+        ))}
+      </div>
+
+      {error && <div style={styles.error}>{error}</div>}
+      {message && <div style={styles.success}>{message}</div>}
+
+      {loading ? (
+        <div style={styles.hint}>Loading...</div>
+      ) : list.length === 0 ? (
+        <div style={styles.hint}>{status === "pending" ? "No registrations waiting." : "No declined registrations."}</div>
+      ) : (
+        list.map((s) => (
+          <div key={s.mobile} style={styles.row}>
+            <div style={styles.rowMain}>
+              <div>
+                <div style={styles.name}>{s.name}</div>
+                <div style={styles.meta}>
+                  📱 {s.mobile}{s.roll ? ` • Roll ${s.roll}` : ""} • {status === "pending" ? `signed up ${formatDate(s.createdAt)}` : `declined ${formatDate(s.reviewedAt)}${s.reviewedBy ? ` by ${s.reviewedBy}` : ""}`}
+                </div>
+              </div>
+              {approving !== s.mobile && (
+                <div style={styles.actions}>
+                  <button onClick={() => startApprove(s)} disabled={busy === s.mobile} style={styles.btn}><FiCheck size={14} /> Approve</button>
+                  {status === "pending" && (
+                    <button onClick={() => review(s, "reject")} disabled={busy === s.mobile} style={{ ...styles.btn, ...styles.btnDanger }}><FiX size={14} /> Decline</button>
+                  )}
+                </div>
+              )}
+            </div>
+            {approving === s.mobile && (
+              <div style={styles.approveBox}>
+                <BatchPicker dark label="Add to batches" batches={batches} value={batchDraft} onChange={setBatchDraft} />
+                <div style={styles.actions}>
+                  <button onClick={() => review(s, "approve")} disabled={busy === s.mobile} style={styles.btn}>
+                    {busy === s.mobile ? "Working..." : "Confirm Approval"}
+                  </button>
+                  <button onClick={() => setApproving(null)} style={{ ...styles.btn, ...styles.btnGhost }}>Cancel</button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))
+      )}
+
+      <div style={{ ...styles.actions, marginTop: 16 }}>
+        <button onClick={onClose} style={{ ...styles.btn, ...styles.btnGhost }}>Close</button>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  panel: { background: "#1e2937", borderRadius: "12px", padding: "24px", marginBottom: "24px", border: "1px solid #334155" },
+  title: { margin: "0 0 10px 0", fontSize: "1.25rem", fontWeight: "700", color: "#e2e8f0" },
+  hint: { margin: "0 0 16px 0", fontSize: "0.85rem", color: "#94a3b8", lineHeight: 1.5 },
+  filters: { display: "flex", gap: "8px", flexWrap: "wrap", marginBottom: "14px" },
+  filter: { padding: "4px 12px", background: "transparent", border: "1px solid", borderRadius: "20px", fontSize: "0.8rem", color: "#e2e8f0", cursor: "pointer" },
+  error: { padding: "10px 14px", background: "rgba(239, 68, 68, 0.12)", border: "1px solid #dc2626", borderRadius: "8px", color: "#fecaca", fontSize: "0.9rem", marginBottom: "12px" },
+  success: { padding: "10px 14px", background: "rgba(16, 185, 129, 0.12)", border: "1px solid #059669", borderRadius: "8px", color: "#a7f3d0", fontSize: "0.9rem", marginBottom: "12px" },
+  row: { padding: "12px 14px", background: "#0f172a", border: "1px solid #334155", borderRadius: "8px", marginBottom: "10px" },
+  rowMain: { display: "flex", justifyContent: "space-between", alignItems: "center", gap: "12px", flexWrap: "wrap" },
+  name: { fontWeight: "600", color: "#e2e8f0" },
+  meta: { fontSize: "0.8rem", color: "#94a3b8", marginTop: "2px" },
+  approveBox: { marginTop: "12px", paddingTop: "12px", borderTop: "1px solid #334155" },
+  actions: { display: "flex", gap: "8px", flexWrap: "wrap" },
+  btn: { display: "inline-flex", alignItems: "center", gap: "6px", padding: "8px 14px", background: "linear-gradient(135deg, #10b981 0%, #059669 100%)", color: "#fff", border: "none", borderRadius: "6px", fontSize: "0.88rem", fontWeight: "600", cursor: "pointer" },
+  btnDanger: { background: "linear-gradient(135deg, #ef4444 0%, #dc2626 100%)" },
+  btnGhost: { background: "#1e2937", border: "1px solid #334155" },
+};
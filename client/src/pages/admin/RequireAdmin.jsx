@@ -0,0 +1,15 @@
+import { Navigate, useLocation } from "react-router-dom";
+import { getAdminSession, hasRole } from "../../utils/adminAuth";
+
+export default function RequireAdmin({ roles = [], children }) {
+  const location = useLocation();
+  const session = getAdminSession();
+
+  if (!session) {
+    return <Navigate to="/admin/login" replace state={{ from: location }} />;
+  }
+  if (!hasRole(session.role, roles)) {
+    return <Navigate to="/admin" replace />;
+  }
+  return children;
+}
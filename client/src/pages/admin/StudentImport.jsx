@@ -0,0 +1,184 @@
+import { useState } from "react";
+import { FiUpload, FiList, FiDownload } from "react-icons/fi";
+import { adminHeaders } from "../../utils/adminAuth";
+
+const API = "https://academy-backend-e02j.onrender.com/api/students";
+
+const STATUS_COLORS = { accepted: "#10b981", skipped: "#94a3b8", error: "#ef4444" };
+
+const csvCell = (v) => `"${String(v ?? "").replace(/"/g, '""')}"`;
+
+// Bulk admission: check an Excel/CSV sheet row by row, then create every valid student
+export default function StudentImport({ onImported, onClose }) {
+  const [file, setFile] = useState(null);
+  const [generatePasswords, setGeneratePasswords] = useState(true);
+  const [skipErrors, setSkipErrors] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [show, setShow] = useState("all");
+
+  const formData = (extra = {}) => {
+    const fd = new FormData();
+    fd.append("studentFile", file);
+    fd.append("generatePasswords", generatePasswords);
+    Object.entries(extra).forEach(([k, v]) => fd.append(k, v));
+    return fd;
+  };
+
+  const reset = (changes) => { setPreview(null); setResult(null); setSkipErrors(false); setError(""); changes(); };
+
+  const check = async () => {
+    if (!file) return setError("Choose a file first");
+    setLoading(true); setError(""); setResult(null);
+    try {
+      const res = await fetch(`${API}/import/preview`, { method: "POST", headers: adminHeaders(), body: formData() });
+      const data = await res.json();
+      if (res.ok) {
+        setPreview(data);
+        setShow(data.summary.errors ? "error" : "all");
+      } else setError(data.error || "Could not check the file");
+    } catch (err) {
+      setError("Connection error: " + err.message);
+    }
+    setLoading(false);
+  };
+
+  const runImport = async () => {
+    setLoading(true); setError("");
+    try {
+      const res = await fetch(`${API}/import`, { method: "POST", headers: adminHeaders(), body: formData({ skipErrors }) });
+      const data = await res.json();
+      if (res.ok) {
+        setResult(data);
+        setPreview({ summary: data.summary, report: data.report });
+        onImported(data.created);
+      } else {
+        if (data.report) setPreview({ summary: data.summary, report: data.report });
+        setError(data.error || "Import failed");
+      }
+    } catch (err) {
+      setError("Connection error: " + err.message);
+    }
+    setLoading(false);
+  };
+
+  const downloadCredentials = () => {
+    const lines = [["Name", "Mobile", "Roll", "Password"], ...result.credentials.map((c) => [c.name, c.mobile, c.roll, c.password])];
+    const blob = new Blob([lines.map((l) => l.map(csvCell).join(",")).join("\n")], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `student-passwords-${new Date().toISOString().slice(0, 10)}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const hasErrors = preview?.summary.errors > 0;
+  const rows = !preview ? [] : show === "all" ? preview.report : preview.report.filter((r) => r.status === show);
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={styles.title}>Bulk Import Students</h3>
+      <p style={styles.hint}>
+        Excel (.xlsx/.xls) or CSV with a header row: <strong>Name</strong>, <strong>Mobile</strong>, and optionally Roll, Password and Batch
+        (several batches separated by commas). Batches must already exist; passwords need at least 6 characters.
+      </p>
+
+      <label style={styles.fileBox}>
+        <FiUpload size={18} />
+        <span>{file ? file.name : "Choose file"}</span>
+        <input type="file" accept=".xlsx,.xls,.csv" style={{ display: "none" }} onChange={(e) => reset(() => setFile(e.target.files[0] || null))} />
+      </label>
+
+      <label style={styles.checkRow}>
+        <input type="checkbox" checked={generatePasswords} onChange={(e) => reset(() => setGeneratePasswords(e.target.checked))} />
+        Generate a password where the Password cell is blank
+      </label>
+      {hasErrors && !result && (
+        <label style={styles.checkRow}>
+          <input type="checkbox" checked={skipErrors} onChange={(e) => setSkipErrors(e.target.checked)} />
+          Skip the {preview.summary.errors} row{preview.summary.errors > 1 ? "s" : ""} with errors and import the rest
+        </label>
+      )}
+
+      {error && <div style={styles.error}>{error}</div>}
+      {result && (
+        <div style={styles.success}>
+          ✅ {result.created} student{result.created === 1 ? "" : "s"} created.
+          {result.credentials.length > 0 && (
+            <button onClick={downloadCredentials} style={styles.linkBtn}>
+              <FiDownload size={14} /> Download {result.credentials.length} generated password{result.credentials.length > 1 ? "s" : ""}
+            </button>
+          )}
+          {result.credentials.length > 0 && <div style={styles.hint}>Passwords are shown only now — download them before closing.</div>}
+        </div>
+      )}
+
+      <div style={styles.actions}>
+        <button onClick={check} disabled={loading || !file} style={{ ...styles.btn, ...styles.btnGhost, opacity: loading || !file ? 0.5 : 1 }}>
+          <FiList size={14} /> Check File
+        </button>
+        {!result && (
+          <button
+            onClick={runImport}
+            disabled={loading || !preview || preview.summary.accepted === 0 || (hasErrors && !skipErrors)}
+            style={{ ...styles.btn, opacity: loading || !preview || preview.summary.accepted === 0 || (hasErrors && !skipErrors) ? 0.5 : 1 }}
+          >
+            <FiUpload size={14} /> {loading ? "Working..." : `Import ${preview ? preview.summary.accepted : ""} Students`}
+          </button>
+        )}
+        <button onClick={onClose} style={{ ...styles.btn, ...styles.btnGhost }}>Close</button>
+      </div>
+
+      {preview && (
+        <>
+          <div style={styles.filters}>
+            {[["all", `All ${preview.summary.rows}`], ["accepted", `✓ ${preview.summary.accepted} ok`], ["skipped", `⊘ ${preview.summary.skipped} skipped`], ["error", `✕ ${preview.summary.errors} errors`]].map(([id, label]) => (
+              <button key={id} onClick={() => setShow(id)} style={{ ...styles.filter, color: STATUS_COLORS[id] || "#e2e8f0", borderColor: show === id ? "#3b82f6" : "#334155" }}>{label}</button>
+            ))}
+          </div>
+          <div style={styles.tableWrap}>
+            <table style={styles.table}>
+              <thead><tr>{["Row", "Name", "Mobile", "Status"].map((h) => <th key={h} style={styles.th}>{h}</th>)}</tr></thead>
+              <tbody>
+                {rows.map((r) => (
+                  <tr key={r.row}>
+                    <td style={styles.td}>{r.row}</td>
+                    <td style={styles.td}>{r.name || "—"}</td>
+                    <td style={styles.td}>{r.mobile || "—"}</td>
+                    <td style={{ ...styles.td, color: STATUS_COLORS[r.status] }}>
+                      <span style={{ fontWeight: 600, textTransform: "capitalize" }}>{r.status}</span>
+                      {r.reason && <div style={{ fontSize: "0.78rem" }}>{r.reason}</div>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  panel: { background: "#1e2937", borderRadius: "12px", padding: "24px", marginBottom: "24px", border: "1px solid #334155" },
+  title: { margin: "0 0 10px 0", fontSize: "1.25rem", fontWeight: "700", color: "#e2e8f0" },
+  hint: { margin: "0 0 16px 0", fontSize: "0.85rem", color: "#94a3b8", lineHeight: 1.5 },
+  fileBox: { display: "flex", alignItems: "center", gap: "10px", padding: "14px 16px", background: "#0f172a", border: "2px dashed #334155", borderRadius: "8px", color: "#94a3b8", cursor: "pointer", marginBottom: "14px" },
+  checkRow: { display: "flex", alignItems: "center", gap: "8px", fontSize: "0.9rem", color: "#cbd5e1", marginBottom: "10px", cursor: "pointer" },
+  error: { padding: "10px 14px", background: "rgba(239, 68, 68, 0.12)", border: "1px solid #dc2626", borderRadius: "8px", color: "#fecaca", fontSize: "0.9rem", marginBottom: "12px" },
+  success: { padding: "10px 14px", background: "rgba(16, 185, 129, 0.12)", border: "1px solid #059669", borderRadius: "8px", color: "#a7f3d0", fontSize: "0.9rem", marginBottom: "12px" },
+  linkBtn: { display: "inline-flex", alignItems: "center", gap: "6px", marginLeft: "10px", background: "none", border: "none", color: "#60a5fa", fontWeight: "600", cursor: "pointer", fontSize: "0.9rem", padding: 0 },
+  actions: { display: "flex", gap: "10px", flexWrap: "wrap", marginTop: "6px" },
+  btn: { display: "inline-flex", alignItems: "center", gap: "6px", padding: "10px 18px", background: "linear-gradient(135deg, #10b981 0%, #059669 100%)", color: "#fff", border: "none", borderRadius: "6px", fontSize: "0.95rem", fontWeight: "600", cursor: "pointer" },
+  btnGhost: { background: "#0f172a", border: "1px solid #334155" },
+  filters: { display: "flex", gap: "8px", flexWrap: "wrap", margin: "18px 0 10px" },
+  filter: { padding: "4px 10px", background: "transparent", border: "1px solid", borderRadius: "20px", fontSize: "0.8rem", cursor: "pointer" },
+  tableWrap: { maxHeight: "360px", overflow: "auto", border: "1px solid #334155", borderRadius: "8px" },
+  table: { width: "100%", borderCollapse: "collapse", fontSize: "0.88rem" },
+  th: { position: "sticky", top: 0, background: "#0f172a", textAlign: "left", padding: "8px 10px", color: "#94a3b8", borderBottom: "1px solid #334155" },
+  td: { padding: "8px 10px", borderBottom: "1px solid #334155", color: "#e2e8f0", verticalAlign: "top" },
+};
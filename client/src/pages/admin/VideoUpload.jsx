@@ -1,12 +1,14 @@
 import { useState, useEffect } from "react";
 import { FiTrash2, FiPlus, FiVideo, FiX, FiSearch, FiFilter, FiCopy, FiCheck } from "react-icons/fi";
 import { MdOutlineOndemandVideo } from "react-icons/md";
+import { adminHeaders } from "../../utils/adminAuth";
+import BatchPicker, { useBatches, batchNames } from "./BatchPicker";
 
 const API = "https://academy-backend-e02j.onrender.com/api/videos";
 const SUBJECTS = ["General Knowledge (GK)", "English", "Kannada", "Maths"];
 
 export default function VideoUpload() {
-  const [form, setForm] = useState({ subject: SUBJECTS[0], videoNumber: "", title: "", youtubeUrl: "" });
+  const [form, setForm] = useState({ subject: SUBJECTS[0], videoNumber: "", title: "", youtubeUrl: "", batches: [] });
   const [videos, setVideos] = useState([]);
   const [msg, setMsg] = useState("");
   const [loading, setLoading] = useState(false);
@@ -14,11 +16,12 @@ export default function VideoUpload() {
   const [search, setSearch] = useState("");
   const [filter, setFilter] = useState("all");
   const [copied, setCopied] = useState(null);
+  const { batches } = useBatches();
 
   useEffect(() => { fetchVideos(); }, []);
 
   const fetchVideos = async () => {
-    try { const res = await fetch(API); setVideos(await res.json()); } catch {}
+    try { const res = await fetch(API, { headers: adminHeaders() }); setVideos(await res.json()); } catch {}
   };
 
   const handleChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
@@ -27,10 +30,10 @@ export default function VideoUpload() {
     e.preventDefault();
     setLoading(true);
     try {
-      const res = await fetch(API, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(form) });
+      const res = await fetch(API, { method: "POST", headers: adminHeaders({ "Content-Type": "application/json" }), body: JSON.stringify(form) });
       if (res.ok) {
         setMsg("✓ Video added");
-        setForm({ subject: SUBJECTS[0], videoNumber: "", title: "", youtubeUrl: "" });
+        setForm({ subject: SUBJECTS[0], videoNumber: "", title: "", youtubeUrl: "", batches: [] });
         setShowForm(false);
         fetchVideos();
       } else setMsg("✗ Failed to add");
@@ -41,7 +44,7 @@ export default function VideoUpload() {
 
   const handleDelete = async (id) => {
     if (!window.confirm("Delete this video?")) return;
-    await fetch(`${API}/${id}`, { method: "DELETE" });
+    await fetch(`${API}/${id}`, { method: "DELETE", headers: adminHeaders() });
     fetchVideos();
   };
 
@@ -142,6 +145,9 @@ export default function VideoUpload() {
                   <label style={{ fontSize: 12, color: "#666", marginBottom: 6, display: "block", fontWeight: 500 }}>YouTube URL</label>
                   <input name="youtubeUrl" value={form.youtubeUrl} onChange={handleChange} placeholder="https://youtube.com/watch?v=..." required style={{ width: "100%", padding: 12, borderRadius: 10, border: "1px solid #e5e5e5", fontSize: 14, background: "#fafafa" }} />
                 </div>
+                <div style={{ gridColumn: "1 / -1" }}>
+                  <BatchPicker batches={batches} value={form.batches} onChange={(ids) => setForm({ ...form, batches: ids })} />
+                </div>
               </div>
               {msg && <p style={{ margin: "12px 0 0", fontSize: 13, color: msg.includes("✓") ? "#059669" : "#dc2626" }}>{msg}</p>}
               <div style={{ display: "flex", gap: 10, marginTop: 20 }}>
@@ -176,6 +182,7 @@ export default function VideoUpload() {
                     <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 4 }}>
                       <span style={{ width: 6, height: 6, borderRadius: "50%", background: theme.dot }} />
                       <span style={{ fontSize: 11, color: theme.text, fontWeight: 500 }}>{v.subject}</span>
+                      {v.batches?.length > 0 && <span style={{ fontSize: 11, color: "#64748b" }}>• 👥 {batchNames(v.batches)}</span>}
                     </div>
                     <p style={{ margin: 0, fontSize: 15, fontWeight: 500, color: "#1a1a1a", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{v.title}</p>
                   </div>
@@ -0,0 +1,58 @@
+// Score tiles and the trend chart, shared by the student progress page and the
+// admin student report. `large` gives the roomier admin layout.
+
+export const percentColor = (p) => (p >= 80 ? "#22c55e" : p >= 60 ? "#eab308" : "#ef4444");
+export const shortDate = (d) => new Date(d).toLocaleDateString("en-IN", { day: "numeric", month: "short" });
+
+export function Tile({ label, value, color, large = false }) {
+  return (
+    <div style={large ? { ...styles.tile, ...styles.tileLarge } : styles.tile}>
+      <div style={{ ...(large ? styles.tileValueLarge : styles.tileValue), color }}>{value}</div>
+      <div style={{ ...styles.tileLabel, fontSize: large ? "0.8rem" : "0.7rem" }}>{label}</div>
+    </div>
+  );
+}
+
+// Percent per test for the student (solid) and the batch average (dashed), oldest on the left
+export function TrendChart({ points, emptyText = "No tests taken yet.", large = false }) {
+  if (points.length === 0) return <p style={styles.muted}>{emptyText}</p>;
+  const [W, H, PAD] = large ? [640, 180, 28] : [320, 150, 24];
+  const grid = large ? [0, 25, 50, 75, 100] : [0, 50, 100];
+  const fontSize = large ? 9 : 8;
+  const x = (i) => (points.length === 1 ? W / 2 : PAD + (i * (W - PAD * 2)) / (points.length - 1));
+  const y = (p) => H - PAD - (p / 100) * (H - PAD * 2);
+  const line = (key) => points.filter((p) => p[key] !== null).map((p) => `${x(points.indexOf(p))},${y(p[key])}`).join(" ");
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height: "auto" }}>
+      {grid.map((g) => (
+        <g key={g}>
+          <line x1={PAD} x2={W - PAD} y1={y(g)} y2={y(g)} stroke="#334155" strokeWidth="0.5" />
+          <text x={2} y={y(g) + 3} fill="#64748b" fontSize={fontSize}>{g}%</text>
+        </g>
+      ))}
+      <polyline points={line("batchAverage")} fill="none" stroke="#64748b" strokeWidth="1.5" strokeDasharray="4 3" />
+      <polyline points={line("percent")} fill="none" stroke="#3b82f6" strokeWidth="2" />
+      {points.map((p, i) => (
+        <circle key={p.resultId} cx={x(i)} cy={y(p.percent)} r={large ? 3.5 : 3} fill={percentColor(p.percent)}>
+          <title>{`${p.title} (${p.subject}) • ${p.percent}%${p.batchAverage !== null ? ` • batch ${p.batchAverage}%` : ""}`}</title>
+        </circle>
+      ))}
+      {points.length > 1 && (
+        <>
+          <text x={x(0)} y={H - 6} fill="#64748b" fontSize={fontSize} textAnchor="start">{shortDate(points[0].scheduledAt)}</text>
+          <text x={x(points.length - 1)} y={H - 6} fill="#64748b" fontSize={fontSize} textAnchor="end">{shortDate(points[points.length - 1].scheduledAt)}</text>
+        </>
+      )}
+    </svg>
+  );
+}
+
+const styles = {
+  muted: { margin: 0, color: "#64748b", fontSize: "0.9rem" },
+  tile: { background: "#1e2937", border: "1px solid #334155", borderRadius: "12px", padding: "12px 6px", textAlign: "center" },
+  tileLarge: { background: "linear-gradient(135deg, #1e293b 0%, #0f172a 100%)", borderRadius: "14px", padding: "16px" },
+  tileValue: { fontSize: "1.3rem", fontWeight: "700", lineHeight: 1.1 },
+  tileValueLarge: { fontSize: "1.6rem", fontWeight: "800", lineHeight: 1.1 },
+  tileLabel: { color: "#94a3b8", marginTop: "4px" },
+};
@@ -1,9 +1,15 @@
-  import { useState, useEffect, useRef } from "react";
+  import { useState, useEffect, useRef, useCallback } from "react";
   import { useNavigate } from "react-router-dom";
   import { FiHome, FiVideo, FiFileText, FiUser, FiLock, FiPhone, FiCheckCircle, FiChevronLeft, FiChevronRight, FiSend, FiClock, FiAlertCircle } from "react-icons/fi";
 
   const API = "https://academy-backend-e02j.onrender.com/api";
 
+  const markingText = (e) => {
+    const m = e.marking || { perCorrect: 1, perWrong: 0 };
+    const wrong = m.perWrong ? `−${m.perWrong} per wrong` : "no negative marking";
+    return `+${m.perCorrect} per correct • ${wrong}${e.maxScore ? ` • Max ${e.maxScore}` : ""}`;
+  };
+
   export default function StudentExam() {
     const navigate = useNavigate();
     const [screen, setScreen] = useState("checking");
@@ -16,12 +22,16 @@
     const [result, setResult] = useState(null);
     const [loading, setLoading] = useState(false);
     const [msg, setMsg] = useState(null);
-    const [countdown, setCountdown] = useState(null);
+    const [exams, setExams] = useState({ live: [], upcoming: [] });
+    const [submittedIds, setSubmittedIds] = useState([]);
+    const [now, setNow] = useState(Date.now());
     const [backgroundRetryActive, setBackgroundRetryActive] = useState(false);
     const [confirmDialog, setConfirmDialog] = useState({ open: false, title: "", description: "", action: null });
     const timerRef = useRef(null);
     const countdownRef = useRef(null);
     const backgroundRetryRef = useRef(null);
+    const [autosavedAt, setAutosavedAt] = useState(null);
+    const progressRef = useRef(null);
 
     const [loginForm, setLoginForm] = useState({ mobile: "", password: "" });
   useEffect(() => {
@@ -167,39 +177,29 @@
     const checkAndRoute = async (t = token) => {
       setLoading(true);
       try {
-        const res = await fetch(`${API}/exam/active-exam`);
-        const data = await res.json();
+        const [examsRes, resultsRes] = await Promise.all([
+          fetch(`${API}/exam/active-exams`, { headers: { Authorization: `Bearer ${t}` } }),
+          fetch(`${API}/students/my-results`, { headers: { Authorization: `Bearer ${t}` } }),
+        ]);
+        const data = await examsRes.json();
+        const myResults = resultsRes.ok ? await resultsRes.json() : [];
+        const doneIds = myResults.map((r) => r.examId);
         setLoading(false);
-        if (data.state === "live") {
-          // Check if exam was already submitted
-          const examLocked = localStorage.getItem("gp_exam_locked");
-          if (examLocked === "true") {
-            setMsg({ type: "info", text: "Exam already submitted. Check results." });
-            setScreen("noexam");
-            return;
-          }
-          
-          setExam(data.exam);
-          const savedExamId = localStorage.getItem("gp_exam_id");
-          const savedAnswers = localStorage.getItem("gp_exam_answers");
-          const savedQ = localStorage.getItem("gp_exam_q");
-          if (savedExamId === data.exam._id && savedAnswers) {
-            setAnswers(JSON.parse(savedAnswers));
-            setCurrentQ(savedQ ? Number(savedQ) : 0);
-          } else {
-            localStorage.removeItem("gp_exam_answers");
-            localStorage.removeItem("gp_exam_q");
-            localStorage.setItem("gp_exam_id", data.exam._id);
-            setAnswers({}); setCurrentQ(0);
-          }
-          startExamTimer(new Date(data.exam.expiresAt));
-          setScreen("exam");
-        } else if (data.state === "upcoming") {
-          setExam(data.exam);
-          startCountdown(new Date(data.exam.scheduledAt));
-          setScreen("upcoming");
-        } else {
+        setExams(data);
+        setSubmittedIds(doneIds);
+
+        // Resume an exam that was in progress on this device
+        const savedExamId = localStorage.getItem("gp_exam_id");
+        const inProgress = data.live.find((e) => e._id === savedExamId && !doneIds.includes(e._id));
+        if (inProgress && localStorage.getItem("gp_exam_locked") !== inProgress._id) {
+          return openExam(inProgress);
+        }
+
+        if (data.live.length === 0 && data.upcoming.length === 0) {
           setScreen("noexam");
+        } else {
+          startListClock();
+          setScreen("list");
         }
       } catch {
         setLoading(false);
@@ -207,29 +207,105 @@
       }
     };
 
-    const startExamTimer = (expiresAt) => {
-      clearInterval(timerRef.current);
+    const openExam = async (summary) => {
+      if (localStorage.getItem("gp_exam_locked") === summary._id || submittedIds.includes(summary._id)) {
+        setMsg({ type: "info", text: "Exam already submitted. Check results." });
+        return;
+      }
+      setLoading(true);
+      try {
+        const authToken = token || localStorage.getItem("gp_token");
+        const res = await fetch(`${API}/exam/active-exams/${summary._id}`, {
+          headers: { Authorization: `Bearer ${authToken}` },
+        });
+        const data = await res.json();
+        setLoading(false);
+        if (!res.ok) {
+          setMsg({ type: "error", text: data.error || "Unable to open exam" });
+          return checkAndRoute();
+        }
+
+        clearInterval(countdownRef.current);
+        setMsg(null);
+        setExam(data);
+        const savedExamId = localStorage.getItem("gp_exam_id");
+        const savedAnswers = localStorage.getItem("gp_exam_answers");
+        const savedQ = localStorage.getItem("gp_exam_q");
+        const localSavedAt = Number(localStorage.getItem("gp_exam_saved_at")) || 0;
+        const server = data.progress;
+        // Whichever checkpoint is newer wins: this device's, or the server's from any device
+        if (server && (savedExamId !== data._id || !savedAnswers || new Date(server.savedAt).getTime() > localSavedAt)) {
+          localStorage.setItem("gp_exam_id", data._id);
+          localStorage.setItem("gp_exam_answers", JSON.stringify(server.answers));
+          localStorage.setItem("gp_exam_q", server.currentQuestion || 0);
+          localStorage.setItem("gp_exam_saved_at", new Date(server.savedAt).getTime());
+          setAnswers(server.answers);
+          setCurrentQ(server.currentQuestion || 0);
+          setAutosavedAt(new Date(server.savedAt));
+        } else if (savedExamId === data._id && savedAnswers) {
+          setAnswers(JSON.parse(savedAnswers));
+          setCurrentQ(savedQ ? Number(savedQ) : 0);
+        } else {
+          localStorage.removeItem("gp_exam_answers");
+          localStorage.removeItem("gp_exam_q");
+          localStorage.removeItem("gp_exam_saved_at");
+          localStorage.setItem("gp_exam_id", data._id);
+          setAnswers({}); setCurrentQ(0); setAutosavedAt(null);
+        }
+        setScreen("exam");
+      } catch {
+        setLoading(false);
+        setMsg({ type: "error", text: "Connection error" });
+      }
+    };
+
+    // Counts down to the open exam's deadline and submits at zero. Restarted whenever
+    // the exam changes; submits through a ref so it sends the current answers.
+    const submitRef = useRef(null);
+    useEffect(() => {
+      submitRef.current = handleSubmit;
+    });
+    useEffect(() => {
+      if (!exam) return;
+      const expiresAt = new Date(exam.deadline || exam.expiresAt);
       const tick = () => {
         const diff = Math.max(0, Math.floor((expiresAt - new Date()) / 1000));
         setTimeLeft(diff);
-        if (diff === 0) { clearInterval(timerRef.current); handleSubmit(true); }
+        if (diff === 0) { clearInterval(timerRef.current); submitRef.current(true); }
       };
       tick();
       timerRef.current = setInterval(tick, 1000);
-    };
+      return () => clearInterval(timerRef.current);
+    }, [exam]);
 
-    const startCountdown = (startAt) => {
+    // Ticks the upcoming-exam countdowns on the list screen
+    const startListClock = () => {
       clearInterval(countdownRef.current);
-      const tick = () => {
-        const diff = Math.max(0, Math.floor((startAt - new Date()) / 1000));
-        const h = Math.floor(diff / 3600);
-        const m = Math.floor((diff % 3600) / 60);
-        const s = diff % 60;
-        setCountdown({ h, m, s, diff });
-        if (diff === 0) { clearInterval(countdownRef.current); checkAndRoute(); }
+      countdownRef.current = setInterval(() => setNow(Date.now()), 1000);
+    };
+
+    // Refresh the list once an upcoming exam's start time arrives. Checked on each
+    // clock tick through a ref, so the tick sees the current screen and exams.
+    const listTickRef = useRef(null);
+    useEffect(() => {
+      listTickRef.current = () => {
+        if (screen !== "list") return;
+        if (exams.upcoming.some((e) => new Date(e.scheduledAt).getTime() <= now)) {
+          clearInterval(countdownRef.current);
+          checkAndRoute();
+        }
       };
-      tick();
-      countdownRef.current = setInterval(tick, 1000);
+    });
+    useEffect(() => {
+      listTickRef.current();
+    }, [now]);
+
+    const fmtCountdown = (target) => {
+      const diff = Math.max(0, Math.floor((new Date(target) - now) / 1000));
+      const h = Math.floor(diff / 3600);
+      const m = Math.floor((diff % 3600) / 60);
+      const sec = diff % 60;
+      return `${String(h).padStart(2,"0")}:${String(m).padStart(2,"0")}:${String(sec).padStart(2,"0")}`;
     };
 
     const doLogin = async () => {
@@ -263,10 +339,43 @@
       setAnswers((a) => {
         const updated = { ...a, [qId]: opt };
         localStorage.setItem("gp_exam_answers", JSON.stringify(updated));
+        localStorage.setItem("gp_exam_saved_at", Date.now());
         return updated;
       });
     };
 
+    // Checkpoint answers on the server so the exam can be resumed on another device
+    // and graded even if the student never presses submit
+    const saveProgress = useCallback(async () => {
+      const pending = progressRef.current;
+      if (!pending) return;
+      progressRef.current = null;
+      try {
+        const authToken = localStorage.getItem("gp_token");
+        const res = await fetch(`${API}/exam/active-exams/${pending.examId}/progress`, {
+          method: "PUT",
+          keepalive: true,
+          headers: { "Content-Type": "application/json", Authorization: `Bearer ${authToken}` },
+          body: JSON.stringify({ answers: pending.answers, currentQuestion: pending.currentQuestion }),
+        });
+        if (res.ok) setAutosavedAt(new Date((await res.json()).savedAt));
+      } catch {}
+    }, []);
+
+    useEffect(() => {
+      if (screen !== "exam" || !exam) return;
+      progressRef.current = { examId: exam._id, answers, currentQuestion: currentQ };
+      const t = setTimeout(saveProgress, 1500);
+      return () => clearTimeout(t);
+    }, [answers, currentQ, screen, exam, saveProgress]);
+
+    // Don't wait for the debounce when the tab is hidden or the phone is locked
+    useEffect(() => {
+      const flush = () => { if (document.visibilityState === "hidden") saveProgress(); };
+      document.addEventListener("visibilitychange", flush);
+      return () => document.removeEventListener("visibilitychange", flush);
+    }, [saveProgress]);
+
     const handleSubmit = async (auto = false) => {
       if (!auto) {
         const unanswered = exam.questions.length - Object.keys(answers).length;
@@ -291,13 +400,14 @@
         );
       }
       clearInterval(timerRef.current);
+      progressRef.current = null;
 
       const finalAnswers = { ...answers };
       const authToken = token || localStorage.getItem("gp_token");
 
       localStorage.setItem("gp_exam_answers_final", JSON.stringify(finalAnswers));
       localStorage.setItem("gp_exam_id_final", exam._id);
-      localStorage.setItem("gp_exam_locked", "true");
+      localStorage.setItem("gp_exam_locked", exam._id);
 
       // Save for background retry in case of failure
       localStorage.setItem("gp_pending_exam_id", exam._id);
@@ -378,6 +488,7 @@
             localStorage.removeItem("gp_exam_answers");
             localStorage.removeItem("gp_exam_answers_final");
             localStorage.removeItem("gp_exam_q");
+            localStorage.removeItem("gp_exam_saved_at");
             localStorage.removeItem("gp_exam_id");
             localStorage.removeItem("gp_exam_id_final");
             localStorage.removeItem("gp_exam_locked");
@@ -412,31 +523,52 @@
     );
   }
 
-    if (screen === "upcoming") {
+    if (screen === "list") {
       return (
         <div style={styles.container}>
           <div style={styles.card}>
             <div style={styles.header}>
               <h2 style={styles.title}>Welcome, {studentName}</h2>
-              <p style={styles.subtitle}>Exam starts soon</p>
-            </div>
-            
-            <div style={styles.upcomingBox}>
-              <div style={styles.examIcon}>📋</div>
-              <h3 style={styles.examTitle}>{exam?.title}</h3>
-              <p style={styles.examInfo}>{exam?.subject} • Test #{exam?.testNumber}</p>
-              <p style={styles.examInfo}>{exam?.totalQuestions} Questions • {exam?.durationMinutes} mins</p>
+              <p style={styles.subtitle}>Choose an exam</p>
             </div>
 
-            {countdown && (
-              <div style={styles.countdownBox}>
-                <p style={styles.countdownLabel}>Starts in</p>
-                <div style={styles.countdownTime}>
-                  {String(countdown.h).padStart(2,"0")}:{String(countdown.m).padStart(2,"0")}:{String(countdown.s).padStart(2,"0")}
-                </div>
+            {msg && (
+              <div style={{ ...styles.alert, background: msg.type === "error" ? "#fee2e2" : "#eff6ff", color: msg.type === "error" ? "#dc2626" : "#1e3a8a" }}>
+                <FiAlertCircle size={16} /><span style={{ marginLeft: 8 }}>{msg.text}</span>
               </div>
             )}
 
+            {exams.live.map((e) => {
+              const done = submittedIds.includes(e._id) || localStorage.getItem("gp_exam_locked") === e._id;
+              return (
+                <div key={e._id} style={styles.liveBox}>
+                  <h3 style={styles.liveTitle}>{e.title}</h3>
+                  <p style={styles.liveInfo}>{e.subject} • Test #{e.testNumber}</p>
+                  <p style={styles.liveInfo}>{e.totalQuestions} Questions • {e.durationMinutes} mins • Ends in {fmtCountdown(e.expiresAt)}</p>
+                  <p style={styles.liveInfo}>🧮 {markingText(e)}{e.hasWeightedQuestions ? " • some questions carry different marks" : ""}</p>
+                  <button
+                    style={{ ...styles.btnPrimary, opacity: done || loading ? 0.6 : 1 }}
+                    onClick={() => openExam(e)}
+                    disabled={done || loading}
+                  >
+                    {done ? <><FiCheckCircle size={18} /> Submitted</> : "Start Exam"}
+                  </button>
+                </div>
+              );
+            })}
+
+            {exams.upcoming.map((e) => (
+              <div key={e._id} style={styles.upcomingBox}>
+                <div style={styles.examIcon}>📋</div>
+                <h3 style={styles.examTitle}>{e.title}</h3>
+                <p style={styles.examInfo}>{e.subject} • Test #{e.testNumber}</p>
+                <p style={styles.examInfo}>{e.totalQuestions} Questions • {e.durationMinutes} mins</p>
+                <p style={styles.examInfo}>🧮 {markingText(e)}</p>
+                <p style={styles.countdownLabel}>Starts in</p>
+                <div style={styles.countdownTime}>{fmtCountdown(e.scheduledAt)}</div>
+              </div>
+            ))}
+
             <button style={styles.btnPrimary} onClick={() => checkAndRoute()}>Refresh</button>
             <button style={styles.btnOutline} onClick={() => navigate("/student")}>Back to Home</button>
           </div>
@@ -486,10 +618,15 @@
           <div style={styles.progressBar}>
             <div style={{...styles.progressFill, width: `${progress}%`}} />
           </div>
-          <p style={styles.progressText}>Question {currentQ + 1} of {total}</p>
+          <p style={styles.progressText}>Question {currentQ + 1} of {total}{autosavedAt && ` • Saved ${autosavedAt.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`}</p>
 
           {/* Question */}
           <div style={styles.questionCard}>
+            {(q.marks != null || q.penalty != null) && (
+              <p style={styles.questionMarks}>
+                +{q.marks ?? exam.marking?.perCorrect ?? 1} marks{(q.penalty ?? exam.marking?.perWrong) ? ` • −${q.penalty ?? exam.marking?.perWrong} if wrong` : ""}
+              </p>
+            )}
             <p style={styles.questionText}>{q.questionText}</p>
             
             <div style={styles.optionsList}>
@@ -594,7 +731,9 @@
     }
 
     if (screen === "result" && result) {
-      const pct = Math.round((result.correct / result.total) * 100);
+      const pct = result.maxScore
+        ? Math.round((Math.max(0, result.score) / result.maxScore) * 100)
+        : Math.round((result.correct / result.total) * 100);
       return (
         <div style={styles.container}>
           <div style={styles.card}>
@@ -604,7 +743,7 @@
             </div>
 
             <div style={styles.scoreCircle}>
-              <span style={styles.scoreNum}>{result.correct}/{result.total}</span>
+              <span style={styles.scoreNum}>{result.maxScore ? `${result.score}/${result.maxScore}` : `${result.correct}/${result.total}`}</span>
               <span style={styles.scoreLabel}>SCORE</span>
             </div>
 
@@ -623,7 +762,21 @@
               </div>
             </div>
 
-            <button style={styles.btnPrimary} onClick={() => navigate("/student")}>
+            {result.autoSubmitted && (
+              <div style={{ ...styles.alert, background: "#fef3c7", color: "#92400e" }}>
+                <FiAlertCircle size={16} /> Your time ran out before you submitted — your last saved answers were graded.
+              </div>
+            )}
+            {result.late && (
+              <div style={{ ...styles.alert, background: "#fef3c7", color: "#92400e" }}>
+                <FiAlertCircle size={16} /> Submitted after your time ran out — marked as late.
+              </div>
+            )}
+
+            <button style={styles.btnPrimary} onClick={() => checkAndRoute()}>
+              <FiFileText size={18} /> Other Exams
+            </button>
+            <button style={styles.btnOutline} onClick={() => navigate("/student")}>
               <FiHome size={18} /> Go Home
             </button>
           </div>
@@ -821,6 +974,12 @@
       marginBottom: "20px",
       boxShadow: "0 4px 20px rgba(0,0,0,0.06)",
     },
+    questionMarks: {
+      fontSize: "0.75rem",
+      fontWeight: "600",
+      color: "#b45309",
+      margin: "0 0 8px",
+    },
     questionText: {
       fontSize: "1.125rem",
       fontWeight: "600",
@@ -921,6 +1080,24 @@
     },
     
     // Other screens
+    liveBox: {
+      background: "#f0fdf4",
+      border: "2px solid #22c55e",
+      borderRadius: "16px",
+      padding: "20px",
+      marginBottom: "16px",
+    },
+    liveTitle: {
+      fontSize: "1.125rem",
+      fontWeight: "700",
+      color: "#166534",
+      margin: "0 0 4px 0",
+    },
+    liveInfo: {
+      fontSize: "0.875rem",
+      color: "#15803d",
+      margin: "0 0 4px 0",
+    },
     upcomingBox: {
       background: "#fef3c7",
       border: "2px solid #fbbf24",
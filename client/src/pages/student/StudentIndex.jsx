@@ -1,6 +1,6 @@
 import { useNavigate } from "react-router-dom";
 import { useState, useEffect } from "react";
-import { FiVideo, FiTarget, FiClipboard, FiAward, FiUser, FiBookOpen, FiBell, FiCheckCircle, FiAlertCircle } from "react-icons/fi";
+import { FiVideo, FiTarget, FiClipboard, FiAward, FiUser, FiBookOpen, FiBell, FiCheckCircle, FiAlertCircle, FiTrendingUp } from "react-icons/fi";
 
 const API = "https://academy-backend-e02j.onrender.com/api/students";
 
@@ -38,6 +38,13 @@ export default function StudentLanding() {
       color1: "#a855f7",
       color2: "#7c3aed"
     },
+    { 
+      icon: <FiTrendingUp size={28} />, 
+      label: "Progress", 
+      path: "/student/progress", 
+      color1: "#22c55e",
+      color2: "#16a34a"
+    },
     { 
       icon: <FiUser size={28} />, 
       label: "Profile", 
@@ -59,7 +66,10 @@ export default function StudentLanding() {
 
     const fetchNotifications = async () => {
       try {
-        const res = await fetch(`${API}/notifications/active`);
+        const token = localStorage.getItem("gp_token");
+        const res = await fetch(`${API}/notifications/active`, {
+          headers: token ? { Authorization: `Bearer ${token}` } : {},
+        });
         const data = await res.json();
         if (res.ok) {
           setToasts(data);
@@ -8,6 +8,10 @@ export default function StudentLogin() {
   const navigate = useNavigate();
   const location = useLocation();
   const [loginForm, setLoginForm] = useState({ mobile: "", password: "" });
+  const [mode, setMode] = useState("login");
+  const [regForm, setRegForm] = useState({ name: "", mobile: "", roll: "", password: "", confirm: "" });
+  const [otpForm, setOtpForm] = useState({ mobile: "", code: "", newPassword: "", confirm: "" });
+  const [codeSent, setCodeSent] = useState(false);
   const [loading, setLoading] = useState(false);
   const [msg, setMsg] = useState(null);
 
@@ -20,6 +24,13 @@ export default function StudentLogin() {
     }
   }, [navigate, location]);
 
+  const finishLogin = (data) => {
+    localStorage.setItem("gp_token", data.token);
+    localStorage.setItem("gp_name", data.name);
+    const from = location.state?.from?.pathname || "/student";
+    navigate(from, { replace: true });
+  };
+
   const doLogin = async () => {
     setMsg(null);
     if (!loginForm.mobile || !loginForm.password) {
@@ -38,10 +49,7 @@ export default function StudentLogin() {
           setMsg({ type: "error", text: "Your account is inactive. Contact administrator." });
           return;
         }
-        localStorage.setItem("gp_token", data.token);
-        localStorage.setItem("gp_name", data.name);
-        const from = location.state?.from?.pathname || "/student";
-        navigate(from, { replace: true });
+        finishLogin(data);
       } else {
         setMsg({ type: "error", text: data.error || "Login failed" });
       }
@@ -51,6 +59,97 @@ export default function StudentLogin() {
     setLoading(false);
   };
 
+  // Self-registration: the account can log in once the academy approves it
+  const doRegister = async () => {
+    setMsg(null);
+    if (!regForm.name.trim() || !regForm.mobile || !regForm.password) {
+      return setMsg({ type: "error", text: "Enter your name, mobile and a password" });
+    }
+    if (regForm.password !== regForm.confirm) {
+      return setMsg({ type: "error", text: "Passwords do not match" });
+    }
+    setLoading(true);
+    try {
+      const { confirm, ...body } = regForm;
+      const res = await fetch(`${API}/students/register`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setRegForm({ name: "", mobile: "", roll: "", password: "", confirm: "" });
+        setMode("login");
+        setMsg({ type: "success", text: data.message });
+      } else {
+        setMsg({ type: "error", text: data.error || "Registration failed" });
+      }
+    } catch {
+      setMsg({ type: "error", text: "Connection error" });
+    }
+    setLoading(false);
+  };
+
+  // One-time code by SMS, for mode "otp" (login) or "reset" (new password)
+  const requestCode = async () => {
+    setMsg(null);
+    if (!otpForm.mobile) return setMsg({ type: "error", text: "Enter your mobile number" });
+    setLoading(true);
+    try {
+      const res = await fetch(`${API}/students/otp/request`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ mobile: otpForm.mobile, purpose: mode === "otp" ? "login" : "reset" }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setCodeSent(true);
+        setMsg({ type: "success", text: data.message });
+      } else {
+        setMsg({ type: "error", text: data.error || "Could not send the code" });
+      }
+    } catch {
+      setMsg({ type: "error", text: "Connection error" });
+    }
+    setLoading(false);
+  };
+
+  const submitCode = async () => {
+    setMsg(null);
+    if (!otpForm.code) return setMsg({ type: "error", text: "Enter the code from the SMS" });
+    if (mode === "reset" && !otpForm.newPassword) return setMsg({ type: "error", text: "Enter a new password" });
+    if (mode === "reset" && otpForm.newPassword !== otpForm.confirm) return setMsg({ type: "error", text: "Passwords do not match" });
+    setLoading(true);
+    try {
+      const res = await fetch(`${API}/students/${mode === "otp" ? "otp/login" : "otp/reset-password"}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ mobile: otpForm.mobile, code: otpForm.code, newPassword: otpForm.newPassword }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setMsg({ type: "error", text: data.error || "Failed" });
+      } else if (mode === "otp") {
+        finishLogin(data);
+        return;
+      } else {
+        setLoginForm({ mobile: otpForm.mobile, password: "" });
+        setMode("login");
+        setMsg({ type: "success", text: data.message });
+      }
+    } catch {
+      setMsg({ type: "error", text: "Connection error" });
+    }
+    setLoading(false);
+  };
+
+  const switchMode = (next) => {
+    setMode(next);
+    setMsg(null);
+    setCodeSent(false);
+    setOtpForm({ mobile: "", code: "", newPassword: "", confirm: "" });
+  };
+
   const styles = {
     container: {
       minHeight: "100vh",
@@ -146,6 +245,19 @@ export default function StudentLogin() {
       transition: "transform 0.2s",
       marginTop: "8px",
     },
+    switchLink: {
+      background: "none",
+      border: "none",
+      color: "#3b82f6",
+      fontSize: "14px",
+      fontWeight: "600",
+      cursor: "pointer",
+      textAlign: "center",
+    },
+    linkRow: {
+      display: "flex",
+      justifyContent: "space-between",
+    },
     alert: {
       padding: "12px 16px",
       borderRadius: "8px",
@@ -174,7 +286,7 @@ export default function StudentLogin() {
         </div>
 
         <div style={styles.form}>
-          <h2 style={styles.formTitle}>Student Login</h2>
+          <h2 style={styles.formTitle}>{{ login: "Student Login", register: "New Student", otp: "Login with OTP", reset: "Reset Password" }[mode]}</h2>
 
           {msg && (
             <div style={{
@@ -187,31 +299,139 @@ export default function StudentLogin() {
             </div>
           )}
 
-          <input
-            style={styles.input}
-            type="tel"
-            placeholder="Mobile Number"
-            value={loginForm.mobile}
-            onChange={(e) => setLoginForm({ ...loginForm, mobile: e.target.value })}
-            onKeyPress={(e) => e.key === "Enter" && doLogin()}
-          />
-          <input
-            style={styles.input}
-            type="password"
-            placeholder="Password"
-            value={loginForm.password}
-            onChange={(e) => setLoginForm({ ...loginForm, password: e.target.value })}
-            onKeyPress={(e) => e.key === "Enter" && doLogin()}
-          />
-          <button
-            style={styles.btnPrimary}
-            onClick={doLogin}
-            disabled={loading}
-            onMouseEnter={(e) => e.target.style.transform = "translateY(-2px)"}
-            onMouseLeave={(e) => e.target.style.transform = "translateY(0)"}
-          >
-            {loading ? "Please wait..." : "Login"}
-          </button>
+          {mode === "login" ? (
+            <>
+              <input
+                style={styles.input}
+                type="tel"
+                placeholder="Mobile Number"
+                value={loginForm.mobile}
+                onChange={(e) => setLoginForm({ ...loginForm, mobile: e.target.value })}
+                onKeyPress={(e) => e.key === "Enter" && doLogin()}
+              />
+              <input
+                style={styles.input}
+                type="password"
+                placeholder="Password"
+                value={loginForm.password}
+                onChange={(e) => setLoginForm({ ...loginForm, password: e.target.value })}
+                onKeyPress={(e) => e.key === "Enter" && doLogin()}
+              />
+              <button
+                style={styles.btnPrimary}
+                onClick={doLogin}
+                disabled={loading}
+                onMouseEnter={(e) => e.target.style.transform = "translateY(-2px)"}
+                onMouseLeave={(e) => e.target.style.transform = "translateY(0)"}
+              >
+                {loading ? "Please wait..." : "Login"}
+              </button>
+              <div style={styles.linkRow}>
+                <button style={styles.switchLink} onClick={() => switchMode("otp")}>Login with OTP</button>
+                <button style={styles.switchLink} onClick={() => switchMode("reset")}>Forgot password?</button>
+              </div>
+              <button style={styles.switchLink} onClick={() => switchMode("register")}>
+                New student? Request an account
+              </button>
+            </>
+          ) : mode === "otp" || mode === "reset" ? (
+            <>
+              <input
+                style={styles.input}
+                type="tel"
+                placeholder="Mobile Number"
+                value={otpForm.mobile}
+                disabled={codeSent}
+                onChange={(e) => setOtpForm({ ...otpForm, mobile: e.target.value })}
+                onKeyPress={(e) => e.key === "Enter" && !codeSent && requestCode()}
+              />
+              {codeSent && (
+                <input
+                  style={styles.input}
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength={6}
+                  placeholder="6-digit code"
+                  value={otpForm.code}
+                  onChange={(e) => setOtpForm({ ...otpForm, code: e.target.value.replace(/\D/g, "") })}
+                  onKeyPress={(e) => e.key === "Enter" && mode === "otp" && submitCode()}
+                />
+              )}
+              {codeSent && mode === "reset" && (
+                <>
+                  <input
+                    style={styles.input}
+                    type="password"
+                    placeholder="New Password (min 6 characters)"
+                    value={otpForm.newPassword}
+                    onChange={(e) => setOtpForm({ ...otpForm, newPassword: e.target.value })}
+                  />
+                  <input
+                    style={styles.input}
+                    type="password"
+                    placeholder="Confirm New Password"
+                    value={otpForm.confirm}
+                    onChange={(e) => setOtpForm({ ...otpForm, confirm: e.target.value })}
+                    onKeyPress={(e) => e.key === "Enter" && submitCode()}
+                  />
+                </>
+              )}
+              <button style={styles.btnPrimary} onClick={codeSent ? submitCode : requestCode} disabled={loading}>
+                {loading ? "Please wait..." : !codeSent ? "Send Code" : mode === "otp" ? "Verify & Login" : "Set New Password"}
+              </button>
+              {codeSent && (
+                <button style={styles.switchLink} onClick={requestCode} disabled={loading}>
+                  Didn't get it? Send again
+                </button>
+              )}
+              <button style={styles.switchLink} onClick={() => switchMode("login")}>
+                Back to password login
+              </button>
+            </>
+          ) : (
+            <>
+              <input
+                style={styles.input}
+                placeholder="Full Name"
+                value={regForm.name}
+                onChange={(e) => setRegForm({ ...regForm, name: e.target.value })}
+              />
+              <input
+                style={styles.input}
+                type="tel"
+                placeholder="Mobile Number"
+                value={regForm.mobile}
+                onChange={(e) => setRegForm({ ...regForm, mobile: e.target.value })}
+              />
+              <input
+                style={styles.input}
+                placeholder="Roll Number (optional)"
+                value={regForm.roll}
+                onChange={(e) => setRegForm({ ...regForm, roll: e.target.value })}
+              />
+              <input
+                style={styles.input}
+                type="password"
+                placeholder="Password (min 6 characters)"
+                value={regForm.password}
+                onChange={(e) => setRegForm({ ...regForm, password: e.target.value })}
+              />
+              <input
+                style={styles.input}
+                type="password"
+                placeholder="Confirm Password"
+                value={regForm.confirm}
+                onChange={(e) => setRegForm({ ...regForm, confirm: e.target.value })}
+                onKeyPress={(e) => e.key === "Enter" && doRegister()}
+              />
+              <button style={styles.btnPrimary} onClick={doRegister} disabled={loading}>
+                {loading ? "Please wait..." : "Request Account"}
+              </button>
+              <button style={styles.switchLink} onClick={() => switchMode("login")}>
+                Already approved? Log in
+              </button>
+            </>
+          )}
         </div>
       </div>
     </div>
@@ -1,6 +1,6 @@
 import { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
-import { FiArrowLeft, FiUser, FiPhone, FiHash, FiCalendar, FiShield } from "react-icons/fi";
+import { FiArrowLeft, FiUser, FiPhone, FiHash, FiCalendar, FiShield, FiMail, FiMapPin, FiCamera, FiLock, FiEdit3 } from "react-icons/fi";
 
 const API = "https://academy-backend-e02j.onrender.com/api/students";
 
@@ -9,6 +9,30 @@ const styleTag = document.createElement("style");
 styleTag.innerHTML = `@keyframes spin { to { transform: rotate(360deg); } }`;
 document.head.appendChild(styleTag);
 
+// Scales a picked photo down to at most 400px on its long side and re-encodes it as JPEG
+const PHOTO_SIZE = 400;
+const resizePhoto = (file) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    const url = URL.createObjectURL(file);
+    img.onload = () => {
+      const scale = Math.min(1, PHOTO_SIZE / Math.max(img.width, img.height));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Could not read the image"))), "image/jpeg", 0.85);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Not an image file"));
+    };
+    img.src = url;
+  });
+
+const EMPTY_PASSWORDS = { currentPassword: "", newPassword: "", confirm: "" };
+
 export default function StudentProfile() {
   const navigate = useNavigate();
 
@@ -16,6 +40,13 @@ export default function StudentProfile() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [isMobile, setIsMobile] = useState(false);
+  const [photoUrl, setPhotoUrl] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [details, setDetails] = useState({ roll: "", email: "", alternateMobile: "", address: "" });
+  const [passwords, setPasswords] = useState(EMPTY_PASSWORDS);
+  const [showPassword, setShowPassword] = useState(false);
+  const [saving, setSaving] = useState(null);
+  const [notice, setNotice] = useState(null);
 
   const token = localStorage.getItem("gp_token");
 
@@ -61,6 +92,103 @@ export default function StudentProfile() {
     fetchProfile();
   }, [token, navigate]);
 
+  // Photo is behind auth, so fetch it and show it from a blob URL
+  const photoStamp = profile?.photoUpdatedAt;
+  useEffect(() => {
+    if (!photoStamp) {
+      setPhotoUrl(null);
+      return;
+    }
+    let url = null;
+    let cancelled = false;
+    fetch(`${API}/profile/photo`, { headers: { Authorization: `Bearer ${token}` } })
+      .then((res) => (res.ok ? res.blob() : null))
+      .then((blob) => {
+        if (!blob || cancelled) return;
+        url = URL.createObjectURL(blob);
+        setPhotoUrl(url);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [photoStamp, token]);
+
+  const send = async (key, path, options) => {
+    setSaving(key);
+    setNotice(null);
+    try {
+      const res = await fetch(`${API}${path}`, {
+        ...options,
+        headers: { Authorization: `Bearer ${token}`, ...options.headers },
+      });
+      const data = await res.json();
+      if (res.ok) {
+        if (data.student) setProfile(data.student);
+        setNotice({ type: "success", text: data.message });
+      } else {
+        setNotice({ type: "error", text: data.error || "Something went wrong" });
+      }
+      return res.ok;
+    } catch (err) {
+      setNotice({ type: "error", text: "Connection error: " + err.message });
+      return false;
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const startEditing = () => {
+    setDetails({
+      roll: profile.roll || "",
+      email: profile.email || "",
+      alternateMobile: profile.alternateMobile || "",
+      address: profile.address || "",
+    });
+    setEditing(true);
+  };
+
+  const saveDetails = async () => {
+    const ok = await send("details", "/profile", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(details),
+    });
+    if (ok) setEditing(false);
+  };
+
+  const changePassword = async () => {
+    if (passwords.newPassword !== passwords.confirm) {
+      setNotice({ type: "error", text: "New passwords do not match" });
+      return;
+    }
+    const ok = await send("password", "/change-password", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ currentPassword: passwords.currentPassword, newPassword: passwords.newPassword }),
+    });
+    if (ok) {
+      setPasswords(EMPTY_PASSWORDS);
+      setShowPassword(false);
+    }
+  };
+
+  const uploadPhoto = async (file) => {
+    if (!file) return;
+    try {
+      const fd = new FormData();
+      fd.append("photo", await resizePhoto(file), "photo.jpg");
+      await send("photo", "/profile/photo", { method: "PUT", body: fd });
+    } catch (err) {
+      setNotice({ type: "error", text: err.message });
+    }
+  };
+
+  const removePhoto = () => {
+    if (window.confirm("Remove your profile photo?")) send("photo", "/profile/photo", { method: "DELETE" });
+  };
+
   const logout = () => {
     localStorage.removeItem("gp_token");
     localStorage.removeItem("gp_name");
@@ -130,7 +258,24 @@ export default function StudentProfile() {
         {/* Avatar */}
         <div style={styles.avatarSection}>
           <div style={isMobile ? { ...styles.avatar, ...styles.mobileAvatar } : styles.avatar}>
-            <FiUser size={48} color="#3b82f6" />
+            {photoUrl
+              ? <img src={photoUrl} alt={profile.name} style={styles.avatarImg} />
+              : <FiUser size={48} color="#3b82f6" />}
+          </div>
+          <div style={styles.photoActions}>
+            <label style={styles.linkBtn}>
+              <FiCamera size={14} /> {saving === "photo" ? "Uploading..." : profile.photoUpdatedAt ? "Change photo" : "Add photo"}
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/webp"
+                style={{ display: "none" }}
+                disabled={saving === "photo"}
+                onChange={(e) => { uploadPhoto(e.target.files[0]); e.target.value = ""; }}
+              />
+            </label>
+            {profile.photoUpdatedAt && (
+              <button onClick={removePhoto} disabled={saving === "photo"} style={{ ...styles.linkBtn, color: "#f87171" }}>Remove</button>
+            )}
           </div>
           <div style={styles.statusBadge}>
             <FiShield size={16} />
@@ -174,6 +319,30 @@ export default function StudentProfile() {
               </div>
             </div>
 
+            <div style={isMobile ? styles.mobileInfoItem : styles.infoItem}>
+              <FiMail size={20} color="#60a5fa" />
+              <div>
+                <p style={styles.infoLabel}>Email</p>
+                <p style={styles.infoValue}>{profile.email || "Not added"}</p>
+              </div>
+            </div>
+
+            <div style={isMobile ? styles.mobileInfoItem : styles.infoItem}>
+              <FiPhone size={20} color="#60a5fa" />
+              <div>
+                <p style={styles.infoLabel}>Alternate Mobile</p>
+                <p style={styles.infoValue}>{profile.alternateMobile || "Not added"}</p>
+              </div>
+            </div>
+
+            <div style={isMobile ? styles.mobileInfoItem : styles.infoItem}>
+              <FiMapPin size={20} color="#60a5fa" />
+              <div>
+                <p style={styles.infoLabel}>Address</p>
+                <p style={styles.infoValue}>{profile.address || "Not added"}</p>
+              </div>
+            </div>
+
             <div style={isMobile ? styles.mobileInfoItem : styles.infoItem}>
               <FiShield size={20} color="#60a5fa" />
               <div>
@@ -191,6 +360,91 @@ export default function StudentProfile() {
         </div>
       </div>
 
+      {notice && (
+        <div style={notice.type === "success" ? styles.successBox : styles.errorBox}>{notice.text}</div>
+      )}
+
+      {/* Edit Details */}
+      <div style={isMobile ? styles.mobileStatusCard : styles.statusCard}>
+        <div style={styles.cardHeader}>
+          <h3 style={{ ...(isMobile ? styles.mobileStatusTitle : styles.statusTitle), margin: 0 }}>My Details</h3>
+          {!editing && (
+            <button onClick={startEditing} style={styles.linkBtn}><FiEdit3 size={14} /> Edit</button>
+          )}
+        </div>
+        {editing ? (
+          <div style={styles.form}>
+            {[
+              ["roll", "Roll Number", "text"],
+              ["email", "Email", "email"],
+              ["alternateMobile", "Alternate Mobile", "tel"],
+            ].map(([key, label, type]) => (
+              <label key={key} style={styles.field}>
+                <span style={styles.infoLabel}>{label}</span>
+                <input
+                  type={type}
+                  value={details[key]}
+                  onChange={(e) => setDetails({ ...details, [key]: e.target.value })}
+                  style={styles.input}
+                />
+              </label>
+            ))}
+            <label style={styles.field}>
+              <span style={styles.infoLabel}>Address</span>
+              <textarea
+                rows={3}
+                value={details.address}
+                onChange={(e) => setDetails({ ...details, address: e.target.value })}
+                style={{ ...styles.input, resize: "vertical" }}
+              />
+            </label>
+            <div style={styles.formActions}>
+              <button onClick={saveDetails} disabled={saving === "details"} style={styles.saveBtn}>
+                {saving === "details" ? "Saving..." : "Save"}
+              </button>
+              <button onClick={() => setEditing(false)} style={styles.cancelBtn}>Cancel</button>
+            </div>
+          </div>
+        ) : (
+          <p style={styles.hint}>Keep your roll number and contact details up to date so the academy can reach you.</p>
+        )}
+      </div>
+
+      {/* Change Password */}
+      <div style={isMobile ? styles.mobileStatusCard : styles.statusCard}>
+        <div style={styles.cardHeader}>
+          <h3 style={{ ...(isMobile ? styles.mobileStatusTitle : styles.statusTitle), margin: 0 }}>Password</h3>
+          {!showPassword && (
+            <button onClick={() => setShowPassword(true)} style={styles.linkBtn}><FiLock size={14} /> Change</button>
+          )}
+        </div>
+        {showPassword && (
+          <div style={styles.form}>
+            {[
+              ["currentPassword", "Current Password"],
+              ["newPassword", "New Password (min 6 characters)"],
+              ["confirm", "Confirm New Password"],
+            ].map(([key, label]) => (
+              <label key={key} style={styles.field}>
+                <span style={styles.infoLabel}>{label}</span>
+                <input
+                  type="password"
+                  value={passwords[key]}
+                  onChange={(e) => setPasswords({ ...passwords, [key]: e.target.value })}
+                  style={styles.input}
+                />
+              </label>
+            ))}
+            <div style={styles.formActions}>
+              <button onClick={changePassword} disabled={saving === "password"} style={styles.saveBtn}>
+                {saving === "password" ? "Saving..." : "Change Password"}
+              </button>
+              <button onClick={() => { setShowPassword(false); setPasswords(EMPTY_PASSWORDS); }} style={styles.cancelBtn}>Cancel</button>
+            </div>
+          </div>
+        )}
+      </div>
+
       {/* Exam Status */}
       <div style={isMobile ? styles.mobileStatusCard : styles.statusCard}>
         <h3 style={isMobile ? styles.mobileStatusTitle : styles.statusTitle}>Exam Eligibility</h3>
@@ -304,6 +558,92 @@ const styles = {
     boxShadow: "0 4px 20px rgba(59, 130, 246, 0.3)",
     marginBottom: "12px",
   },
+  avatarImg: {
+    width: "100%",
+    height: "100%",
+    borderRadius: "50%",
+    objectFit: "cover",
+  },
+  photoActions: {
+    display: "flex",
+    gap: "14px",
+    marginBottom: "12px",
+  },
+  linkBtn: {
+    display: "inline-flex",
+    alignItems: "center",
+    gap: "6px",
+    background: "none",
+    border: "none",
+    padding: 0,
+    color: "#60a5fa",
+    fontSize: "0.85rem",
+    fontWeight: "600",
+    cursor: "pointer",
+  },
+  cardHeader: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: "12px",
+  },
+  hint: {
+    margin: 0,
+    fontSize: "0.85rem",
+    color: "#94a3b8",
+  },
+  form: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "12px",
+  },
+  field: {
+    display: "flex",
+    flexDirection: "column",
+  },
+  input: {
+    padding: "10px 12px",
+    background: "#0f172a",
+    border: "1px solid #334155",
+    borderRadius: "8px",
+    color: "#e2e8f0",
+    fontSize: "0.95rem",
+    fontFamily: "inherit",
+    outline: "none",
+  },
+  formActions: {
+    display: "flex",
+    gap: "10px",
+  },
+  saveBtn: {
+    padding: "10px 20px",
+    background: "linear-gradient(135deg, #3b82f6 0%, #1d4ed8 100%)",
+    color: "#fff",
+    border: "none",
+    borderRadius: "8px",
+    fontSize: "0.9rem",
+    fontWeight: "600",
+    cursor: "pointer",
+  },
+  cancelBtn: {
+    padding: "10px 20px",
+    background: "transparent",
+    color: "#94a3b8",
+    border: "1px solid #334155",
+    borderRadius: "8px",
+    fontSize: "0.9rem",
+    fontWeight: "600",
+    cursor: "pointer",
+  },
+  successBox: {
+    margin: "16px",
+    padding: "16px 20px",
+    background: "rgba(16, 185, 129, 0.12)",
+    color: "#a7f3d0",
+    borderRadius: "12px",
+    fontSize: "0.95rem",
+    border: "1px solid #059669",
+  },
   statusBadge: {
     display: "flex",
     alignItems: "center",
@@ -0,0 +1,200 @@
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { FiArrowLeft, FiLogOut, FiTrendingUp, FiTrendingDown, FiAlertTriangle, FiZap, FiCalendar, FiAward } from "react-icons/fi";
+import { Tile, TrendChart, percentColor, shortDate } from "./ProgressCharts";
+
+const API = "https://academy-backend-e02j.onrender.com/api";
+
+
+export default function StudentProgress() {
+  const navigate = useNavigate();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [subject, setSubject] = useState("all");
+
+  useEffect(() => {
+    const token = localStorage.getItem("gp_token");
+    if (!token) {
+      navigate("/student/login", { state: { from: { pathname: "/student/progress" } } });
+      return;
+    }
+    const load = async () => {
+      try {
+        const res = await fetch(`${API}/students/my-performance`, { headers: { Authorization: `Bearer ${token}` } });
+        if (res.ok) setData(await res.json());
+        else setError("Failed to load your progress. Please login again.");
+      } catch {
+        setError("Connection error. Please check your internet.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [navigate]);
+
+  const logout = () => {
+    localStorage.removeItem("gp_token");
+    localStorage.removeItem("gp_name");
+    navigate("/student/login");
+  };
+
+  const trend = data ? data.trend.filter((t) => subject === "all" || t.subject === subject) : [];
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <button onClick={() => navigate("/student")} style={styles.backBtn}>
+          <FiArrowLeft size={24} />
+        </button>
+        <h1 style={styles.title}>My Progress</h1>
+        <button onClick={logout} style={styles.logoutBtn}>
+          <FiLogOut size={22} />
+        </button>
+      </div>
+
+      {loading ? (
+        <div style={styles.center}>
+          <div style={{ width: 44, height: 44, borderRadius: "50%", border: "3px solid #1e293b", borderTop: "3px solid #3b82f6", animation: "spin 0.8s linear infinite" }} />
+          <p style={{ color: "#64748b", marginTop: 16, fontSize: 13 }}>Loading your progress...</p>
+        </div>
+      ) : error ? (
+        <div style={styles.errorBox}>{error}</div>
+      ) : data.summary.exams === 0 ? (
+        <div style={styles.emptyBox}>
+          <FiTrendingUp size={70} color="#475569" />
+          <h3>No Progress Yet</h3>
+          <p>Take a test and your progress will show up here.</p>
+        </div>
+      ) : (
+        <div style={styles.body}>
+          <div style={styles.tiles}>
+            <Tile label="Average" value={`${data.summary.average}%`} color={percentColor(data.summary.average)} />
+            <Tile label="Batch Avg" value={data.summary.batchAverage !== null ? `${data.summary.batchAverage}%` : "—"} color="#94a3b8" />
+            <Tile label="Best" value={`${data.summary.best}%`} color="#22c55e" />
+            <Tile label="Tests" value={data.summary.exams} color="#60a5fa" />
+          </div>
+
+          <div style={styles.card}>
+            <div style={styles.cardHead}>
+              <h3 style={styles.cardTitle}><FiTrendingUp size={16} /> Score Trend</h3>
+              <select value={subject} onChange={(e) => setSubject(e.target.value)} style={styles.select}>
+                <option value="all">All subjects</option>
+                {data.subjects.map((s) => <option key={s.subject} value={s.subject}>{s.subject}</option>)}
+              </select>
+            </div>
+            <TrendChart points={trend} emptyText="No tests in this subject yet." />
+            <div style={styles.legend}>
+              <span><span style={{ ...styles.legendDot, background: "#3b82f6" }} /> You</span>
+              <span><span style={{ ...styles.legendDot, background: "#64748b" }} /> Batch average</span>
+            </div>
+          </div>
+
+          <div style={styles.card}>
+            <h3 style={styles.cardTitle}><FiAward size={16} /> Subjects</h3>
+            {data.subjects.map((s) => (
+              <div key={s.subject} style={styles.subjectRow}>
+                <div style={styles.subjectHead}>
+                  <span style={{ fontWeight: 600 }}>{s.subject}</span>
+                  <span style={{ color: percentColor(s.average), fontWeight: 700 }}>
+                    {s.average}%
+                    {s.change !== null && s.change !== 0 && (
+                      <span style={{ marginLeft: 6, fontSize: "0.78rem", color: s.change > 0 ? "#22c55e" : "#ef4444" }}>
+                        {s.change > 0 ? <FiTrendingUp size={12} /> : <FiTrendingDown size={12} />} {Math.abs(s.change)}
+                      </span>
+                    )}
+                  </span>
+                </div>
+                <div style={styles.barTrack}>
+                  <div style={{ ...styles.barFill, width: `${s.average}%`, background: percentColor(s.average) }} />
+                  {s.batchAverage !== null && <div style={{ ...styles.barMarker, left: `${s.batchAverage}%` }} title={`Batch ${s.batchAverage}%`} />}
+                </div>
+                <div style={styles.subjectMeta}>
+                  {s.exams} test{s.exams > 1 ? "s" : ""} • best {s.best}%{s.batchAverage !== null ? ` • batch ${s.batchAverage}%` : ""}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div style={styles.card}>
+            <h3 style={styles.cardTitle}><FiAlertTriangle size={16} /> Topics to Work On</h3>
+            {data.weakTopics.length === 0 ? (
+              <p style={styles.muted}>
+                {data.topics.length ? "No weak topics right now — keep it up!" : "Topic insights appear once answer keys are released."}
+              </p>
+            ) : (
+              data.weakTopics.map((t) => (
+                <div key={t.topic} style={styles.topicRow}>
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ fontWeight: 600, textTransform: "capitalize" }}>{t.topic}</div>
+                    <div style={styles.subjectMeta}>{t.correct} correct • {t.wrong} wrong • {t.skipped} skipped of {t.questions}</div>
+                  </div>
+                  <span style={{ color: percentColor(t.accuracy), fontWeight: 700 }}>{t.accuracy}%</span>
+                </div>
+              ))
+            )}
+          </div>
+
+          <div style={styles.card}>
+            <h3 style={styles.cardTitle}><FiZap size={16} /> Streaks</h3>
+            <div style={styles.tiles}>
+              <Tile label="Tests in a row" value={data.streaks.attendance} color="#f59e0b" />
+              <Tile label="Longest run" value={data.streaks.longestAttendance} color="#a855f7" />
+              <Tile label="Above batch avg" value={data.streaks.aboveAverage} color="#22c55e" />
+              <Tile label="Missed" value={data.streaks.missed} color="#ef4444" />
+            </div>
+          </div>
+
+          <div style={styles.card}>
+            <h3 style={styles.cardTitle}><FiCalendar size={16} /> Recent Tests</h3>
+            {[...data.trend].reverse().slice(0, 8).map((t) => (
+              <div key={t.resultId} style={styles.topicRow}>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ fontWeight: 600 }}>{t.title}</div>
+                  <div style={styles.subjectMeta}>
+                    {t.subject} • Test #{t.testNumber} • {shortDate(t.scheduledAt)}
+                    {t.batchAverage !== null ? ` • batch ${t.batchAverage}%` : ""}
+                  </div>
+                </div>
+                <span style={{ color: percentColor(t.percent), fontWeight: 700 }}>{t.percent}%</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+
+
+const styles = {
+  container: { minHeight: "100vh", background: "#0f172a", color: "#e2e8f0", fontFamily: "'Inter', sans-serif" },
+  header: { padding: "16px 20px", background: "#1e2937", display: "flex", alignItems: "center", justifyContent: "space-between" },
+  backBtn: { background: "none", border: "none", color: "#e2e8f0", cursor: "pointer" },
+  title: { fontSize: "1.45rem", fontWeight: "700" },
+  logoutBtn: { background: "none", border: "none", color: "#ef4444", cursor: "pointer" },
+
+  center: { display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", padding: "80px 20px" },
+  errorBox: { textAlign: "center", padding: "40px", color: "#ef4444", background: "#1e2937", margin: "20px", borderRadius: "12px" },
+  emptyBox: { textAlign: "center", padding: "120px 20px", color: "#64748b" },
+  muted: { margin: 0, color: "#64748b", fontSize: "0.9rem" },
+
+  body: { padding: "20px" },
+  tiles: { display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: "8px", marginBottom: "16px" },
+
+  card: { background: "#1e2937", borderRadius: "16px", padding: "18px", marginBottom: "16px", border: "1px solid #334155" },
+  cardHead: { display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "10px" },
+  cardTitle: { display: "flex", alignItems: "center", gap: 8, margin: "0 0 12px 0", fontSize: "1.05rem", fontWeight: "600" },
+  select: { background: "#0f172a", color: "#e2e8f0", border: "1px solid #334155", borderRadius: "8px", padding: "6px 8px", fontSize: "0.85rem" },
+  legend: { display: "flex", gap: 16, fontSize: "0.78rem", color: "#94a3b8", marginTop: "6px" },
+  legendDot: { display: "inline-block", width: 10, height: 10, borderRadius: "50%", marginRight: 4, verticalAlign: "middle" },
+
+  subjectRow: { marginBottom: "14px" },
+  subjectHead: { display: "flex", justifyContent: "space-between", marginBottom: "6px", fontSize: "0.95rem" },
+  barTrack: { position: "relative", height: 8, background: "#0f172a", borderRadius: 4 },
+  barFill: { height: "100%", borderRadius: 4 },
+  barMarker: { position: "absolute", top: -3, width: 2, height: 14, background: "#e2e8f0" },
+  subjectMeta: { fontSize: "0.78rem", color: "#94a3b8", marginTop: "4px" },
+  topicRow: { display: "flex", alignItems: "center", gap: 10, padding: "10px 0", borderTop: "1px solid #334155" },
+};
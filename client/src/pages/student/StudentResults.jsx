@@ -1,6 +1,6 @@
 import { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
-import { FiArrowLeft, FiAward, FiLogOut, FiCheckCircle, FiXCircle, FiClock } from "react-icons/fi";
+import { FiArrowLeft, FiAward, FiLogOut, FiCheckCircle, FiXCircle, FiClock, FiEye } from "react-icons/fi";
 
 const API = "https://academy-backend-e02j.onrender.com/api";
 
@@ -18,6 +18,7 @@ export default function StudentResults() {
   const [results, setResults] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  const [review, setReview] = useState(null);
 
   useEffect(() => {
     const token = localStorage.getItem("gp_token");
@@ -57,12 +58,29 @@ export default function StudentResults() {
     fetchResults();
   }, [token]);
 
+  const openReview = async (result) => {
+    setReview({ result, loading: true });
+    window.scrollTo(0, 0);
+    try {
+      const res = await fetch(`${API}/students/my-results/${result._id}/review`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      setReview({ result, data: res.ok ? data : null, error: res.ok ? "" : data.error || "Review not available" });
+    } catch (err) {
+      setReview({ result, error: "Connection error. Please check your internet." });
+    }
+  };
+
   const logout = () => {
     localStorage.removeItem("gp_token");
     localStorage.removeItem("gp_name");
     navigate("/student/login");
   };
 
+  // marks when the exam has a marking scheme, otherwise plain correct count
+  const scoreParts = (r) => (r.maxScore ? [Math.max(0, r.score), r.maxScore] : [r.correct, r.total]);
+
   const getScoreColor = (correct, total) => {
     const percent = (correct / total) * 100;
     if (percent >= 80) return "#22c55e";
@@ -70,6 +88,11 @@ export default function StudentResults() {
     return "#ef4444";
   };
 
+  const ordinal = (n) => {
+    const v = n % 100;
+    return n + (["th", "st", "nd", "rd"][(v - 20) % 10] || ["th", "st", "nd", "rd"][v] || "th");
+  };
+
   const getGrade = (correct, total) => {
     const percent = (correct / total) * 100;
     if (percent >= 90) return "Excellent";
@@ -78,6 +101,93 @@ export default function StudentResults() {
     return "Needs Improvement";
   };
 
+  if (review) {
+    return (
+      <div style={styles.container}>
+        <div style={styles.header}>
+          <button onClick={() => setReview(null)} style={styles.backBtn}>
+            <FiArrowLeft size={24} />
+          </button>
+          <h1 style={styles.title}>Answer Review</h1>
+          <button onClick={logout} style={styles.logoutBtn}>
+            <FiLogOut size={22} />
+          </button>
+        </div>
+
+        <div style={styles.resultsContainer}>
+          <div style={styles.resultCard}>
+            <h3 style={styles.examTitle}>{review.result.examTitle}</h3>
+            <p style={styles.examInfo}>
+              {review.result.examSubject} • Test #{review.result.examTestNumber} • {review.result.maxScore ? `${review.result.score} / ${review.result.maxScore} marks` : `${review.result.correct} / ${review.result.total}`}
+            </p>
+          </div>
+
+          {review.loading ? (
+            <div style={styles.center}>
+              <div style={{
+                width: 44,
+                height: 44,
+                borderRadius: "50%",
+                border: "3px solid #1e293b",
+                borderTop: "3px solid #3b82f6",
+                animation: "spin 0.8s linear infinite",
+              }} />
+            </div>
+          ) : review.error ? (
+            <div style={{ ...styles.errorBox, margin: 0 }}>{review.error}</div>
+          ) : (
+            review.data.questions.map((q, i) => (
+              <div key={q._id} style={{ ...styles.resultCard, borderColor: q.adjustment || !q.chosen ? "#334155" : q.isCorrect ? "#166534" : "#7f1d1d" }}>
+                <div style={styles.reviewQHead}>
+                  <span style={styles.reviewQNum}>
+                    Q{q.questionNumber || i + 1} • +{q.marks}{q.penalty ? ` / −${q.penalty}` : ""}
+                  </span>
+                  {q.adjustment ? (
+                    <span style={{ ...styles.reviewTag, color: "#38bdf8" }}>
+                      {q.adjustment === "bonus" ? "Bonus • marks to all" : "Dropped • not counted"}
+                    </span>
+                  ) : (
+                    <span style={{ ...styles.reviewTag, color: !q.chosen ? "#f59e0b" : q.isCorrect ? "#22c55e" : "#ef4444" }}>
+                      {!q.chosen ? "Skipped" : q.isCorrect ? "Correct" : "Wrong"}
+                    </span>
+                  )}
+                </div>
+                {(q.topic || q.difficulty) && (
+                  <p style={styles.reviewMeta}>{[q.topic, q.difficulty].filter(Boolean).join(" • ")}</p>
+                )}
+                <p style={styles.reviewQText}>{q.questionText}</p>
+                {["A", "B", "C", "D"].map((opt) => {
+                  const isAnswer = q.correctAnswer === opt;
+                  const isChosen = q.chosen === opt;
+                  return (
+                    <div key={opt} style={{
+                      ...styles.reviewOpt,
+                      borderColor: isAnswer ? "#22c55e" : isChosen ? "#ef4444" : "#334155",
+                      background: isAnswer ? "rgba(34,197,94,0.1)" : isChosen ? "rgba(239,68,68,0.1)" : "transparent",
+                    }}>
+                      <strong style={{ marginRight: 8 }}>{opt}.</strong>
+                      <span style={{ flex: 1 }}>{q.options?.[opt]}</span>
+                      {isAnswer && <FiCheckCircle color="#22c55e" size={18} />}
+                      {isChosen && !isAnswer && <FiXCircle color="#ef4444" size={18} />}
+                    </div>
+                  );
+                })}
+                <div style={styles.reviewAnswers}>
+                  Your answer: <strong>{q.chosen || "—"}</strong> • Correct answer: <strong style={{ color: "#22c55e" }}>{q.correctAnswer}</strong>
+                </div>
+                {q.explanation && (
+                  <div style={styles.reviewExplanation}>
+                    <strong>Explanation:</strong> {q.explanation}
+                  </div>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div style={styles.container}>
       <div style={styles.header}>
@@ -127,7 +237,8 @@ export default function StudentResults() {
           ) : (
             <div style={styles.resultsContainer}>
               {results.map((result, i) => {
-                const percentage = Math.round((result.correct / result.total) * 100);
+                const [got, outOf] = scoreParts(result);
+                const percentage = Math.round((got / outOf) * 100);
                 return (
                   <div key={i} style={styles.resultCard}>
                     <div style={styles.resultTop}>
@@ -138,8 +249,8 @@ export default function StudentResults() {
                         </p>
                       </div>
                       <div style={{ textAlign: "right" }}>
-                        <div style={{ ...styles.score, color: getScoreColor(result.correct, result.total) }}>
-                          {result.correct} / {result.total}
+                        <div style={{ ...styles.score, color: getScoreColor(got, outOf) }}>
+                          {result.maxScore ? `${result.score} / ${result.maxScore}` : `${result.correct} / ${result.total}`}
                         </div>
                         <div style={styles.percentage}>{percentage}%</div>
                       </div>
@@ -161,14 +272,25 @@ export default function StudentResults() {
                     </div>
 
                     <div style={styles.gradeRow}>
-                      <strong>Grade:</strong> {getGrade(result.correct, result.total)}
+                      <strong>Grade:</strong> {getGrade(got, outOf)}
                     </div>
 
+                    {result.rank && (
+                      <div style={styles.rankRow}>
+                        <FiAward size={16} /> Rank {result.rank} of {result.rankedOf}
+                        {result.rankedOf > 1 && ` • ${ordinal(Math.floor(result.percentile))} percentile`}
+                      </div>
+                    )}
+
                     <div style={styles.date}>
                       Submitted on {new Date(result.submittedAt).toLocaleDateString('en-IN', {
                         weekday: 'short', day: 'numeric', month: 'short', year: 'numeric'
                       })}
                     </div>
+
+                    <button onClick={() => openReview(result)} style={styles.reviewBtn}>
+                      <FiEye size={16} /> Review Answers
+                    </button>
                   </div>
                 );
               })}
@@ -215,5 +337,16 @@ const styles = {
   stat: { display: "flex", alignItems: "center", gap: 8, fontSize: "0.95rem" },
 
   gradeRow: { fontSize: "1.05rem", marginBottom: "12px", color: "#60a5fa" },
+  rankRow: { display: "flex", alignItems: "center", gap: 8, fontSize: "0.95rem", fontWeight: "600", marginBottom: "12px", color: "#fbbf24" },
   date: { fontSize: "0.85rem", color: "#64748b" },
+  reviewBtn: { marginTop: "14px", width: "100%", display: "flex", alignItems: "center", justifyContent: "center", gap: 8, padding: "10px", background: "rgba(59,130,246,0.12)", border: "1px solid #1e3a8a", borderRadius: "10px", color: "#60a5fa", fontSize: "0.9rem", fontWeight: "600", cursor: "pointer" },
+
+  reviewQHead: { display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "10px" },
+  reviewQNum: { fontSize: "0.85rem", fontWeight: "700", color: "#60a5fa" },
+  reviewTag: { fontSize: "0.8rem", fontWeight: "700", textTransform: "uppercase" },
+  reviewMeta: { margin: "0 0 6px 0", fontSize: "0.78rem", color: "#94a3b8", textTransform: "capitalize" },
+  reviewQText: { margin: "0 0 14px 0", fontSize: "1rem", lineHeight: 1.5 },
+  reviewOpt: { display: "flex", alignItems: "center", padding: "10px 12px", border: "1px solid", borderRadius: "10px", marginBottom: "8px", fontSize: "0.92rem" },
+  reviewAnswers: { marginTop: "10px", fontSize: "0.88rem", color: "#94a3b8" },
+  reviewExplanation: { marginTop: "12px", padding: "12px", background: "#0f172a", borderRadius: "10px", fontSize: "0.9rem", lineHeight: 1.5, color: "#cbd5e1" },
 };
@@ -33,7 +33,8 @@ export default function StudentTrainingVideos() {
 
   const fetchVideos = async () => {
     try {
-      const res = await fetch(API);
+      const token = localStorage.getItem("gp_token");
+      const res = await fetch(API, { headers: { Authorization: `Bearer ${token}` } });
       const data = await res.json();
       setVideos(Array.isArray(data) ? data : []);
     } catch (err) {
@@ -43,6 +44,15 @@ export default function StudentTrainingVideos() {
     }
   };
 
+  const play = (video) => {
+    setPlaying(video);
+    // engagement tracking only; playback doesn't wait on it
+    fetch(`${API}/${video._id}/view`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${localStorage.getItem("gp_token")}` },
+    }).catch(() => {});
+  };
+
   const filteredVideos = useMemo(() => {
     return videos.filter((video) => {
       const matchCategory = activeCategory === "all" || video.category === activeCategory;
@@ -197,7 +207,7 @@ export default function StudentTrainingVideos() {
                   <span style={s.sectionCount}>{items.length}</span>
                 </div>
                 {items.map((video) => (
-                  <VideoCard key={video._id} video={video} meta={meta} onClick={() => setPlaying(video)} />
+                  <VideoCard key={video._id} video={video} meta={meta} onClick={() => play(video)} />
                 ))}
               </div>
             );
@@ -205,7 +215,7 @@ export default function StudentTrainingVideos() {
         ) : (
           filteredVideos.map((video) => {
             const meta = CATEGORY_META[video.category] || { icon: "📂", color: "#6b7280" };
-            return <VideoCard key={video._id} video={video} meta={meta} onClick={() => setPlaying(video)} />;
+            return <VideoCard key={video._id} video={video} meta={meta} onClick={() => play(video)} />;
           })
         )}
       </main>
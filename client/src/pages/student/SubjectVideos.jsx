@@ -23,10 +23,19 @@ function VideoPlayer({ video }) {
     setPlay(false);
   }, [video.youtubeId]);
 
+  const start = () => {
+    setPlay(true);
+    // engagement tracking only; playback doesn't wait on it
+    fetch(`${API}/${video._id}/view`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${localStorage.getItem("gp_token")}` },
+    }).catch(() => {});
+  };
+
   return (
     <div style={s.playerBox}>
       {!play ? (
-        <div style={s.thumbBox} onClick={() => setPlay(true)}>
+        <div style={s.thumbBox} onClick={start}>
           <img
             src={`https://img.youtube.com/vi/${video.youtubeId}/hqdefault.jpg`}
             alt={video.title}
@@ -72,7 +81,7 @@ export default function SubjectVideos() {
       return;
     }
 
-    fetch(API)
+    fetch(API, { headers: { Authorization: `Bearer ${token}` } })
       .then(r => r.json())
       .then(d => {
         const all = Array.isArray(d) ? d.filter(v => v?.youtubeId) : [];
@@ -0,0 +1,74 @@
+// Admin session helpers (token issued by /api/admin/login)
+
+const TOKEN_KEY = "gp_admin_token";
+const NAME_KEY = "gp_admin_name";
+const ROLE_KEY = "gp_admin_role";
+
+export const ROLE_LABELS = {
+  "super-admin": "Super Admin",
+  instructor: "Instructor",
+  viewer: "Viewer",
+};
+
+const tokenExpired = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+    return payload.exp && payload.exp * 1000 < Date.now();
+  } catch {
+    return true;
+  }
+};
+
+export function getAdminSession() {
+  const token = localStorage.getItem(TOKEN_KEY);
+  if (!token || tokenExpired(token)) return null;
+  return {
+    token,
+    name: localStorage.getItem(NAME_KEY) || "Admin",
+    role: localStorage.getItem(ROLE_KEY) || "viewer",
+  };
+}
+
+export function saveAdminSession({ token, name, role }) {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(NAME_KEY, name);
+  localStorage.setItem(ROLE_KEY, role);
+}
+
+export function clearAdminSession() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(NAME_KEY);
+  localStorage.removeItem(ROLE_KEY);
+}
+
+// super-admin can do everything; an empty list means any admin
+export function hasRole(role, allowed = []) {
+  return role === "super-admin" || allowed.length === 0 || allowed.includes(role);
+}
+
+export function adminHeaders(extra = {}) {
+  const token = localStorage.getItem(TOKEN_KEY);
+  return token ? { ...extra, Authorization: `Bearer ${token}` } : extra;
+}
+
+// Downloads a file the server builds (exports, merit lists) with the admin token.
+// Returns an error message, or null once the download has started.
+export async function downloadAdminFile(url, fallbackName) {
+  try {
+    const res = await fetch(url, { headers: adminHeaders() });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      return data.error || "Download failed";
+    }
+    const name = res.headers.get("Content-Disposition")?.match(/filename="(.+)"/)?.[1] || fallbackName;
+    const href = window.URL.createObjectURL(await res.blob());
+    const link = document.createElement("a");
+    link.href = href;
+    link.download = name;
+    link.click();
+    window.URL.revokeObjectURL(href);
+    return null;
+  } catch {
+    return "Connection error";
+  }
+}
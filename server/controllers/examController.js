@@ -1,8 +1,16 @@
-const XLSX = require("xlsx");
+const mongoose = require("mongoose");
 const DraftExam = require("../models/DraftExam");
 const ScheduledExam = require("../models/ScheduledExam");
 const ExamLicense = require("../models/ExamLicense");
 const Result = require("../models/Result");
+const ExamAttempt = require("../models/ExamAttempt");
+const ExamAbsence = require("../models/ExamAbsence");
+const RegradeLog = require("../models/RegradeLog");
+const Notification = require("../models/Notification");
+const BankQuestion = require("../models/BankQuestion");
+const { parseExamSheet } = require("../utils/examSheet");
+const { analyseExam } = require("../utils/itemAnalysis");
+const { resultsWorkbook, papersWorkbook, sendWorkbook } = require("../utils/workbooks");
 
 // ── helper: get or create license doc ──
 const getLicense = async () => {
@@ -11,62 +19,57 @@ const getLicense = async () => {
   return lic;
 };
 
+// ── helper: validate a marking scheme and per-question overrides ──
+const MARK_FIELDS = ["marks", "penalty"];
+const validateMarking = (marking, questions = []) => {
+  if (marking) {
+    if (!(Number(marking.perCorrect) > 0)) return "Marks per correct answer must be more than 0";
+    if (!(Number(marking.perWrong) >= 0)) return "Penalty per wrong answer must be 0 or more";
+  }
+  for (const q of questions) {
+    for (const f of MARK_FIELDS) {
+      if (q[f] === undefined || q[f] === null || q[f] === "") continue;
+      if (!(Number(q[f]) >= 0)) return `Q${q.questionNumber}: ${f} must be 0 or more`;
+    }
+  }
+  return null;
+};
+
 // ─────────────────────────────────────────
 // UPLOAD EXCEL → DRAFT
 // ─────────────────────────────────────────
+// Dry run: report what an upload would import, without saving anything
+const previewExam = async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+    const { summary, report } = parseExamSheet(req.file.buffer);
+    res.json({ success: true, summary, report });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to process Excel: " + err.message });
+  }
+};
+
+// Saves accepted rows as a draft (and into the question bank unless addToBank is "false").
+// Rows with errors block the upload unless skipErrors is set, in which case only accepted rows are kept.
 const uploadExam = async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: "No file uploaded" });
-    const { title, subject, testNumber } = req.body;
+    const { title, subject, testNumber, skipErrors, addToBank } = req.body;
     if (!title || !subject || !testNumber)
       return res.status(400).json({ error: "Title, subject and test number required" });
 
-    const workbook = XLSX.read(req.file.buffer, { type: "buffer" });
-    const sheet = workbook.Sheets[workbook.SheetNames[0]];
-    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: "" });
-
-    if (!rows || rows.length === 0)
-      return res.status(400).json({ error: "Excel file is empty" });
-
-    const questions = [];
-    const SKIP_ANS = ["ANSWER", "ANS", "A / B / C / D", "A/B/C/D", "ANSWER\n(A/B/C/D)"];
-    const SKIP_QTEXT = ["type question here", "kannada", "q.no", "1, 2, 3"];
-
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
-      const qText = String(row[1] || "").trim();
-      if (!qText) continue;
+    const { questions, summary, report } = parseExamSheet(req.file.buffer);
 
-      const qNoRaw = row[0];
-      const qNoNum = Number(String(qNoRaw).trim());
-      if (!qNoRaw || isNaN(qNoNum)) continue;
-
-      const qLower = qText.toLowerCase();
-      if (SKIP_QTEXT.some((kw) => qLower.includes(kw))) continue;
-
-      const answer = String(row[6] || "").trim().toUpperCase();
-      if (SKIP_ANS.includes(answer)) continue;
-
-      if (!["A", "B", "C", "D"].includes(answer))
-        return res.status(400).json({
-          error: `Row ${i + 1}: Answer must be A/B/C/D. Got: "${row[6]}"`,
-        });
-
-      questions.push({
-        questionNumber: qNoNum,
-        questionText: qText,
-        options: {
-          A: String(row[2] || "").trim(),
-          B: String(row[3] || "").trim(),
-          C: String(row[4] || "").trim(),
-          D: String(row[5] || "").trim(),
-        },
-        correctAnswer: answer,
+    if (summary.rows === 0)
+      return res.status(400).json({ error: "Excel file is empty", summary, report });
+    if (summary.errors > 0 && String(skipErrors) !== "true")
+      return res.status(400).json({
+        error: `${summary.errors} row${summary.errors > 1 ? "s have" : " has"} errors. Fix them or choose to skip them.`,
+        summary,
+        report,
       });
-    }
-
     if (questions.length === 0)
-      return res.status(400).json({ error: "No valid questions found in the Excel file" });
+      return res.status(400).json({ error: "No valid questions found in the Excel file", summary, report });
 
     const draft = await new DraftExam({
       title,
@@ -76,7 +79,16 @@ const uploadExam = async (req, res) => {
       questions,
     }).save();
 
-    res.json({ success: true, draftId: draft._id, totalQuestions: questions.length });
+    let bank = null;
+    if (String(addToBank) !== "false") {
+      try {
+        bank = await BankQuestion.addMany(questions, { subject, source: `${title} · Test ${testNumber}` });
+      } catch (err) {
+        bank = { error: err.message };
+      }
+    }
+
+    res.json({ success: true, draftId: draft._id, totalQuestions: questions.length, summary, bank });
   } catch (err) {
     res.status(500).json({ error: "Failed to process Excel: " + err.message });
   }
@@ -105,11 +117,23 @@ const getDraftById = async (req, res) => {
 
 const updateDraft = async (req, res) => {
   try {
-    const { title, subject, testNumber, questions } = req.body;
+    const { title, subject, testNumber, questions, marking } = req.body;
+    const invalid = validateMarking(marking, questions);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    // blank overrides fall back to the exam-wide marking
+    const cleaned = questions.map((q) => {
+      const copy = { ...q };
+      MARK_FIELDS.forEach((f) => {
+        if (copy[f] === "" || copy[f] === null) delete copy[f];
+      });
+      return copy;
+    });
+
     const draft = await DraftExam.findByIdAndUpdate(
       req.params.id,
-      { title, subject, testNumber, questions, totalQuestions: questions.length },
-      { new: true }
+      { title, subject, testNumber, questions: cleaned, marking, totalQuestions: questions.length },
+      { new: true, runValidators: true }
     );
     if (!draft) return res.status(404).json({ error: "Draft not found" });
     res.json({ success: true });
@@ -127,12 +151,23 @@ const deleteDraft = async (req, res) => {
   }
 };
 
+// ── helper: validate paper release settings from a request body ──
+const parsePaperRelease = ({ paperRelease = "after-expiry", paperReleaseAt }) => {
+  if (!ScheduledExam.PAPER_RELEASE.includes(paperRelease))
+    return { error: "paperRelease must be never, after-expiry or at" };
+  if (paperRelease !== "at") return { paperRelease, paperReleaseAt: null };
+  const releaseAt = new Date(paperReleaseAt);
+  if (!paperReleaseAt || isNaN(releaseAt.getTime()))
+    return { error: "A valid release date is required" };
+  return { paperRelease, paperReleaseAt: releaseAt };
+};
+
 // ─────────────────────────────────────────
 // SCHEDULE EXAM
 // ─────────────────────────────────────────
 const scheduleExam = async (req, res) => {
   try {
-    const { scheduledAt, durationMinutes } = req.body;
+    const { scheduledAt, durationMinutes, graceSeconds, batches = [] } = req.body;
     if (!scheduledAt || !durationMinutes)
       return res.status(400).json({ error: "scheduledAt and durationMinutes required" });
 
@@ -141,6 +176,10 @@ const scheduleExam = async (req, res) => {
       return res.status(400).json({ error: "Invalid date" });
     if (startTime <= new Date())
       return res.status(400).json({ error: "Scheduled time must be in the future" });
+    if (graceSeconds !== undefined && graceSeconds !== "" && !(Number(graceSeconds) >= 0))
+      return res.status(400).json({ error: "Grace period must be 0 or more seconds" });
+    const release = parsePaperRelease(req.body);
+    if (release.error) return res.status(400).json({ error: release.error });
 
     // License check
     const license = await getLicense();
@@ -156,12 +195,6 @@ const scheduleExam = async (req, res) => {
 
     const expiresAt = new Date(startTime.getTime() + Number(durationMinutes) * 60 * 1000);
 
-    // End any existing scheduled/live exam
-    await ScheduledExam.updateMany(
-      { status: { $in: ["scheduled", "live"] } },
-      { status: "ended" }
-    );
-
     const scheduled = await new ScheduledExam({
       title: draft.title,
       subject: draft.subject,
@@ -169,9 +202,16 @@ const scheduleExam = async (req, res) => {
       totalQuestions: draft.totalQuestions,
       durationMinutes: Number(durationMinutes),
       questions: draft.questions,
+      marking: draft.marking,
       status: "scheduled",
       scheduledAt: startTime,
       expiresAt,
+      batches,
+      paperRelease: release.paperRelease,
+      paperReleaseAt: release.paperReleaseAt,
+      shuffleQuestions: req.body.shuffleQuestions === true,
+      shuffleOptions: req.body.shuffleOptions === true,
+      ...(graceSeconds !== undefined && graceSeconds !== "" && { graceSeconds: Number(graceSeconds) }),
     }).save();
 
     await ExamLicense.updateOne({}, { $inc: { totalConducted: 1 }, updatedAt: new Date() });
@@ -196,17 +236,48 @@ const scheduleExam = async (req, res) => {
 // ─────────────────────────────────────────
 const getScheduledExams = async (req, res) => {
   try {
-    res.json(await ScheduledExam.find().select("-questions").sort({ scheduledAt: -1 }));
+    const exams = await ScheduledExam.find().select("-questions").populate("batches", "name").sort({ scheduledAt: -1 });
+    const now = new Date();
+    res.json(exams.map((e) => ({ ...e.toObject(), status: e.phase(now) })));
   } catch {
     res.status(500).json({ error: "Failed to fetch" });
   }
 };
 
+// Full archived paper with answer key (admins only)
+const getScheduledExamById = async (req, res) => {
+  try {
+    const exam = await ScheduledExam.findById(req.params.id).populate("batches", "name");
+    if (!exam) return res.status(404).json({ error: "Exam not found" });
+    res.json(exam);
+  } catch {
+    res.status(500).json({ error: "Failed to fetch exam" });
+  }
+};
+
+const updatePaperRelease = async (req, res) => {
+  try {
+    const release = parsePaperRelease(req.body);
+    if (release.error) return res.status(400).json({ error: release.error });
+
+    const exam = await ScheduledExam.findByIdAndUpdate(req.params.id, release, { new: true });
+    if (!exam) return res.status(404).json({ error: "Exam not found" });
+    res.json({
+      success: true,
+      paperRelease: exam.paperRelease,
+      paperReleaseAt: exam.paperReleaseAt,
+      released: exam.isPaperReleased(),
+    });
+  } catch {
+    res.status(500).json({ error: "Failed to update release setting" });
+  }
+};
+
 const cancelExam = async (req, res) => {
   try {
     const exam = await ScheduledExam.findByIdAndUpdate(
       req.params.id,
-      { status: "ended" },
+      { status: "ended", cancelledAt: new Date() },
       { new: true }
     );
     if (!exam) return res.status(404).json({ error: "Exam not found" });
@@ -216,6 +287,103 @@ const cancelExam = async (req, res) => {
   }
 };
 
+// ─────────────────────────────────────────
+// RE-GRADE (answer key corrections after an exam)
+// ─────────────────────────────────────────
+const REGRADE_NOTICE_DAYS = 7;
+
+// Applies key changes / dropped / bonus questions to a finished exam, re-scores every
+// result, re-ranks, logs what changed and tells the students whose score moved
+const regradeExam = async (req, res) => {
+  try {
+    const { changes = [], reason = "" } = req.body;
+    if (!String(reason).trim()) return res.status(400).json({ error: "Give a reason for the re-grade" });
+    if (!Array.isArray(changes) || changes.length === 0) return res.status(400).json({ error: "No changes to apply" });
+
+    const exam = await ScheduledExam.findById(req.params.id);
+    if (!exam) return res.status(404).json({ error: "Exam not found" });
+    if (exam.questionsDeleted) return res.status(410).json({ error: "The question paper for this exam is no longer available" });
+    if (exam.phase() !== "ended" || Date.now() < exam.expiresAt.getTime() + exam.graceSeconds * 1000)
+      return res.status(400).json({ error: "Only finished exams can be re-graded" });
+
+    const applied = [];
+    for (const change of changes) {
+      const q = exam.questions.id(change.questionId);
+      if (!q) return res.status(400).json({ error: "A question in the changes is not in this exam" });
+      const log = (field, from, to) => applied.push({ questionId: q._id, questionNumber: q.questionNumber, field, from, to });
+
+      if (change.correctAnswer !== undefined && change.correctAnswer !== q.correctAnswer) {
+        if (!["A", "B", "C", "D"].includes(change.correctAnswer) || !q.options?.[change.correctAnswer])
+          return res.status(400).json({ error: `Q${q.questionNumber}: the key must be one of the filled options` });
+        log("correctAnswer", q.correctAnswer, change.correctAnswer);
+        q.correctAnswer = change.correctAnswer;
+      }
+      if (change.adjustment !== undefined && change.adjustment !== (q.adjustment || "")) {
+        if (!ScheduledExam.ADJUSTMENTS.includes(change.adjustment))
+          return res.status(400).json({ error: `Q${q.questionNumber}: unknown adjustment` });
+        log("adjustment", q.adjustment || "", change.adjustment);
+        q.adjustment = change.adjustment;
+      }
+    }
+    if (applied.length === 0) return res.status(400).json({ error: "Nothing changed" });
+    if (exam.questions.every((q) => q.adjustment === "dropped"))
+      return res.status(400).json({ error: "At least one question must still count" });
+    await exam.save();
+
+    const results = await Result.find({ examId: exam._id });
+    const affected = [];
+    const ops = results.map((r) => {
+      const graded = exam.grade(r.answers || new Map());
+      if (graded.score !== r.score || graded.correct !== r.correct || graded.maxScore !== r.maxScore) {
+        affected.push({
+          studentMobile: r.studentMobile,
+          studentName: r.studentName,
+          scoreBefore: r.score ?? r.correct,
+          scoreAfter: graded.score,
+          correctBefore: r.correct,
+          correctAfter: graded.correct,
+        });
+      }
+      const { correct, wrong, unanswered, total, score, maxScore } = graded;
+      return { updateOne: { filter: { _id: r._id }, update: { correct, wrong, unanswered, total, score, maxScore } } };
+    });
+    if (ops.length) await Result.bulkWrite(ops);
+    if (exam.finalisedAt) await Result.rankExam(exam._id);
+
+    if (affected.length) {
+      const now = new Date();
+      await new Notification({
+        message: `Your result for ${exam.title} (Test #${exam.testNumber}) was updated after an answer key correction. Check My Results.`,
+        startDate: now,
+        endDate: new Date(now.getTime() + REGRADE_NOTICE_DAYS * 24 * 60 * 60 * 1000),
+        students: affected.map((a) => a.studentMobile),
+      }).save();
+    }
+
+    const regrade = await new RegradeLog({
+      examId: exam._id,
+      examTitle: exam.title,
+      admin: { id: req.admin.id, username: req.admin.username, name: req.admin.name },
+      reason: String(reason).trim(),
+      changes: applied,
+      resultsUpdated: results.length,
+      affected,
+    }).save();
+
+    res.json({ success: true, regrade });
+  } catch (err) {
+    res.status(500).json({ error: "Re-grade failed: " + err.message });
+  }
+};
+
+const getRegradeHistory = async (req, res) => {
+  try {
+    res.json(await RegradeLog.find({ examId: req.params.id }).sort({ createdAt: -1 }));
+  } catch {
+    res.status(500).json({ error: "Failed to fetch re-grade history" });
+  }
+};
+
 // ─────────────────────────────────────────
 // LICENSE
 // ─────────────────────────────────────────
@@ -247,79 +415,136 @@ const resetLicenseCount = async (req, res) => {
 };
 
 // ─────────────────────────────────────────
-// ACTIVE EXAM (for students)
+// ACTIVE EXAMS (for students)
 // ─────────────────────────────────────────
-const getActiveExam = async (req, res) => {
+
+const examSummary = (exam) => ({
+  _id: exam._id,
+  title: exam.title,
+  subject: exam.subject,
+  testNumber: exam.testNumber,
+  totalQuestions: exam.totalQuestions,
+  durationMinutes: exam.durationMinutes,
+  status: exam.phase(),
+  scheduledAt: exam.scheduledAt,
+  expiresAt: exam.expiresAt,
+  graceSeconds: exam.graceSeconds,
+  marking: exam.marking,
+  maxScore: exam.maxScore(),
+  hasWeightedQuestions: exam.questions.some((q) => q.marks != null || q.penalty != null),
+  shuffleQuestions: exam.shuffleQuestions,
+  shuffleOptions: exam.shuffleOptions,
+  batches: exam.batches,
+});
+
+// Everything a summary needs from the questions, without the paper itself
+const SUMMARY_SELECT = "-questions.questionText -questions.options -questions.correctAnswer -questions.explanation -questions.topic";
+
+// Every live and upcoming exam open to the caller, without questions
+const getActiveExams = async (req, res) => {
   try {
     const now = new Date();
+    const [live, upcoming] = await Promise.all([
+      ScheduledExam.find({ ...ScheduledExam.liveFilter(now), ...req.audience }).select(SUMMARY_SELECT).sort({ expiresAt: 1 }),
+      ScheduledExam.find({ ...ScheduledExam.upcomingFilter(now), ...req.audience }).select(SUMMARY_SELECT).sort({ scheduledAt: 1 }),
+    ]);
 
-    // Auto-expire ended exams & delete questions
-    const expiredExams = await ScheduledExam.find({
-      status: "live",
-      expiresAt: { $lt: now },
-      questionsDeleted: false,
+    res.json({ live: live.map(examSummary), upcoming: upcoming.map(examSummary) });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch exams" });
+  }
+};
+
+// Question paper (without answers) for one live exam.
+// Opening it starts the student's attempt and fixes their deadline.
+const getActiveExamPaper = async (req, res) => {
+  try {
+    const exam = await ScheduledExam.findOne({ _id: req.params.id, ...req.audience });
+    if (!exam) return res.status(404).json({ error: "Exam not found" });
+    const phase = exam.phase();
+    if (phase === "scheduled")
+      return res.status(403).json({ error: "Exam has not started yet", exam: examSummary(exam) });
+    if (phase !== "live")
+      return res.status(410).json({ error: "Exam has ended" });
+
+    const attempt = await ExamAttempt.start(exam, req.student);
+    if (attempt.status === "submitted")
+      return res.status(409).json({ error: "Exam already submitted" });
+    if (attempt.deadline <= new Date())
+      return res.status(410).json({ error: "Your time for this exam is over" });
+
+    res.json({
+      ...examSummary(exam),
+      startedAt: attempt.startedAt,
+      deadline: attempt.deadline,
+      questions: exam.paperFor(req.student.mobile),
+      progress: attempt.savedAt
+        ? { answers: Object.fromEntries(attempt.answers), currentQuestion: attempt.currentQuestion, savedAt: attempt.savedAt }
+        : null,
     });
-    for (const exam of expiredExams) {
-      await ScheduledExam.findByIdAndUpdate(exam._id, {
-        status: "ended",
-        questions: [],
-        questionsDeleted: true,
-      });
-    }
-    await ScheduledExam.updateMany(
-      { status: "live", expiresAt: { $lt: now } },
-      { status: "ended" }
-    );
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch exam" });
+  }
+};
 
-    // Auto-activate scheduled exams
-    await ScheduledExam.updateMany(
-      { status: "scheduled", scheduledAt: { $lte: now }, expiresAt: { $gt: now } },
-      { status: "live" }
-    );
+// Autosave checkpoint for an open attempt, restored when the paper is reopened on any device
+const saveExamProgress = async (req, res) => {
+  try {
+    const exam = await ScheduledExam.findOne({ _id: req.params.id, ...req.audience }).select("questions._id graceSeconds");
+    if (!exam) return res.status(404).json({ error: "Exam not found" });
 
-    const exam = await ScheduledExam.findOne({ status: "live" });
-    if (exam) {
-      return res.json({
-        state: "live",
-        exam: {
-          _id: exam._id,
-          title: exam.title,
-          subject: exam.subject,
-          testNumber: exam.testNumber,
-          totalQuestions: exam.totalQuestions,
-          durationMinutes: exam.durationMinutes,
-          scheduledAt: exam.scheduledAt,
-          expiresAt: exam.expiresAt,
-          questions: exam.questions.map((q) => ({
-            _id: q._id,
-            questionNumber: q.questionNumber,
-            questionText: q.questionText,
-            options: q.options,
-          })),
-        },
-      });
-    }
+    const attempt = await ExamAttempt.findOne({ examId: exam._id, studentMobile: req.student.mobile });
+    if (!attempt) return res.status(404).json({ error: "Open the exam before saving answers" });
+    if (attempt.status === "submitted") return res.status(409).json({ error: "Exam already submitted" });
+    if (Date.now() > attempt.deadline.getTime() + exam.graceSeconds * 1000)
+      return res.status(410).json({ error: "Your time for this exam is over" });
+
+    const ids = new Set(exam.questions.map((q) => q._id.toString()));
+    const answers = {};
+    Object.entries(req.body.answers || {}).forEach(([id, letter]) => {
+      if (ids.has(id) && ["A", "B", "C", "D"].includes(letter)) answers[id] = letter;
+    });
+    const currentQuestion = Math.min(Math.max(0, Math.floor(Number(req.body.currentQuestion)) || 0), ids.size - 1);
+
+    const saved = await ExamAttempt.findOneAndUpdate(
+      { _id: attempt._id, status: "in-progress" },
+      { answers, currentQuestion, savedAt: new Date() },
+      { new: true }
+    );
+    if (!saved) return res.status(409).json({ error: "Exam already submitted" });
+    res.json({ success: true, savedAt: saved.savedAt, answered: Object.keys(answers).length });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to save progress" });
+  }
+};
 
-    const upcoming = await ScheduledExam.findOne({ status: "scheduled" }).sort({ scheduledAt: 1 });
-    if (upcoming) {
-      return res.json({
-        state: "upcoming",
-        exam: {
-          _id: upcoming._id,
-          title: upcoming.title,
-          subject: upcoming.subject,
-          testNumber: upcoming.testNumber,
-          totalQuestions: upcoming.totalQuestions,
-          durationMinutes: upcoming.durationMinutes,
-          scheduledAt: upcoming.scheduledAt,
-          expiresAt: upcoming.expiresAt,
-        },
+// Released question paper with answer key, once the exam's release setting allows it
+const getReleasedPaper = async (req, res) => {
+  try {
+    const exam = await ScheduledExam.findOne({ _id: req.params.id, ...req.audience });
+    if (!exam) return res.status(404).json({ error: "Exam not found" });
+    if (!exam.isPaperReleased())
+      return res.status(403).json({
+        error: "Question paper has not been released",
+        paperRelease: exam.paperRelease,
+        paperReleaseAt: exam.paperRelease === "at" ? exam.paperReleaseAt : undefined,
       });
-    }
 
-    return res.json({ state: "none", exam: null });
+    res.json({
+      ...examSummary(exam),
+      questions: exam.questions.map((q) => ({
+        _id: q._id,
+        questionNumber: q.questionNumber,
+        questionText: q.questionText,
+        options: q.options,
+        correctAnswer: q.correctAnswer,
+        explanation: q.explanation,
+        topic: q.topic,
+        difficulty: q.difficulty,
+      })),
+    });
   } catch (err) {
-    res.status(500).json({ error: "Failed to fetch exam" });
+    res.status(500).json({ error: "Failed to fetch paper" });
   }
 };
 
@@ -339,16 +564,163 @@ const getResultsByExam = async (req, res) => {
   try {
     const results = await Result.find({ examId: req.params.examId })
       .select("-answers")
-      .sort({ score: -1 });
+      .sort({ score: -1, wrong: 1, submittedAt: 1 });
     res.json(results);
   } catch {
     res.status(500).json({ error: "Failed to fetch" });
   }
 };
 
+const csvCell = (v) => `"${String(v ?? "").replace(/"/g, '""')}"`;
+
+// Ranked results for one exam, as JSON or a CSV download (?format=csv).
+// Ranks are computed fresh so the list is right even before the exam closes.
+const getMeritList = async (req, res) => {
+  try {
+    const results = await Result.find({ examId: req.params.examId }).select("-answers");
+    if (results.length === 0) return res.status(404).json({ error: "No results for this exam" });
+
+    const exam = await ScheduledExam.findById(req.params.examId).select("finalisedAt");
+    const first = results[0];
+    const entries = Result.rankList(results).map(({ result: r, rank, percentile }) => ({
+      rank,
+      percentile,
+      studentName: r.studentName,
+      studentMobile: r.studentMobile,
+      score: r.score ?? r.correct,
+      maxScore: r.maxScore || r.total,
+      correct: r.correct,
+      wrong: r.wrong,
+      unanswered: r.unanswered,
+      late: r.late,
+      autoSubmitted: r.autoSubmitted,
+      submittedAt: r.submittedAt,
+    }));
+
+    if (req.query.format === "csv") {
+      const headers = ["Rank", "Percentile", "Student Name", "Mobile", "Score", "Max", "Correct", "Wrong", "Skipped", "Submitted At", "Timing"];
+      const rows = entries.map((e) => [
+        e.rank, e.percentile, e.studentName, e.studentMobile, e.score, e.maxScore, e.correct, e.wrong, e.unanswered,
+        new Date(e.submittedAt).toLocaleString("en-IN"),
+        e.autoSubmitted ? "Auto-submitted" : e.late ? "Late" : "On time",
+      ]);
+      const csv = [headers, ...rows].map((row) => row.map(csvCell).join(",")).join("\n");
+      const name = `merit-${first.examTitle || "exam"}-test-${first.examTestNumber || ""}`.replace(/[^\w-]+/g, "_");
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader("Content-Disposition", `attachment; filename="${name}.csv"`);
+      return res.send(csv);
+    }
+
+    res.json({
+      examId: req.params.examId,
+      title: first.examTitle,
+      subject: first.examSubject,
+      testNumber: first.examTestNumber,
+      final: !!exam?.finalisedAt,
+      rankedOf: entries.length,
+      entries,
+    });
+  } catch {
+    res.status(500).json({ error: "Failed to build merit list" });
+  }
+};
+
+// Per-question item analysis for one exam
+const getItemAnalysis = async (req, res) => {
+  try {
+    const exam = await ScheduledExam.findById(req.params.examId);
+    if (!exam) return res.status(404).json({ error: "Exam not found" });
+    if (exam.questionsDeleted || exam.questions.length === 0)
+      return res.status(410).json({ error: "The question paper for this exam is no longer available" });
+
+    const results = await Result.find({ examId: exam._id }).select("answers score correct wrong submittedAt");
+    res.json(analyseExam(exam, results));
+  } catch {
+    res.status(500).json({ error: "Failed to analyse exam" });
+  }
+};
+
+// Students who never opened a closed exam, optionally for one exam
+const getAbsentees = async (req, res) => {
+  try {
+    const filter = req.query.examId ? { examId: req.query.examId } : {};
+    res.json(await ExamAbsence.find(filter).sort({ createdAt: -1 }));
+  } catch {
+    res.status(500).json({ error: "Failed to fetch absentees" });
+  }
+};
+
+// ─────────────────────────────────────────
+// EXCEL EXPORTS
+// ─────────────────────────────────────────
+const MAX_EXPORT_EXAMS = 50;
+
+// ?examIds=a,b,c → valid ids in the order given
+const exportIds = (req) =>
+  [...new Set(String(req.query.examIds || "").split(",").map((id) => id.trim()))].filter((id) => mongoose.isValidObjectId(id));
+
+// Result sheets with every student's answers, one sheet per exam
+const exportResults = async (req, res) => {
+  try {
+    const ids = exportIds(req);
+    if (ids.length === 0) return res.status(400).json({ error: "Choose at least one exam" });
+    if (ids.length > MAX_EXPORT_EXAMS) return res.status(400).json({ error: `Export at most ${MAX_EXPORT_EXAMS} exams at a time` });
+
+    const [exams, results, absences] = await Promise.all([
+      ScheduledExam.find({ _id: { $in: ids } }),
+      Result.find({ examId: { $in: ids } }),
+      ExamAbsence.find({ examId: { $in: ids } }).sort({ studentName: 1 }),
+    ]);
+    const examsById = new Map(exams.map((e) => [e._id.toString(), e]));
+    const sections = ids
+      .map((id) => {
+        const exam = examsById.get(id);
+        const own = results.filter((r) => r.examId.toString() === id);
+        if (!exam && own.length === 0) return null;
+        const first = own[0];
+        return {
+          exam,
+          info: exam
+            ? { title: exam.title, subject: exam.subject, testNumber: exam.testNumber }
+            : { title: first.examTitle, subject: first.examSubject, testNumber: first.examTestNumber },
+          ranked: Result.rankList(own),
+          absences: absences.filter((a) => a.examId.toString() === id),
+        };
+      })
+      .filter(Boolean);
+    if (sections.length === 0) return res.status(404).json({ error: "No results for the chosen exams" });
+
+    const name = sections.length === 1 ? `results-${sections[0].info.title}-test-${sections[0].info.testNumber}` : `results-${sections.length}-exams`;
+    sendWorkbook(res, resultsWorkbook(sections), name);
+  } catch (err) {
+    res.status(500).json({ error: "Export failed: " + err.message });
+  }
+};
+
+// Question papers with their keys, re-uploadable as drafts
+const exportPapers = async (req, res) => {
+  try {
+    const ids = exportIds(req);
+    if (ids.length === 0) return res.status(400).json({ error: "Choose at least one exam" });
+    if (ids.length > MAX_EXPORT_EXAMS) return res.status(400).json({ error: `Export at most ${MAX_EXPORT_EXAMS} exams at a time` });
+
+    const found = await ScheduledExam.find({ _id: { $in: ids }, questionsDeleted: { $ne: true } });
+    const exams = ids.map((id) => found.find((e) => e._id.toString() === id)).filter(Boolean);
+    if (exams.length === 0) return res.status(404).json({ error: "None of the chosen papers are available" });
+
+    const name = exams.length === 1 ? `paper-${exams[0].title}-test-${exams[0].testNumber}` : `papers-${exams.length}-exams`;
+    sendWorkbook(res, papersWorkbook(exams), name);
+  } catch (err) {
+    res.status(500).json({ error: "Export failed: " + err.message });
+  }
+};
+
 module.exports = {
-  uploadExam, getDrafts, getDraftById, updateDraft, deleteDraft,
-  scheduleExam, getScheduledExams, cancelExam,
+  previewExam, uploadExam, getDrafts, getDraftById, updateDraft, deleteDraft,
+  scheduleExam, getScheduledExams, getScheduledExamById, updatePaperRelease, cancelExam,
+  regradeExam, getRegradeHistory,
   getLicenseInfo, updateLicense, resetLicenseCount,
-  getActiveExam, getAllResults, getResultsByExam,
+  getActiveExams, getActiveExamPaper, saveExamProgress, getReleasedPaper, getAllResults, getResultsByExam,
+  getMeritList, getItemAnalysis, getAbsentees,
+  exportResults, exportPapers,
 };
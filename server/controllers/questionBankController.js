@@ -0,0 +1,224 @@
+const mongoose = require("mongoose");
+const BankQuestion = require("../models/BankQuestion");
+const DraftExam = require("../models/DraftExam");
+const { parseExamSheet } = require("../utils/examSheet");
+
+const DIFFICULTY_LEVELS = ["easy", "medium", "hard"];
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// ─────────────────────────────────────────
+// BROWSE & SEARCH
+// ─────────────────────────────────────────
+const listQuestions = async (req, res) => {
+  try {
+    const { search, subject, topic, difficulty, source } = req.query;
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+
+    const filter = {};
+    if (subject) filter.subject = subject;
+    if (topic) filter.topic = topic;
+    if (difficulty) filter.difficulty = difficulty === "none" ? "" : difficulty;
+    if (source) filter.source = source;
+    if (search && search.trim()) {
+      const rx = new RegExp(escapeRegex(search.trim()), "i");
+      filter.$or = [{ questionText: rx }, { topic: rx }, { source: rx }, { explanation: rx }];
+    }
+
+    const [questions, total] = await Promise.all([
+      BankQuestion.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      BankQuestion.countDocuments(filter),
+    ]);
+    res.json({ questions, total, page, pages: Math.ceil(total / limit) });
+  } catch {
+    res.status(500).json({ error: "Failed to fetch questions" });
+  }
+};
+
+// Counts per subject / topic / difficulty, plus known sources, for filters and rule building
+const getFacets = async (req, res) => {
+  try {
+    const [groups, sources] = await Promise.all([
+      BankQuestion.aggregate([
+        { $group: { _id: { subject: "$subject", topic: "$topic", difficulty: "$difficulty" }, count: { $sum: 1 } } },
+      ]),
+      BankQuestion.distinct("source"),
+    ]);
+    res.json({
+      groups: groups.map((g) => ({ ...g._id, count: g.count })),
+      sources: sources.filter(Boolean).sort(),
+    });
+  } catch {
+    res.status(500).json({ error: "Failed to fetch bank summary" });
+  }
+};
+
+// ─────────────────────────────────────────
+// IMPORT / EDIT / DELETE
+// ─────────────────────────────────────────
+const importQuestions = async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+    const { subject, source = "", skipErrors } = req.body;
+    if (!subject) return res.status(400).json({ error: "Subject required" });
+
+    const { questions, summary, report } = parseExamSheet(req.file.buffer);
+    if (summary.errors > 0 && String(skipErrors) !== "true")
+      return res.status(400).json({
+        error: `${summary.errors} row${summary.errors > 1 ? "s have" : " has"} errors. Fix them or choose to skip them.`,
+        summary,
+        report,
+      });
+    if (questions.length === 0)
+      return res.status(400).json({ error: "No valid questions found in the Excel file", summary, report });
+
+    const { added, existing } = await BankQuestion.addMany(questions, { subject, source: source || req.file.originalname });
+    res.json({ success: true, added, existing, summary });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to import: " + err.message });
+  }
+};
+
+const updateQuestion = async (req, res) => {
+  try {
+    const q = await BankQuestion.findById(req.params.id);
+    if (!q) return res.status(404).json({ error: "Question not found" });
+
+    ["questionText", "options", "correctAnswer", "explanation", "subject", "topic", "difficulty", "source"].forEach((f) => {
+      if (req.body[f] !== undefined) q[f] = req.body[f];
+    });
+    q.fingerprint = BankQuestion.fingerprintOf(q, q.subject);
+    await q.save();
+    res.json({ success: true, question: q });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: "The same question is already in the bank" });
+    if (err.name === "ValidationError") return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: "Failed to update question" });
+  }
+};
+
+const deleteQuestion = async (req, res) => {
+  try {
+    const q = await BankQuestion.findByIdAndDelete(req.params.id);
+    if (!q) return res.status(404).json({ error: "Question not found" });
+    res.json({ message: "Question deleted" });
+  } catch {
+    res.status(500).json({ error: "Delete failed" });
+  }
+};
+
+// ─────────────────────────────────────────
+// ASSEMBLE EXAM → DRAFT
+// ─────────────────────────────────────────
+
+// Splits a rule's count by the difficulty mix (percentages). Whatever the mix
+// doesn't cover is drawn from the levels the mix leaves out.
+const splitByMix = (count, mix = {}) => {
+  const parts = [];
+  let left = count;
+  DIFFICULTY_LEVELS.forEach((level) => {
+    const pct = Number(mix[level]) || 0;
+    if (pct <= 0) return;
+    const n = Math.min(left, Math.round((count * pct) / 100));
+    parts.push({ difficulty: level, count: n });
+    left -= n;
+  });
+  if (left > 0) {
+    const mixed = parts.map((p) => p.difficulty);
+    parts.push({ difficulty: mixed.length ? { $nin: mixed } : undefined, count: left });
+  }
+  return parts.filter((p) => p.count > 0);
+};
+
+// Builds a draft from hand-picked questionIds and/or rules like
+// { subject: "General Knowledge", topic?, difficulty?, count: 25 } with an optional
+// difficulty mix { hard: 20 } applied inside each rule that doesn't fix a difficulty.
+const assembleExam = async (req, res) => {
+  try {
+    const { title, subject, testNumber, questionIds = [], rules = [], mix = {} } = req.body;
+    if (!title || !subject || !testNumber)
+      return res.status(400).json({ error: "Title, subject and test number required" });
+    if (questionIds.length === 0 && rules.length === 0)
+      return res.status(400).json({ error: "Pick questions or add at least one rule" });
+    const mixTotal = DIFFICULTY_LEVELS.reduce((sum, l) => sum + (Number(mix[l]) || 0), 0);
+    if (mixTotal > 100) return res.status(400).json({ error: "Difficulty mix cannot exceed 100%" });
+
+    const picked = [];
+    const taken = new Set();
+
+    const validIds = questionIds.filter((id) => mongoose.isValidObjectId(id));
+    if (validIds.length) {
+      const manual = await BankQuestion.find({ _id: { $in: validIds } });
+      const byId = new Map(manual.map((q) => [q._id.toString(), q]));
+      validIds.forEach((id) => {
+        const q = byId.get(String(id));
+        if (q && !taken.has(id)) {
+          picked.push(q);
+          taken.add(String(id));
+        }
+      });
+    }
+
+    const shortfalls = [];
+    for (const rule of rules) {
+      const count = Number(rule.count);
+      if (!rule.subject || !(count > 0))
+        return res.status(400).json({ error: "Every rule needs a subject and a count above 0" });
+
+      const base = { subject: rule.subject };
+      if (rule.topic) base.topic = rule.topic;
+      const parts = rule.difficulty ? [{ difficulty: rule.difficulty, count }] : splitByMix(count, mix);
+
+      for (const part of parts) {
+        const match = {
+          ...base,
+          ...(part.difficulty && { difficulty: part.difficulty }),
+          _id: { $nin: [...taken].map((id) => new mongoose.Types.ObjectId(id)) },
+        };
+        const sample = await BankQuestion.aggregate([{ $match: match }, { $sample: { size: part.count } }]);
+        sample.forEach((q) => {
+          picked.push(q);
+          taken.add(q._id.toString());
+        });
+        if (sample.length < part.count) {
+          const level = typeof part.difficulty === "string" ? ` ${part.difficulty}` : "";
+          shortfalls.push(`${rule.subject}${rule.topic ? ` / ${rule.topic}` : ""}${level}: need ${part.count}, bank has ${sample.length}`);
+        }
+      }
+    }
+
+    if (shortfalls.length)
+      return res.status(400).json({ error: "Not enough matching questions in the bank", shortfalls });
+
+    const questions = picked.map((q, i) => ({
+      questionNumber: i + 1,
+      questionText: q.questionText,
+      options: q.options,
+      correctAnswer: q.correctAnswer,
+      explanation: q.explanation,
+      topic: q.topic,
+      difficulty: q.difficulty,
+    }));
+
+    const draft = await new DraftExam({
+      title,
+      subject,
+      testNumber: Number(testNumber),
+      totalQuestions: questions.length,
+      questions,
+    }).save();
+
+    await BankQuestion.updateMany(
+      { _id: { $in: picked.map((q) => q._id) } },
+      { $inc: { timesUsed: 1 }, lastUsedAt: new Date() }
+    );
+
+    res.json({ success: true, draftId: draft._id, totalQuestions: questions.length });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to assemble exam: " + err.message });
+  }
+};
+
+module.exports = {
+  listQuestions, getFacets, importQuestions, updateQuestion, deleteQuestion, assembleExam,
+};
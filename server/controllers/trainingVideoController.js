@@ -1,4 +1,5 @@
 const TrainingVideo = require("../models/TrainingVideo");
+const VideoView = require("../models/VideoView");
 
 const extractYoutubeId = (url) => {
   try {
@@ -11,7 +12,7 @@ const extractYoutubeId = (url) => {
 
 const addTrainingVideo = async (req, res) => {
   try {
-    const { title, description, youtubeUrl, category } = req.body;
+    const { title, description, youtubeUrl, category, batches = [] } = req.body;
 
     if (!title || !youtubeUrl) {
       return res.status(400).json({ message: "Title and YouTube URL are required" });
@@ -27,7 +28,8 @@ const addTrainingVideo = async (req, res) => {
       description: description || "",
       youtubeUrl,
       youtubeId,
-      category: category || "Training"
+      category: category || "Training",
+      batches,
     });
 
     await video.save();
@@ -39,7 +41,7 @@ const addTrainingVideo = async (req, res) => {
 
 const getAllTrainingVideos = async (req, res) => {
   try {
-    const videos = await TrainingVideo.find().sort({ createdAt: -1 });
+    const videos = await TrainingVideo.find(req.audience).populate("batches", "name").sort({ createdAt: -1 });
     res.status(200).json(videos);
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
@@ -56,8 +58,21 @@ const deleteTrainingVideo = async (req, res) => {
   }
 };
 
+// Student opened a training video; feeds the engagement section of student reports
+const recordTrainingView = async (req, res) => {
+  try {
+    const video = await TrainingVideo.findOne({ _id: req.params.id, ...req.audience });
+    if (!video) return res.status(404).json({ message: "Training video not found" });
+    await VideoView.record(req.student.mobile, "training", video);
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 module.exports = { 
   addTrainingVideo, 
   getAllTrainingVideos, 
-  deleteTrainingVideo 
+  deleteTrainingVideo,
+  recordTrainingView,
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const Video = require("../models/Video");
+const VideoView = require("../models/VideoView");
 
 // Extract YouTube ID from URL
 const extractYoutubeId = (url) => {
@@ -12,7 +13,7 @@ const extractYoutubeId = (url) => {
 
 const addVideo = async (req, res) => {
   try {
-    const { subject, videoNumber, title, youtubeUrl } = req.body;
+    const { subject, videoNumber, title, youtubeUrl, batches = [] } = req.body;
     if (!subject || !videoNumber || !title || !youtubeUrl)
       return res.status(400).json({ message: "All fields are required" });
 
@@ -20,7 +21,7 @@ const addVideo = async (req, res) => {
     if (!youtubeId)
       return res.status(400).json({ message: "Invalid YouTube URL" });
 
-    const video = new Video({ subject, videoNumber, title, youtubeUrl, youtubeId });
+    const video = new Video({ subject, videoNumber, title, youtubeUrl, youtubeId, batches });
     await video.save();
     res.status(201).json({ message: "Video added successfully", video });
   } catch (error) {
@@ -30,7 +31,7 @@ const addVideo = async (req, res) => {
 
 const getAllVideos = async (req, res) => {
   try {
-    const videos = await Video.find().sort({ createdAt: -1 });
+    const videos = await Video.find(req.audience).populate("batches", "name").sort({ createdAt: -1 });
     res.status(200).json(videos);
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
@@ -40,7 +41,7 @@ const getAllVideos = async (req, res) => {
 const getVideosBySubject = async (req, res) => {
   try {
     const { subject } = req.params;
-    const videos = await Video.find({ subject }).sort({ videoNumber: 1 });
+    const videos = await Video.find({ subject, ...req.audience }).sort({ videoNumber: 1 });
     res.status(200).json(videos);
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
@@ -57,4 +58,16 @@ const deleteVideo = async (req, res) => {
   }
 };
 
-module.exports = { addVideo, getAllVideos, getVideosBySubject, deleteVideo };
\ No newline at end of file
+// Student opened a video; feeds the engagement section of student reports
+const recordView = async (req, res) => {
+  try {
+    const video = await Video.findOne({ _id: req.params.id, ...req.audience });
+    if (!video) return res.status(404).json({ message: "Video not found" });
+    await VideoView.record(req.student.mobile, "class", video);
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+module.exports = { addVideo, getAllVideos, getVideosBySubject, deleteVideo, recordView };
\ No newline at end of file
@@ -4,15 +4,27 @@ const cors = require("cors");
 const path = require("path");
 require("dotenv").config();
 
+// Tokens are signed with JWT_SECRET; without it anyone could forge an admin token
+if (!process.env.JWT_SECRET) {
+  console.error("❌ JWT_SECRET is not set. Refusing to start.");
+  process.exit(1);
+}
+
 const videoRoutes = require("./routes/videoRoutes");
 const examRoutes = require("./routes/examRoutes");
 const studentRoutes = require("./routes/studentRoutes");
 const trainingVideoRoutes = require("./routes/trainingVideoRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const batchRoutes = require("./routes/batchRoutes");
+const questionBankRoutes = require("./routes/questionBankRoutes");
+const jobRoutes = require("./routes/jobRoutes");
+const scheduler = require("./jobs/examJobs");
 
 const app = express();
+app.set("trust proxy", 1); // behind the host's proxy: req.ip is the client, for OTP rate limits
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ["Content-Disposition"] })); // lets the admin app read download file names
 app.use(express.json());
 
 // Serve React build static files
@@ -23,6 +35,10 @@ app.use("/api/videos", videoRoutes);
 app.use("/api/exam", examRoutes);
 app.use("/api/students", studentRoutes);
 app.use("/api/training-videos", trainingVideoRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/batches", batchRoutes);
+app.use("/api/question-bank", questionBankRoutes);
+app.use("/api/jobs", jobRoutes);
 
 // SPA fallback: return index.html for any non-API route
 app.get("*", (req, res) => {
@@ -41,7 +57,11 @@ console.log("📍 Registered routes:", registeredRoutes);
 // MongoDB Connection
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("✅ MongoDB connected successfully"))
+  .then(() => {
+    console.log("✅ MongoDB connected successfully");
+    // Set JOBS_DISABLED=true on extra instances so only one runs the exam jobs
+    if (process.env.JOBS_DISABLED !== "true") scheduler.start();
+  })
   .catch((err) => console.error("❌ MongoDB connection error:", err));
 
 const PORT = process.env.PORT || 5000;
@@ -0,0 +1,52 @@
+const scheduler = require("./scheduler");
+const ScheduledExam = require("../models/ScheduledExam");
+const Notification = require("../models/Notification");
+const Result = require("../models/Result");
+const { finaliseOverdueAttempts, finaliseExpiredExams } = require("../utils/examSubmission");
+
+const RESULT_NOTICE_DAYS = 3;
+
+// scheduled → live → ended, on time rather than whenever someone loads a page
+scheduler.register("exam-status", {
+  description: "Starts scheduled exams and ends expired ones",
+  intervalSeconds: Number(process.env.EXAM_STATUS_INTERVAL_SECONDS) || 15,
+  run: async (now) => {
+    const ended = await ScheduledExam.updateMany(
+      { status: "live", expiresAt: { $lte: now } },
+      { status: "ended" }
+    );
+    const started = await ScheduledExam.updateMany(
+      { status: "scheduled", scheduledAt: { $lte: now }, expiresAt: { $gt: now } },
+      { status: "live" }
+    );
+    // an exam whose whole window passed while the server was down
+    const missed = await ScheduledExam.updateMany(
+      { status: "scheduled", expiresAt: { $lte: now } },
+      { status: "ended" }
+    );
+    return { started: started.modifiedCount, ended: ended.modifiedCount + missed.modifiedCount };
+  },
+});
+
+// Auto-submit, absentees, ranks and a results notice once each exam closes
+scheduler.register("exam-close", {
+  description: "Auto-submits unsubmitted attempts, records absentees, ranks and announces results",
+  intervalSeconds: Number(process.env.EXAM_CLOSE_INTERVAL_SECONDS) || 30,
+  run: async (now) => {
+    const overdue = await finaliseOverdueAttempts(now);
+    const closed = await finaliseExpiredExams(now, {
+      onFinalised: async (exam) => {
+        await Result.rankExam(exam._id);
+        await new Notification({
+          message: `Results for ${exam.title} (Test #${exam.testNumber}) are out. Check My Results.`,
+          startDate: now,
+          endDate: new Date(now.getTime() + RESULT_NOTICE_DAYS * 24 * 60 * 60 * 1000),
+          batches: exam.batches,
+        }).save();
+      },
+    });
+    return { autoSubmitted: overdue + closed.autoSubmitted, examsClosed: closed.exams, absent: closed.absent };
+  },
+});
+
+module.exports = scheduler;
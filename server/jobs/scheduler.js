@@ -0,0 +1,72 @@
+// Minimal in-process job runner. Each job runs on its own interval, never
+// overlaps itself, and keeps its last outcome for the admin status view.
+const jobs = new Map();
+let started = false;
+
+const register = (name, { description = "", intervalSeconds, run }) => {
+  jobs.set(name, {
+    name,
+    description,
+    intervalMs: intervalSeconds * 1000,
+    run,
+    timer: null,
+    running: false,
+    runs: 0,
+    failures: 0,
+    lastRunAt: null,
+    lastDurationMs: null,
+    lastResult: null,
+    lastError: null,
+    nextRunAt: null,
+  });
+};
+
+// Runs a job now; returns null if it is already running
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) throw new Error(`Unknown job: ${name}`);
+  if (job.running) return null;
+
+  job.running = true;
+  job.lastRunAt = new Date();
+  try {
+    job.lastResult = (await job.run(job.lastRunAt)) ?? null;
+    job.lastError = null;
+  } catch (err) {
+    job.failures++;
+    job.lastError = err.message;
+    console.error(`⚠️ Job ${name} failed:`, err.message);
+  } finally {
+    job.runs++;
+    job.running = false;
+    job.lastDurationMs = Date.now() - job.lastRunAt.getTime();
+    if (started) job.nextRunAt = new Date(job.lastRunAt.getTime() + job.intervalMs);
+  }
+  return job.lastResult;
+};
+
+const start = () => {
+  if (started) return;
+  started = true;
+  jobs.forEach((job) => {
+    job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+    runJob(job.name);
+  });
+  console.log(`⏱ Scheduler started: ${[...jobs.keys()].join(", ")}`);
+};
+
+const stop = () => {
+  jobs.forEach((job) => {
+    clearInterval(job.timer);
+    job.timer = null;
+    job.nextRunAt = null;
+  });
+  started = false;
+};
+
+const status = () => ({
+  started,
+  jobs: [...jobs.values()].map(({ timer, run, ...job }) => job),
+});
+
+module.exports = { register, runJob, start, stop, status };
@@ -0,0 +1,89 @@
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Admin = require("../models/Admin");
+const Batch = require("../models/Batch");
+const Student = require("../models/Student");
+
+const getToken = (req) => req.headers.authorization?.split(" ")[1];
+const verify = (token) => jwt.verify(token, process.env.JWT_SECRET);
+
+// The admin account a token belongs to, or null. The stored account decides, so
+// disabling an admin or changing their role applies from their next request.
+const findAdmin = async (payload) => {
+  if (!payload?.role || !mongoose.isValidObjectId(payload.id)) return null;
+  const admin = await Admin.findById(payload.id).select("username name role active");
+  if (!admin?.active) return null;
+  return { id: String(admin._id), username: admin.username, name: admin.name, role: admin.role };
+};
+
+// Student JWT middleware
+const auth = (req, res, next) => {
+  const token = getToken(req);
+  if (!token) return res.status(401).json({ error: "Access denied" });
+  try {
+    const payload = verify(token);
+    if (payload.role) return res.status(401).json({ error: "Invalid token" });
+    req.student = payload;
+    next();
+  } catch {
+    res.status(401).json({ error: "Invalid token" });
+  }
+};
+
+// Admin JWT middleware. Pass the roles allowed on the route;
+// super-admin is always allowed, no roles means any admin.
+const adminAuth = (...roles) => async (req, res, next) => {
+  const token = getToken(req);
+  if (!token) return res.status(401).json({ error: "Admin login required" });
+  let payload;
+  try {
+    payload = verify(token);
+  } catch {
+    return res.status(401).json({ error: "Invalid token" });
+  }
+
+  let admin;
+  try {
+    admin = await findAdmin(payload);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  if (!admin) return res.status(401).json({ error: "Admin login required" });
+  if (roles.length && admin.role !== "super-admin" && !roles.includes(admin.role)) {
+    return res.status(403).json({ error: "You do not have permission for this action" });
+  }
+  req.admin = admin;
+  next();
+};
+
+// Works out which batch-targeted content the caller may see and stores the
+// query in req.audience: admins see everything, students see untargeted
+// content plus their own batches, anonymous callers only untargeted content.
+const audience = async (req, res, next) => {
+  const token = getToken(req);
+  let payload = null;
+  if (token) {
+    try {
+      payload = verify(token);
+    } catch {}
+  }
+
+  try {
+    const admin = payload?.role ? await findAdmin(payload) : null;
+    if (admin) {
+      req.admin = admin;
+      req.audience = {};
+    } else if (payload && !payload.role) {
+      req.student = payload;
+      const student = await Student.findById(payload.id).select("batches");
+      req.audience = Batch.audienceFilter(student?.batches || []);
+    } else {
+      req.audience = Batch.audienceFilter([]);
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+module.exports = { auth, adminAuth, audience };
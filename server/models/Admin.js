@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+const ADMIN_ROLES = ["super-admin", "instructor", "viewer"];
+
+const adminSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  username: { type: String, required: true, unique: true, trim: true, lowercase: true },
+  password: { type: String, required: true }, // bcrypt hash
+  role: { type: String, enum: ADMIN_ROLES, default: "viewer" },
+  active: { type: Boolean, default: true },
+  lastLoginAt: Date,
+}, { timestamps: true });
+
+const Admin = mongoose.model("Admin", adminSchema);
+Admin.ROLES = ADMIN_ROLES;
+
+module.exports = Admin;
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const bankQuestionSchema = new mongoose.Schema(
+  {
+    questionText: { type: String, required: true },
+    options: { A: String, B: String, C: String, D: String },
+    correctAnswer: { type: String, enum: ["A", "B", "C", "D"], required: true },
+    explanation: String,
+    subject: { type: String, required: true, trim: true },
+    topic: { type: String, default: "", trim: true },
+    difficulty: { type: String, enum: ["", "easy", "medium", "hard"], default: "" },
+    source: { type: String, default: "", trim: true }, // e.g. the paper it was imported from
+    fingerprint: { type: String, required: true, unique: true },
+    timesUsed: { type: Number, default: 0 },
+    lastUsedAt: Date,
+  },
+  { timestamps: true }
+);
+
+bankQuestionSchema.index({ subject: 1, topic: 1, difficulty: 1 });
+bankQuestionSchema.index({ questionText: "text", topic: "text", source: "text" });
+
+// Same subject, question and options = same bank entry, so re-imports don't duplicate
+bankQuestionSchema.statics.fingerprintOf = function (q, subject) {
+  const norm = (v) => String(v || "").trim().toLowerCase().replace(/\s+/g, " ");
+  const parts = [subject, q.questionText, q.options?.A, q.options?.B, q.options?.C, q.options?.D].map(norm);
+  return crypto.createHash("sha1").update(parts.join("|")).digest("hex");
+};
+
+// Upserts parsed questions; returns how many were new
+bankQuestionSchema.statics.addMany = async function (questions, { subject, source = "" }) {
+  if (questions.length === 0) return { added: 0, existing: 0 };
+  const ops = questions.map((q) => ({
+    updateOne: {
+      filter: { fingerprint: this.fingerprintOf(q, subject) },
+      update: {
+        $setOnInsert: {
+          questionText: q.questionText,
+          options: q.options,
+          correctAnswer: q.correctAnswer,
+          explanation: q.explanation || "",
+          subject,
+          topic: q.topic || "",
+          difficulty: q.difficulty || "",
+          source,
+        },
+      },
+      upsert: true,
+    },
+  }));
+  const res = await this.bulkWrite(ops, { ordered: false });
+  return { added: res.upsertedCount, existing: questions.length - res.upsertedCount };
+};
+
+module.exports = mongoose.model("BankQuestion", bankQuestionSchema);
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+const batchSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true }, // e.g. "Army GD 2026 Morning"
+    description: { type: String, trim: true, default: "" },
+  },
+  { timestamps: true }
+);
+
+// Query for content targeted at any of the given batches.
+// Content with no batches is for everyone.
+batchSchema.statics.audienceFilter = (batchIds = []) => ({
+  $or: [
+    { batches: { $exists: false } },
+    { batches: { $size: 0 } },
+    { batches: { $in: batchIds } },
+  ],
+});
+
+module.exports = mongoose.model("Batch", batchSchema);
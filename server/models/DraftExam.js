@@ -5,6 +5,11 @@ const questionSchema = new mongoose.Schema({
   questionText: String,
   options: { A: String, B: String, C: String, D: String },
   correctAnswer: String,
+  explanation: String,
+  topic: String,
+  difficulty: { type: String, enum: ["", "easy", "medium", "hard"], default: "" },
+  marks: Number, // overrides marking.perCorrect for this question
+  penalty: Number, // overrides marking.perWrong for this question
 });
 
 const draftExamSchema = new mongoose.Schema(
@@ -14,6 +19,10 @@ const draftExamSchema = new mongoose.Schema(
     testNumber: { type: Number, required: true },
     totalQuestions: { type: Number, default: 0 },
     questions: [questionSchema],
+    marking: {
+      perCorrect: { type: Number, default: 1 },
+      perWrong: { type: Number, default: 0, min: 0 }, // deducted per wrong answer
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// A student the exam was open to who never opened the paper, recorded when the exam closes
+const examAbsenceSchema = new mongoose.Schema(
+  {
+    examId: { type: mongoose.Schema.Types.ObjectId, ref: "ScheduledExam", required: true },
+    studentMobile: { type: String, required: true },
+    studentName: String,
+    examTitle: String,
+    examSubject: String,
+    examTestNumber: Number,
+  },
+  { timestamps: true }
+);
+
+examAbsenceSchema.index({ examId: 1, studentMobile: 1 }, { unique: true });
+
+module.exports = mongoose.model("ExamAbsence", examAbsenceSchema);
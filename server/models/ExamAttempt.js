@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// One per student per exam, created when the student first opens the paper
+const examAttemptSchema = new mongoose.Schema(
+  {
+    examId: { type: mongoose.Schema.Types.ObjectId, ref: "ScheduledExam", required: true },
+    studentMobile: { type: String, required: true },
+    studentName: String,
+    startedAt: { type: Date, required: true },
+    deadline: { type: Date, required: true },
+    status: { type: String, enum: ["in-progress", "submitted"], default: "in-progress" },
+    submittedAt: Date,
+    // autosaved checkpoint, lettered as on the student's own paper
+    answers: { type: Map, of: String, default: {} },
+    currentQuestion: { type: Number, default: 0 },
+    savedAt: Date,
+  },
+  { timestamps: true }
+);
+
+examAttemptSchema.index({ examId: 1, studentMobile: 1 }, { unique: true });
+
+// start + duration, but never past the exam window
+examAttemptSchema.statics.deadlineFor = function (exam, startedAt) {
+  const byDuration = startedAt.getTime() + exam.durationMinutes * 60 * 1000;
+  return new Date(Math.min(byDuration, new Date(exam.expiresAt).getTime()));
+};
+
+// Returns the existing attempt, or records a new one starting now
+examAttemptSchema.statics.start = async function (exam, student) {
+  const filter = { examId: exam._id, studentMobile: student.mobile };
+  const now = new Date();
+  try {
+    return await this.findOneAndUpdate(
+      filter,
+      { $setOnInsert: { studentName: student.name, startedAt: now, deadline: this.deadlineFor(exam, now) } },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    // two tabs opening the paper at once
+    if (err.code === 11000) return this.findOne(filter);
+    throw err;
+  }
+};
+
+module.exports = mongoose.model("ExamAttempt", examAttemptSchema);
@@ -4,6 +4,8 @@ const notificationSchema = new mongoose.Schema({
   message: { type: String, required: true, trim: true },
   startDate: { type: Date, required: true },
   endDate: { type: Date, required: true },
+  batches: [{ type: mongoose.Schema.Types.ObjectId, ref: "Batch" }], // empty = all students
+  students: [String], // mobiles for a personal notice; empty = everyone in the batches
   createdAt: { type: Date, default: Date.now },
 });
 
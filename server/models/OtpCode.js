@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const OTP_PURPOSES = ["login", "reset"];
+
+// Limits; the lifetime can be tuned with OTP_TTL_SECONDS
+const LIMITS = {
+  ttlSeconds: Number(process.env.OTP_TTL_SECONDS) || 300,
+  resendSeconds: 60, // between codes for the same mobile and purpose
+  perMobilePerHour: 5,
+  perIpPerHour: 20,
+  attempts: 5, // wrong guesses before a code is burnt
+};
+const HOUR = 60 * 60 * 1000;
+
+// One code request. Every request is recorded, for registered mobiles or not, so
+// the send limits count them all; only requests that sent an SMS have a codeHash,
+// and only a keyed hash of the code is stored. Documents stay for a day.
+const otpCodeSchema = new mongoose.Schema(
+  {
+    mobile: { type: String, required: true },
+    purpose: { type: String, enum: OTP_PURPOSES, required: true },
+    codeHash: String,
+    expiresAt: { type: Date, required: true },
+    attempts: { type: Number, default: 0 },
+    consumedAt: Date,
+    ip: String,
+  },
+  { timestamps: true }
+);
+
+otpCodeSchema.index({ mobile: 1, purpose: 1, createdAt: -1 });
+otpCodeSchema.index({ ip: 1, createdAt: -1 });
+otpCodeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const hashCode = (mobile, purpose, code) =>
+  crypto.createHmac("sha256", process.env.JWT_SECRET).update(`${mobile}:${purpose}:${code}`).digest("hex");
+
+// Records a request, or returns { error, retryAfter } when a limit is hit
+otpCodeSchema.statics.throttle = async function (mobile, purpose, ip, now = new Date()) {
+  const hourAgo = new Date(now.getTime() - HOUR);
+  const [latest, mobileCount, ipCount] = await Promise.all([
+    this.findOne({ mobile, purpose }).sort({ createdAt: -1 }),
+    this.countDocuments({ mobile, createdAt: { $gt: hourAgo } }),
+    ip ? this.countDocuments({ ip, createdAt: { $gt: hourAgo } }) : 0,
+  ]);
+
+  const wait = latest ? Math.ceil((latest.createdAt.getTime() + LIMITS.resendSeconds * 1000 - now.getTime()) / 1000) : 0;
+  if (wait > 0) return { error: `Wait ${wait}s before requesting another code`, retryAfter: wait };
+  if (mobileCount >= LIMITS.perMobilePerHour || ipCount >= LIMITS.perIpPerHour) {
+    return { error: "Too many codes requested. Try again in an hour.", retryAfter: 60 * 60 };
+  }
+
+  const otp = await this.create({ mobile, purpose, ip, expiresAt: new Date(now.getTime() + LIMITS.ttlSeconds * 1000) });
+  return { otp };
+};
+
+// New 6-digit code for this request, to be sent by SMS
+otpCodeSchema.methods.issueCode = async function () {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  this.codeHash = hashCode(this.mobile, this.purpose, code);
+  await this.save();
+  return code;
+};
+
+// Checks a code against the latest one sent and uses it up; returns { error } on failure
+otpCodeSchema.statics.consume = async function (mobile, purpose, code, now = new Date()) {
+  const otp = await this.findOne({ mobile, purpose }).sort({ createdAt: -1 });
+  if (!otp || !otp.codeHash || otp.consumedAt || otp.expiresAt <= now) return { error: "Code expired or not requested. Request a new one." };
+
+  // count the guess first so parallel guesses can't exceed the limit
+  const counted = await this.findOneAndUpdate(
+    { _id: otp._id, attempts: { $lt: LIMITS.attempts } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!counted) return { error: "Too many wrong attempts. Request a new code." };
+
+  const expected = Buffer.from(otp.codeHash, "hex");
+  const given = Buffer.from(hashCode(mobile, purpose, String(code || "").trim()), "hex");
+  if (!crypto.timingSafeEqual(expected, given)) {
+    const left = LIMITS.attempts - counted.attempts;
+    return { error: left > 0 ? `Wrong code. ${left} attempt${left > 1 ? "s" : ""} left.` : "Too many wrong attempts. Request a new code." };
+  }
+
+  const used = await this.findOneAndUpdate({ _id: otp._id, consumedAt: null }, { consumedAt: now });
+  if (!used) return { error: "Code already used. Request a new one." };
+  return {};
+};
+
+const OtpCode = mongoose.model("OtpCode", otpCodeSchema);
+OtpCode.PURPOSES = OTP_PURPOSES;
+OtpCode.LIMITS = LIMITS;
+
+module.exports = OtpCode;
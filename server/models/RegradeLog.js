@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// Audit trail for answer-key corrections made after an exam
+const regradeLogSchema = new mongoose.Schema(
+  {
+    examId: { type: mongoose.Schema.Types.ObjectId, ref: "ScheduledExam", required: true, index: true },
+    examTitle: String,
+    admin: { id: mongoose.Schema.Types.ObjectId, username: String, name: String },
+    reason: { type: String, required: true, trim: true },
+    changes: [
+      {
+        _id: false,
+        questionId: mongoose.Schema.Types.ObjectId,
+        questionNumber: Number,
+        field: { type: String, enum: ["correctAnswer", "adjustment"] },
+        from: String,
+        to: String,
+      },
+    ],
+    resultsUpdated: { type: Number, default: 0 },
+    // students whose score changed
+    affected: [
+      {
+        _id: false,
+        studentMobile: String,
+        studentName: String,
+        scoreBefore: Number,
+        scoreAfter: Number,
+        correctBefore: Number,
+        correctAfter: Number,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("RegradeLog", regradeLogSchema);
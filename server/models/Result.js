@@ -11,12 +11,59 @@ const resultSchema = new mongoose.Schema(
     correct: Number,
     wrong: Number,
     unanswered: Number,
-    score: Number,
+    score: Number, // marks after negative marking
+    maxScore: Number,
     total: Number,
     answers: { type: Map, of: String },
+    startedAt: Date,
+    deadline: Date,
+    late: { type: Boolean, default: false },
+    lateBySeconds: { type: Number, default: 0 },
+    autoSubmitted: { type: Boolean, default: false }, // graded from the last autosave
+    // merit position within the exam, set when the exam closes
+    rank: Number,
+    percentile: Number,
+    rankedOf: Number,
     submittedAt: { type: Date, default: Date.now },
   },
   { timestamps: true }
 );
 
+const meritScore = (r) => r.score ?? r.correct ?? 0;
+
+// Merit order: higher score, then fewer wrong answers, then earlier submission
+resultSchema.statics.compareMerit = (a, b) =>
+  meritScore(b) - meritScore(a) ||
+  (a.wrong || 0) - (b.wrong || 0) ||
+  new Date(a.submittedAt) - new Date(b.submittedAt);
+
+// Results in merit order with rank and percentile (share of the field ranked strictly
+// below). Results tied on every criterion share a rank and a percentile.
+resultSchema.statics.rankList = function (results) {
+  const sorted = [...results].sort(this.compareMerit);
+  const n = sorted.length;
+  const ranked = [];
+  for (let start = 0; start < n; ) {
+    let end = start + 1;
+    while (end < n && this.compareMerit(sorted[start], sorted[end]) === 0) end++;
+    const percentile = Math.round(((n - end) / n) * 10000) / 100;
+    for (let i = start; i < end; i++) ranked.push({ result: sorted[i], rank: start + 1, percentile, rankedOf: n });
+    start = end;
+  }
+  return ranked;
+};
+
+// Stores rank, percentile and field size on every result of an exam
+resultSchema.statics.rankExam = async function (examId) {
+  const ranked = this.rankList(await this.find({ examId }).select("score correct wrong submittedAt"));
+  if (ranked.length) {
+    await this.bulkWrite(
+      ranked.map(({ result, rank, percentile, rankedOf }) => ({
+        updateOne: { filter: { _id: result._id }, update: { rank, percentile, rankedOf } },
+      }))
+    );
+  }
+  return ranked.length;
+};
+
 module.exports = mongoose.model("Result", resultSchema);
\ No newline at end of file
@@ -1,10 +1,21 @@
 const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const PAPER_RELEASE = ["never", "after-expiry", "at"];
+const ADJUSTMENTS = ["", "dropped", "bonus"];
 
 const questionSchema = new mongoose.Schema({
   questionNumber: Number,
   questionText: String,
   options: { A: String, B: String, C: String, D: String },
   correctAnswer: String,
+  explanation: String,
+  topic: String,
+  difficulty: { type: String, enum: ["", "easy", "medium", "hard"], default: "" },
+  marks: Number, // overrides marking.perCorrect for this question
+  penalty: Number, // overrides marking.perWrong for this question
+  // set by a re-grade: dropped questions don't count, bonus questions score for everyone
+  adjustment: { type: String, enum: ADJUSTMENTS, default: "" },
 });
 
 const scheduledExamSchema = new mongoose.Schema(
@@ -15,12 +26,140 @@ const scheduledExamSchema = new mongoose.Schema(
     totalQuestions: { type: Number, default: 0 },
     durationMinutes: { type: Number, required: true },
     questions: [questionSchema],
+    marking: {
+      perCorrect: { type: Number, default: 1 },
+      perWrong: { type: Number, default: 0, min: 0 }, // deducted per wrong answer
+    },
     status: { type: String, enum: ["scheduled", "live", "ended"], default: "scheduled" },
     scheduledAt: { type: Date, required: true },
     expiresAt: { type: Date, required: true },
-    questionsDeleted: { type: Boolean, default: false },
+    questionsDeleted: { type: Boolean, default: false }, // legacy: papers used to be wiped at expiry
+    // submissions up to this long after a student's deadline are accepted but marked late
+    graceSeconds: { type: Number, default: () => Number(process.env.EXAM_GRACE_SECONDS) || 60, min: 0 },
+    batches: [{ type: mongoose.Schema.Types.ObjectId, ref: "Batch" }], // empty = all students
+    // questions are archived after expiry; this decides when students may see the paper and key
+    paperRelease: { type: String, enum: PAPER_RELEASE, default: "after-expiry" },
+    paperReleaseAt: Date, // used when paperRelease is "at"
+    // each student sees their own order, seeded by exam + student so it survives reloads
+    shuffleQuestions: { type: Boolean, default: false },
+    shuffleOptions: { type: Boolean, default: false },
+    cancelledAt: Date,
+    finalisedAt: Date, // open attempts auto-submitted and absentees recorded
   },
   { timestamps: true }
 );
 
-module.exports = mongoose.model("ScheduledExam", scheduledExamSchema);
\ No newline at end of file
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const counted = (questions) => questions.filter((q) => q.adjustment !== "dropped");
+
+// Marks available in the paper
+scheduledExamSchema.methods.maxScore = function () {
+  return round2(counted(this.questions).reduce((sum, q) => sum + (q.marks ?? this.marking.perCorrect), 0));
+};
+
+// Score a set of answers ({ questionId: "A" } or a Map) with the exam's marking scheme
+scheduledExamSchema.methods.grade = function (answers = {}) {
+  const pick = (id) => (answers instanceof Map ? answers.get(id) : answers[id]);
+  let correct = 0, wrong = 0, unanswered = 0, score = 0;
+  const questions = counted(this.questions);
+
+  questions.forEach((q) => {
+    const ans = pick(q._id.toString());
+    if (q.adjustment === "bonus" || (ans && ans === q.correctAnswer)) {
+      correct++;
+      score += q.marks ?? this.marking.perCorrect;
+    } else if (!ans) {
+      unanswered++;
+    } else {
+      wrong++;
+      score -= q.penalty ?? this.marking.perWrong;
+    }
+  });
+
+  return { correct, wrong, unanswered, total: questions.length, score: round2(score), maxScore: this.maxScore() };
+};
+
+const OPTION_KEYS = ["A", "B", "C", "D"];
+const rank = (...parts) => crypto.createHash("sha1").update(parts.join(":")).digest("hex");
+
+// Canonical option keys in the order this student sees them; blank options stay last
+scheduledExamSchema.methods.optionOrder = function (q, studentMobile) {
+  if (!this.shuffleOptions) return OPTION_KEYS;
+  const filled = OPTION_KEYS.filter((k) => q.options?.[k]);
+  const shuffled = [...filled].sort((a, b) =>
+    rank(this._id, studentMobile, q._id, a) < rank(this._id, studentMobile, q._id, b) ? -1 : 1
+  );
+  return [...shuffled, ...OPTION_KEYS.filter((k) => !filled.includes(k))];
+};
+
+// The paper as one student sees it: questions in their order, options relabelled A–D
+scheduledExamSchema.methods.paperFor = function (studentMobile) {
+  const questions = this.shuffleQuestions
+    ? [...this.questions].sort((a, b) => (rank(this._id, studentMobile, a._id) < rank(this._id, studentMobile, b._id) ? -1 : 1))
+    : this.questions;
+
+  return questions.map((q, i) => {
+    const order = this.optionOrder(q, studentMobile);
+    return {
+      _id: q._id,
+      questionNumber: this.shuffleQuestions ? i + 1 : q.questionNumber,
+      questionText: q.questionText,
+      options: Object.fromEntries(OPTION_KEYS.map((k, j) => [k, q.options?.[order[j]]])),
+      marks: q.marks,
+      penalty: q.penalty,
+    };
+  });
+};
+
+// Maps the letters a student picked on their shuffled paper back to canonical keys
+scheduledExamSchema.methods.toCanonicalAnswers = function (answers = {}, studentMobile) {
+  if (!this.shuffleOptions) return answers;
+  const byId = new Map(this.questions.map((q) => [q._id.toString(), q]));
+  const canonical = {};
+  Object.entries(answers).forEach(([id, letter]) => {
+    const q = byId.get(id);
+    const idx = OPTION_KEYS.indexOf(letter);
+    if (!q || idx === -1) return;
+    canonical[id] = this.optionOrder(q, studentMobile)[idx];
+  });
+  return canonical;
+};
+
+// Where the exam is by the clock; the stored status can lag the scheduler by a tick
+scheduledExamSchema.methods.phase = function (now = new Date()) {
+  if (this.status === "ended" || now >= this.expiresAt) return "ended";
+  return now >= this.scheduledAt ? "live" : "scheduled";
+};
+
+scheduledExamSchema.statics.liveFilter = (now = new Date()) => ({
+  status: { $ne: "ended" },
+  scheduledAt: { $lte: now },
+  expiresAt: { $gt: now },
+});
+
+scheduledExamSchema.statics.upcomingFilter = (now = new Date()) => ({
+  status: "scheduled",
+  scheduledAt: { $gt: now },
+});
+
+// Not cancelled and still taking submissions (deadline + grace not yet passed)
+scheduledExamSchema.statics.openFilter = (now = new Date()) => ({
+  cancelledAt: null,
+  $expr: { $gt: [{ $add: ["$expiresAt", { $multiply: [{ $ifNull: ["$graceSeconds", 0] }, 1000] }] }, now] },
+});
+
+// Never while submissions can still come in (deadline + grace)
+scheduledExamSchema.methods.isPaperReleased = function (now = new Date()) {
+  if (this.questionsDeleted || this.paperRelease === "never") return false;
+  const closesAt = this.expiresAt.getTime() + (this.graceSeconds || 0) * 1000;
+  if (now.getTime() < closesAt) return false;
+  if (this.paperRelease === "at") return !!this.paperReleaseAt && now >= this.paperReleaseAt;
+  return true;
+};
+
+const ScheduledExam = mongoose.model("ScheduledExam", scheduledExamSchema);
+ScheduledExam.PAPER_RELEASE = PAPER_RELEASE;
+ScheduledExam.ADJUSTMENTS = ADJUSTMENTS;
+
+module.exports = ScheduledExam;
\ No newline at end of file
@@ -1,11 +1,66 @@
 const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const { normalizeMobile } = require("../utils/studentSheet");
+
+// Admin-created and imported students are approved straight away; self-registered
+// ones wait in the approval queue. Older documents have no status and count as approved.
+const STUDENT_STATUSES = ["approved", "pending", "rejected"];
 
 const studentSchema = new mongoose.Schema({
   name: { type: String, required: true },
   mobile: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
+  password: { type: String, required: true }, // bcrypt hash
   roll: { type: String, default: "" },
   active: { type: Boolean, default: true }, // New field for active/inactive status
+  batches: [{ type: mongoose.Schema.Types.ObjectId, ref: "Batch" }],
+  // contact details the student keeps up to date from their profile
+  email: { type: String, default: "" },
+  alternateMobile: { type: String, default: "" },
+  address: { type: String, default: "" },
+  photoUpdatedAt: Date, // set while a StudentPhoto exists
+  status: { type: String, enum: STUDENT_STATUSES, default: "approved" },
+  reviewedBy: String, // admin username that approved or rejected a registration
+  reviewedAt: Date,
 }, { timestamps: true });
 
-module.exports = mongoose.model("Student", studentSchema);
\ No newline at end of file
+// Never send the password hash back in API responses
+studentSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.password;
+    return ret;
+  },
+});
+
+studentSchema.statics.hashPassword = (password) => bcrypt.hash(password, 10);
+// Initial password for bulk-created accounts; no 0/O or 1/l/I to misread on a printout
+const PASSWORD_CHARS = "abcdefghjkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+studentSchema.statics.generatePassword = (length = 8) =>
+  Array.from({ length }, () => PASSWORD_CHARS[crypto.randomInt(PASSWORD_CHARS.length)]).join("");
+studentSchema.statics.isHashed = (password) => /^\$2[aby]\$\d{2}\$/.test(password || "");
+
+// Finds a student by a mobile typed in any form. New accounts store the bare 10 digits;
+// older ones may hold the number as it was typed, e.g. "+91 98450-12345".
+studentSchema.statics.findByMobile = async function (raw) {
+  const typed = String(raw ?? "").trim();
+  const mobile = normalizeMobile(typed);
+  const exact = await this.findOne({ mobile: { $in: [typed, mobile].filter(Boolean) } });
+  if (exact || !mobile) return exact;
+  const digits = mobile.split("").join("\\D*");
+  return this.findOne({ mobile: new RegExp(`^\\D*(?:91\\D*|0\\D*)?${digits}\\D*$`) });
+};
+
+studentSchema.methods.checkPassword = function (password) {
+  return bcrypt.compare(password, this.password);
+};
+
+studentSchema.methods.isApproved = function () {
+  return !this.status || this.status === "approved";
+};
+
+const Student = mongoose.model("Student", studentSchema);
+Student.STATUSES = STUDENT_STATUSES;
+// Query filter for enrolled students (everyone except unreviewed or declined registrations)
+Student.ENROLLED = { status: { $nin: ["pending", "rejected"] } };
+
+module.exports = Student;
\ No newline at end of file
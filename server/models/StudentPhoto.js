@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+const PHOTO_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+// A student's profile photo, kept out of the Student document so lists stay small
+const studentPhotoSchema = new mongoose.Schema(
+  {
+    studentMobile: { type: String, required: true, unique: true },
+    contentType: { type: String, enum: PHOTO_TYPES, required: true },
+    data: { type: Buffer, required: true },
+  },
+  { timestamps: true }
+);
+
+// Image type from the file's first bytes rather than the browser's claim; null if not one we accept
+studentPhotoSchema.statics.detectType = (buffer) => {
+  if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (buffer.length > 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (buffer.length > 12 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") return "image/webp";
+  return null;
+};
+
+const StudentPhoto = mongoose.model("StudentPhoto", studentPhotoSchema);
+StudentPhoto.TYPES = PHOTO_TYPES;
+StudentPhoto.MAX_BYTES = 1024 * 1024;
+
+module.exports = StudentPhoto;
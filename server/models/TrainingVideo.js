@@ -11,6 +11,7 @@ const trainingVideoSchema = new mongoose.Schema(
       enum: ["Training", "Weekly Test", "Functions", "Others"], 
       default: "Training" 
     },
+    batches: [{ type: mongoose.Schema.Types.ObjectId, ref: "Batch" }], // empty = all students
   },
   { timestamps: true }
 );
@@ -7,6 +7,7 @@ const videoSchema = new mongoose.Schema(
     title: { type: String, required: true, trim: true },
     youtubeUrl: { type: String, required: true, trim: true },
     youtubeId: { type: String, required: true, trim: true },
+    batches: [{ type: mongoose.Schema.Types.ObjectId, ref: "Batch" }], // empty = all students
   },
   { timestamps: true }
 );
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+const VIDEO_KINDS = ["class", "training"];
+
+// A student opening a class or training video; one document per student and video
+const videoViewSchema = new mongoose.Schema(
+  {
+    studentMobile: { type: String, required: true },
+    kind: { type: String, enum: VIDEO_KINDS, required: true },
+    videoId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    title: String,
+    subject: String, // class videos' subject, training videos' category
+    views: { type: Number, default: 0 },
+    firstViewedAt: Date,
+    lastViewedAt: Date,
+  },
+  { timestamps: true }
+);
+
+videoViewSchema.index({ studentMobile: 1, kind: 1, videoId: 1 }, { unique: true });
+
+videoViewSchema.statics.record = function (studentMobile, kind, video, now = new Date()) {
+  return this.findOneAndUpdate(
+    { studentMobile, kind, videoId: video._id },
+    {
+      $inc: { views: 1 },
+      $set: { lastViewedAt: now, title: video.title, subject: video.subject || video.category },
+      $setOnInsert: { firstViewedAt: now },
+    },
+    { upsert: true, new: true }
+  );
+};
+
+const VideoView = mongoose.model("VideoView", videoViewSchema);
+VideoView.KINDS = VIDEO_KINDS;
+
+module.exports = VideoView;
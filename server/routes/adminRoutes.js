@@ -0,0 +1,117 @@
+const express = require("express");
+const router = express.Router();
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const Admin = require("../models/Admin");
+const { adminAuth } = require("../middleware/auth");
+
+// Admin login
+router.post("/login", async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (!username || !password) {
+      return res.status(400).json({ error: "Username and password required" });
+    }
+
+    const admin = await Admin.findOne({ username: String(username).toLowerCase().trim() });
+    if (!admin || !(await bcrypt.compare(password, admin.password))) {
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+    if (!admin.active) {
+      return res.status(403).json({ error: "Admin account is disabled" });
+    }
+
+    admin.lastLoginAt = new Date();
+    await admin.save();
+
+    const token = jwt.sign(
+      { id: admin._id, username: admin.username, name: admin.name, role: admin.role },
+      process.env.JWT_SECRET,
+      { expiresIn: "12h" }
+    );
+    res.json({ success: true, token, name: admin.name, username: admin.username, role: admin.role });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Current admin
+router.get("/me", adminAuth(), async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin.id).select("-password");
+    if (!admin) return res.status(404).json({ error: "Admin not found" });
+    res.json(admin);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==== Admin accounts (super-admin only) ====
+router.get("/", adminAuth("super-admin"), async (req, res) => {
+  try {
+    const admins = await Admin.find().select("-password").sort({ createdAt: -1 });
+    res.json(admins);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post("/", adminAuth("super-admin"), async (req, res) => {
+  try {
+    const { name, username, password, role } = req.body;
+    if (!name || !username || !password) {
+      return res.status(400).json({ error: "Name, username and password required" });
+    }
+    if (role && !Admin.ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${Admin.ROLES.join(", ")}` });
+    }
+    const existing = await Admin.findOne({ username: String(username).toLowerCase().trim() });
+    if (existing) return res.status(400).json({ error: "Username already exists" });
+
+    const hash = await bcrypt.hash(password, 10);
+    const admin = await new Admin({ name, username, password: hash, role }).save();
+    const { password: _, ...data } = admin.toObject();
+    res.json({ success: true, admin: data, message: "Admin created successfully" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.put("/:id", adminAuth("super-admin"), async (req, res) => {
+  try {
+    const { name, role, active, password } = req.body;
+    if (role && !Admin.ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${Admin.ROLES.join(", ")}` });
+    }
+    if (req.params.id === String(req.admin.id) && (active === false || (role && role !== "super-admin"))) {
+      return res.status(400).json({ error: "You cannot demote or disable your own account" });
+    }
+
+    const update = {};
+    if (name) update.name = name;
+    if (role) update.role = role;
+    if (typeof active === "boolean") update.active = active;
+    if (password) update.password = await bcrypt.hash(password, 10);
+
+    const admin = await Admin.findByIdAndUpdate(req.params.id, update, { new: true }).select("-password");
+    if (!admin) return res.status(404).json({ error: "Admin not found" });
+    res.json({ success: true, admin });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete("/:id", adminAuth("super-admin"), async (req, res) => {
+  try {
+    if (req.params.id === String(req.admin.id)) {
+      return res.status(400).json({ error: "You cannot delete your own account" });
+    }
+    const admin = await Admin.findByIdAndDelete(req.params.id);
+    if (!admin) return res.status(404).json({ error: "Admin not found" });
+    res.json({ success: true, message: "Admin deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
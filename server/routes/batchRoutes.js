@@ -0,0 +1,97 @@
+const express = require("express");
+const router = express.Router();
+const Batch = require("../models/Batch");
+const Student = require("../models/Student");
+const ScheduledExam = require("../models/ScheduledExam");
+const Video = require("../models/Video");
+const TrainingVideo = require("../models/TrainingVideo");
+const Notification = require("../models/Notification");
+const { adminAuth } = require("../middleware/auth");
+
+// List batches with student counts (any admin — used for targeting)
+router.get("/", adminAuth(), async (req, res) => {
+  try {
+    const [batches, counts] = await Promise.all([
+      Batch.find().sort({ name: 1 }),
+      Student.aggregate([
+        { $unwind: "$batches" },
+        { $group: { _id: "$batches", count: { $sum: 1 } } },
+      ]),
+    ]);
+    const countMap = Object.fromEntries(counts.map((c) => [String(c._id), c.count]));
+    res.json(batches.map((b) => ({ ...b.toObject(), studentCount: countMap[String(b._id)] || 0 })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create batch
+router.post("/", adminAuth("super-admin"), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    if (!name || !name.trim()) return res.status(400).json({ error: "Batch name required" });
+
+    const existing = await Batch.findOne({ name: name.trim() });
+    if (existing) return res.status(400).json({ error: "Batch already exists" });
+
+    const batch = await new Batch({ name, description }).save();
+    res.json({ success: true, batch, message: "Batch created successfully" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update batch
+router.put("/:id", adminAuth("super-admin"), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const update = {};
+    if (name) update.name = name;
+    if (description !== undefined) update.description = description;
+
+    const batch = await Batch.findByIdAndUpdate(req.params.id, update, { new: true });
+    if (!batch) return res.status(404).json({ error: "Batch not found" });
+    res.json({ success: true, batch });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Content that can be targeted at batches. `live` narrows it to what students can still
+// see; finished exams and expired notifications keep the batch id as history.
+const TARGETED = [
+  { Model: ScheduledExam, label: "exam", live: () => ScheduledExam.openFilter() },
+  { Model: Video, label: "class video" },
+  { Model: TrainingVideo, label: "training video" },
+  { Model: Notification, label: "notification", live: () => ({ endDate: { $gte: new Date() } }) },
+];
+
+// Delete batch and remove it from every student and all live content. Refused while
+// live content targets this batch alone: dropping it would show that to all students.
+router.delete("/:id", adminAuth("super-admin"), async (req, res) => {
+  try {
+    const batch = await Batch.findById(req.params.id);
+    if (!batch) return res.status(404).json({ error: "Batch not found" });
+
+    const only = await Promise.all(
+      TARGETED.map(({ Model, live }) => Model.countDocuments({ batches: [batch._id], ...(live ? live() : {}) }))
+    );
+    const total = only.reduce((a, b) => a + b, 0);
+    if (total) {
+      const list = TARGETED.map(({ label }, i) => only[i] && `${only[i]} ${label}${only[i] > 1 ? "s" : ""}`).filter(Boolean);
+      return res.status(400).json({
+        error: `${list.join(", ")} ${total > 1 ? "are" : "is"} only for this batch. Delete or retarget ${total > 1 ? "them" : "it"} first.`,
+      });
+    }
+
+    await batch.deleteOne();
+    await Promise.all([{ Model: Student }, ...TARGETED].map(({ Model, live }) =>
+      Model.updateMany({ batches: batch._id, ...(live ? live() : {}) }, { $pull: { batches: batch._id } })
+    ));
+    res.json({ success: true, message: "Batch deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
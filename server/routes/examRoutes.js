@@ -2,36 +2,57 @@ const express = require("express");
 const router = express.Router();
 const multer = require("multer");
 const {
-  uploadExam, getDrafts, getDraftById, updateDraft, deleteDraft,
-  scheduleExam, getScheduledExams, cancelExam,
+  previewExam, uploadExam, getDrafts, getDraftById, updateDraft, deleteDraft,
+  scheduleExam, getScheduledExams, getScheduledExamById, updatePaperRelease, cancelExam,
+  regradeExam, getRegradeHistory,
   getLicenseInfo, updateLicense, resetLicenseCount,
-  getActiveExam, getAllResults, getResultsByExam,
+  getActiveExams, getActiveExamPaper, saveExamProgress, getReleasedPaper, getAllResults, getResultsByExam,
+  getMeritList, getItemAnalysis, getAbsentees,
+  exportResults, exportPapers,
 } = require("../controllers/examController");  // ✅ FIXED - lowercase 'examController'
+const { auth, adminAuth, audience } = require("../middleware/auth");
 
 const upload = multer({ storage: multer.memoryStorage() });
+const instructor = adminAuth("instructor");
+const resultsViewer = adminAuth("instructor", "viewer");
 
 // Draft routes
-router.post("/upload-exam", upload.single("examFile"), uploadExam);
-router.get("/drafts", getDrafts);
-router.get("/drafts/:id", getDraftById);
-router.put("/drafts/:id", updateDraft);
-router.delete("/drafts/:id", deleteDraft);
+router.post("/preview-exam", instructor, upload.single("examFile"), previewExam);
+router.post("/upload-exam", instructor, upload.single("examFile"), uploadExam);
+router.get("/drafts", instructor, getDrafts);
+router.get("/drafts/:id", instructor, getDraftById);
+router.put("/drafts/:id", instructor, updateDraft);
+router.delete("/drafts/:id", instructor, deleteDraft);
 
 // Schedule routes
-router.post("/schedule/:draftId", scheduleExam);
-router.get("/scheduled-exams", getScheduledExams);
-router.post("/cancel-exam/:id", cancelExam);
+router.post("/schedule/:draftId", instructor, scheduleExam);
+router.get("/scheduled-exams", instructor, getScheduledExams);
+router.get("/scheduled-exams/:id", instructor, getScheduledExamById);
+router.put("/scheduled-exams/:id/release", instructor, updatePaperRelease);
+router.post("/cancel-exam/:id", instructor, cancelExam);
+router.post("/scheduled-exams/:id/regrade", instructor, regradeExam);
+router.get("/scheduled-exams/:id/regrades", instructor, getRegradeHistory);
 
 // License routes
-router.get("/license", getLicenseInfo);
-router.put("/license", updateLicense);
-router.post("/license/reset-count", resetLicenseCount);
+router.get("/license", instructor, getLicenseInfo);
+router.put("/license", adminAuth("super-admin"), updateLicense);
+router.post("/license/reset-count", adminAuth("super-admin"), resetLicenseCount);
 
-// Active exam (students)
-router.get("/active-exam", getActiveExam);
+// Active exams (students)
+router.get("/active-exams", audience, getActiveExams);
+router.get("/active-exams/:id", auth, audience, getActiveExamPaper);
+router.put("/active-exams/:id/progress", auth, audience, saveExamProgress);
+router.get("/released-paper/:id", auth, audience, getReleasedPaper);
 
 // Results
-router.get("/all-results", getAllResults);
-router.get("/results-by-exam/:examId", getResultsByExam);
+router.get("/all-results", resultsViewer, getAllResults);
+router.get("/results-by-exam/:examId", resultsViewer, getResultsByExam);
+router.get("/merit-list/:examId", resultsViewer, getMeritList);
+router.get("/item-analysis/:examId", resultsViewer, getItemAnalysis);
+router.get("/absentees", resultsViewer, getAbsentees);
+
+// Excel exports
+router.get("/export/results", resultsViewer, exportResults);
+router.get("/export/papers", instructor, exportPapers);
 
 module.exports = router;
\ No newline at end of file
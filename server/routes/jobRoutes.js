@@ -0,0 +1,26 @@
+const express = require("express");
+const router = express.Router();
+const scheduler = require("../jobs/examJobs");
+const { adminAuth } = require("../middleware/auth");
+
+const instructor = adminAuth("instructor");
+
+// Background job status
+router.get("/", instructor, (req, res) => {
+  res.json(scheduler.status());
+});
+
+// Run a job now instead of waiting for its next tick
+router.post("/:name/run", instructor, async (req, res) => {
+  const job = scheduler.status().jobs.find((j) => j.name === req.params.name);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (job.running) return res.status(409).json({ error: "Job is already running" });
+  try {
+    await scheduler.runJob(job.name);
+    res.json(scheduler.status());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
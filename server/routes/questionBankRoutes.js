@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+const multer = require("multer");
+const {
+  listQuestions, getFacets, importQuestions, updateQuestion, deleteQuestion, assembleExam,
+} = require("../controllers/questionBankController");
+const { adminAuth } = require("../middleware/auth");
+
+const upload = multer({ storage: multer.memoryStorage() });
+const instructor = adminAuth("instructor");
+
+router.get("/", instructor, listQuestions);
+router.get("/facets", instructor, getFacets);
+router.post("/import", instructor, upload.single("examFile"), importQuestions);
+router.post("/assemble", instructor, assembleExam);
+router.put("/:id", instructor, updateQuestion);
+router.delete("/:id", instructor, deleteQuestion);
+
+module.exports = router;
@@ -1,85 +1,308 @@
 const express = require("express");
 const router = express.Router();
 const jwt = require("jsonwebtoken");
+const multer = require("multer");
 const Student = require("../models/Student");
+const Batch = require("../models/Batch");
 const Result = require("../models/Result");
 const ScheduledExam = require("../models/ScheduledExam");
+const ExamAttempt = require("../models/ExamAttempt");
+const { recordResult } = require("../utils/examSubmission");
+const { studentPerformance, videoEngagement } = require("../utils/performance");
+const ExamAbsence = require("../models/ExamAbsence");
+const { parseStudentSheet, normalizeMobile } = require("../utils/studentSheet");
+const { rosterWorkbook, sendWorkbook } = require("../utils/workbooks");
 const Notification = require("../models/Notification");
+const OtpCode = require("../models/OtpCode");
+const StudentPhoto = require("../models/StudentPhoto");
+const VideoView = require("../models/VideoView");
+const { sendSms } = require("../utils/sms");
 
-// JWT middleware
-const auth = (req, res, next) => {
-  const token = req.headers.authorization?.split(" ")[1];
-  if (!token) return res.status(401).json({ error: "Access denied" });
-  try {
-    req.student = jwt.verify(token, process.env.JWT_SECRET || "your-secret-key");
-    next();
-  } catch {
-    res.status(401).json({ error: "Invalid token" });
-  }
-};
+const { auth, adminAuth, audience } = require("../middleware/auth");
+
+const superAdmin = adminAuth("super-admin");
+const upload = multer({ storage: multer.memoryStorage() });
+const photoUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: StudentPhoto.MAX_BYTES } }).single("photo");
+
+// photoUpload with its errors (file too large) answered as JSON
+const receivePhoto = (req, res, next) =>
+  photoUpload(req, res, (err) => {
+    if (!err) return next();
+    res.status(400).json({ error: err.code === "LIMIT_FILE_SIZE" ? "Photo must be 1 MB or smaller" : err.message });
+  });
 
 // Queue to prevent duplicate submissions
 const submissionQueue = new Map();
 
-// Register
+// Public self-registration. SELF_REGISTRATION=off closes it; otherwise the account
+// waits, inactive, until an admin approves it from the registration queue.
 router.post("/register", async (req, res) => {
   try {
-    const { name, mobile, password, roll } = req.body;
-    if (!name || !mobile || !password) {
+    if (process.env.SELF_REGISTRATION === "off") {
+      return res.status(403).json({ error: "Registration is closed. Contact the academy to get an account." });
+    }
+    const { name, password, roll } = req.body;
+    if (!name || !req.body.mobile || !password) {
       return res.status(400).json({ error: "Name, mobile and password required" });
     }
-    const existing = await Student.findOne({ mobile });
-    if (existing) return res.status(400).json({ error: "Mobile already registered" });
-    
-    const student = await new Student({ name, mobile, password, roll }).save();
-    res.json({ success: true, message: "Registered", student });
+    const mobile = normalizeMobile(req.body.mobile);
+    if (!mobile) return res.status(400).json({ error: "Enter a valid 10-digit mobile number" });
+    if (password.length < 6) return res.status(400).json({ error: "Password must be at least 6 characters" });
+
+    const existing = await Student.findByMobile(mobile);
+    if (existing) {
+      const error = existing.status === "pending"
+        ? "A registration for this mobile is already waiting for approval"
+        : existing.status === "rejected"
+          ? "A registration for this mobile was declined. Contact the academy."
+          : "Mobile already registered";
+      return res.status(400).json({ error });
+    }
+
+    const hash = await Student.hashPassword(password);
+    await new Student({ name: name.trim(), mobile, password: hash, roll, status: "pending", active: false }).save();
+    res.json({ success: true, message: "Registration received. You can log in once the academy approves it." });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // Create student (admin only)
-router.post("/create", async (req, res) => {
+router.post("/create", superAdmin, async (req, res) => {
   try {
-    const { name, mobile, password, roll } = req.body;
-    if (!name || !mobile || !password) {
+    const { name, password, roll } = req.body;
+    if (!name || !req.body.mobile || !password) {
       return res.status(400).json({ error: "Name, mobile and password required" });
     }
-    const existing = await Student.findOne({ mobile });
+    const mobile = normalizeMobile(req.body.mobile);
+    if (!mobile) return res.status(400).json({ error: "Enter a valid 10-digit mobile number" });
+    const existing = await Student.findByMobile(mobile);
     if (existing) return res.status(400).json({ error: "Mobile already exists" });
     
-    const student = await new Student({ name, mobile, password, roll }).save();
+    const hash = await Student.hashPassword(password);
+    const student = await new Student({ name, mobile, password: hash, roll }).save();
     res.json({ success: true, student, message: "Student created successfully" });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Parses an admission sheet and checks it against the database: mobiles already
+// registered, unknown batch names and missing or short passwords become row errors.
+const checkStudentImport = async (buffer, { generatePasswords }) => {
+  const parsed = parseStudentSheet(buffer);
+  if (parsed.error) return parsed;
+
+  // older records may hold a mobile as typed ("+91 98765 43210"), so those are compared normalised
+  const [existing, batches] = await Promise.all([
+    Student.find({ $or: [{ mobile: { $in: parsed.students.map((s) => s.mobile) } }, { mobile: { $not: /^[6-9]\d{9}$/ } }] }).select("mobile"),
+    Batch.find().select("name"),
+  ]);
+  const registered = new Set(existing.map((s) => normalizeMobile(s.mobile)).filter(Boolean));
+  const batchIds = new Map(batches.map((b) => [b.name.toLowerCase(), b._id]));
+
+  const students = [];
+  parsed.students.forEach((s) => {
+    const unknown = s.batchNames.filter((n) => !batchIds.has(n.toLowerCase()));
+    const reason = registered.has(s.mobile)
+      ? "Mobile already registered"
+      : unknown.length
+        ? `Unknown batch${unknown.length > 1 ? "es" : ""}: ${unknown.join(", ")}`
+        : !s.password && !generatePasswords
+          ? "No password (fill it in or choose to generate passwords)"
+          : s.password && s.password.length < 6
+            ? "Password must be at least 6 characters"
+            : null;
+    if (reason) {
+      Object.assign(parsed.report.find((r) => r.row === s.row), { status: "error", reason });
+      return;
+    }
+    students.push({ ...s, batches: s.batchNames.map((n) => batchIds.get(n.toLowerCase())) });
+  });
+
+  const count = (status) => parsed.report.filter((r) => r.status === status).length;
+  const summary = { rows: parsed.report.length, accepted: count("accepted"), skipped: count("skipped"), errors: count("error") };
+  return { students, report: parsed.report, summary };
+};
+
+// Check an admission sheet without creating anyone (admin only)
+router.post("/import/preview", superAdmin, upload.single("studentFile"), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+    const { report, summary, error } = await checkStudentImport(req.file.buffer, { generatePasswords: String(req.body.generatePasswords) === "true" });
+    if (error) return res.status(400).json({ error });
+    res.json({ summary, report });
+  } catch (err) {
+    res.status(500).json({ error: "Could not read the file: " + err.message });
+  }
+});
+
+// Bulk create students from an admission sheet (admin only). Rows with errors block
+// the import unless skipErrors is set. Generated passwords are returned once, here.
+router.post("/import", superAdmin, upload.single("studentFile"), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+    const generatePasswords = String(req.body.generatePasswords) === "true";
+    const { students, report, summary, error } = await checkStudentImport(req.file.buffer, { generatePasswords });
+    if (error) return res.status(400).json({ error });
+    if (summary.errors > 0 && String(req.body.skipErrors) !== "true")
+      return res.status(400).json({
+        error: `${summary.errors} row${summary.errors > 1 ? "s have" : " has"} errors. Fix them or choose to skip them.`,
+        summary,
+        report,
+      });
+    if (students.length === 0) return res.status(400).json({ error: "No students to import", summary, report });
+
+    const credentials = [];
+    const docs = [];
+    for (const s of students) {
+      const password = s.password || Student.generatePassword();
+      if (!s.password) credentials.push({ name: s.name, mobile: s.mobile, roll: s.roll, password });
+      docs.push({ name: s.name, mobile: s.mobile, roll: s.roll, batches: s.batches, password: await Student.hashPassword(password) });
+    }
+
+    // a mobile registered while the import ran fails on the unique index; keep the rest
+    let failed = [];
+    try {
+      await Student.insertMany(docs, { ordered: false });
+    } catch (err) {
+      if (!err.writeErrors) throw err;
+      failed = err.writeErrors.map((w) => docs[w.index].mobile);
+    }
+    failed.forEach((mobile) => Object.assign(report.find((r) => r.mobile === mobile && r.status === "accepted"), { status: "error", reason: "Mobile already registered" }));
+
+    res.json({
+      success: true,
+      created: docs.length - failed.length,
+      summary: { ...summary, accepted: summary.accepted - failed.length, errors: summary.errors + failed.length },
+      report,
+      credentials: credentials.filter((c) => !failed.includes(c.mobile)),
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Import failed: " + err.message });
+  }
+});
+
+// Why a student may not log in, or null
+const loginRefusal = (student) => {
+  if (student.status === "pending") return "Your registration is waiting for approval by the academy.";
+  if (student.status === "rejected") return "Your registration was declined. Contact the academy.";
+  if (!student.active) return "Account is inactive. Contact administrator.";
+  return null;
+};
+
+const loginResponse = (student) => {
+  const token = jwt.sign(
+    { id: student._id, mobile: student.mobile, name: student.name },
+    process.env.JWT_SECRET,
+    { expiresIn: "24h" }
+  );
+  return { success: true, token, name: student.name, mobile: student.mobile, active: student.active };
+};
+
 // Login
 router.post("/login", async (req, res) => {
   try {
     const { mobile, password } = req.body;
-    const student = await Student.findOne({ mobile, password });
-    if (!student) return res.status(401).json({ error: "Invalid credentials" });
+    if (!mobile || !password) {
+      return res.status(400).json({ error: "Mobile and password required" });
+    }
+    const student = await Student.findByMobile(mobile);
+    if (!student || !(await student.checkPassword(password))) {
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    const refusal = loginRefusal(student);
+    if (refusal) return res.status(403).json({ error: refusal });
 
-    // Check if student is active
-    if (!student.active) {
-      return res.status(403).json({ error: "Account is inactive. Contact administrator." });
+    res.json(loginResponse(student));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==== One-time codes by SMS: login without a password, and password reset ====
+const OTP_MESSAGES = {
+  login: (code, minutes) => `${code} is your GP Soldiers login code. It expires in ${minutes} minutes. Do not share it.`,
+  reset: (code, minutes) => `${code} is your GP Soldiers password reset code. It expires in ${minutes} minutes. Do not share it.`,
+};
+
+// Sends a code. The limits apply before the account lookup, and the reply is the
+// same whether or not the mobile has an account or the SMS went out.
+router.post("/otp/request", async (req, res) => {
+  try {
+    const { purpose } = req.body;
+    if (!OtpCode.PURPOSES.includes(purpose)) return res.status(400).json({ error: "purpose must be login or reset" });
+    const mobile = normalizeMobile(req.body.mobile);
+    if (!mobile) return res.status(400).json({ error: "Enter a valid 10-digit mobile number" });
+
+    const { otp, error, retryAfter } = await OtpCode.throttle(mobile, purpose, req.ip);
+    if (error) return res.status(429).json({ error, retryAfter });
+
+    const student = await Student.findByMobile(mobile);
+    if (student && student.isApproved() && (purpose === "reset" || student.active)) {
+      try {
+        const code = await otp.issueCode();
+        await sendSms(mobile, OTP_MESSAGES[purpose](code, Math.round(OtpCode.LIMITS.ttlSeconds / 60)));
+      } catch (err) {
+        await OtpCode.updateOne({ _id: otp._id }, { $unset: { codeHash: 1 } });
+        console.error("⚠️ OTP SMS failed:", err.message);
+      }
     }
+    res.json({
+      success: true,
+      message: "If this mobile is registered, a code has been sent to it.",
+      expiresInSeconds: OtpCode.LIMITS.ttlSeconds,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const token = jwt.sign(
-      { id: student._id, mobile: student.mobile, name: student.name },
-      process.env.JWT_SECRET || "your-secret-key",
-      { expiresIn: "24h" }
-    );
-    res.json({ success: true, token, name: student.name, mobile: student.mobile, active: student.active });
+// Login with a code instead of the password
+router.post("/otp/login", async (req, res) => {
+  try {
+    const mobile = normalizeMobile(req.body.mobile);
+    if (!mobile || !req.body.code) return res.status(400).json({ error: "Mobile and code required" });
+
+    const { error } = await OtpCode.consume(mobile, "login", req.body.code);
+    if (error) return res.status(401).json({ error });
+
+    const student = await Student.findByMobile(mobile);
+    if (!student) return res.status(401).json({ error: "Invalid credentials" });
+    const refusal = loginRefusal(student);
+    if (refusal) return res.status(403).json({ error: refusal });
+
+    res.json(loginResponse(student));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Set a new password with a reset code
+router.post("/otp/reset-password", async (req, res) => {
+  try {
+    const { code, newPassword } = req.body;
+    const mobile = normalizeMobile(req.body.mobile);
+    if (!mobile || !code || !newPassword) return res.status(400).json({ error: "Mobile, code and new password required" });
+    if (newPassword.length < 6) return res.status(400).json({ error: "Password must be at least 6 characters" });
+
+    const { error } = await OtpCode.consume(mobile, "reset", code);
+    if (error) return res.status(401).json({ error });
+
+    const student = await Student.findByMobile(mobile);
+    if (!student) return res.status(404).json({ error: "Student not found" });
+    student.password = await Student.hashPassword(newPassword);
+    await student.save();
+
+    res.json({ success: true, message: "Password changed. Log in with your new password." });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // Submit exam - with queue for high traffic
-router.post("/submit-exam", auth, async (req, res) => {
+router.post("/submit-exam", auth, audience, async (req, res) => {
   try {
     const { examId, answers } = req.body;
     const key = `${req.student.mobile}-${examId}`;
@@ -97,39 +320,50 @@ router.post("/submit-exam", auth, async (req, res) => {
 
     submissionQueue.set(key, true);
     
-    const exam = await ScheduledExam.findById(examId);
+    // same visibility as the paper itself: the student's batches only
+    const exam = await ScheduledExam.findOne({ _id: examId, ...req.audience });
     if (!exam) {
       submissionQueue.delete(key);
       return res.status(404).json({ error: "Exam not found" });
     }
-    
-    let correct = 0, wrong = 0, unanswered = 0;
-    const total = exam.questions.length;
-    
-    exam.questions.forEach((q) => {
-      const ans = answers[q._id.toString()];
-      if (!ans) unanswered++;
-      else if (ans === q.correctAnswer) correct++;
-      else wrong++;
-    });
-    
-    const result = await new Result({
-      studentMobile: req.student.mobile,
-      studentName: req.student.name,
-      examId,
-      examTitle: exam.title,
-      examSubject: exam.subject,
-      examTestNumber: exam.testNumber,
-      correct,
-      wrong,
-      unanswered,
-      score: correct,
-      total,
-      answers: new Map(Object.entries(answers)),
-    }).save();
-    
+    if (exam.cancelledAt) {
+      submissionQueue.delete(key);
+      return res.status(410).json({ error: "Exam was cancelled" });
+    }
+
+    // Timing is enforced here, not by the browser's timer
+    const now = new Date();
+    if (exam.scheduledAt > now) {
+      submissionQueue.delete(key);
+      return res.status(403).json({ error: "Exam has not started yet" });
+    }
+    const attempt = await ExamAttempt.findOne({ examId, studentMobile: req.student.mobile });
+    const deadline = attempt ? attempt.deadline : exam.expiresAt;
+    const lateByMs = now - deadline;
+    if (lateByMs > exam.graceSeconds * 1000) {
+      // Too late for these answers; fall back to the last autosaved checkpoint
+      const fallback = attempt?.status === "in-progress"
+        ? await recordResult(exam, req.student, Object.fromEntries(attempt.answers || []), { attempt, now, autoSubmitted: true })
+        : null;
+      submissionQueue.delete(key);
+      if (fallback) {
+        return res.json({
+          success: true,
+          resultId: fallback._id,
+          autoSubmitted: true,
+          message: "Submission window had closed, so your last saved answers were submitted",
+        });
+      }
+      return res.status(403).json({ error: "Submission window has closed", late: true, deadline });
+    }
+
+    const result = await recordResult(exam, req.student, answers, { attempt, now });
     submissionQueue.delete(key);
-    
+
+    if (!result) {
+      const saved = await Result.findOne({ studentMobile: req.student.mobile, examId });
+      return res.json({ success: true, resultId: saved?._id, alreadySubmitted: true });
+    }
     res.json({ success: true, resultId: result._id });
   } catch (err) {
     submissionQueue.delete(`${req.student.mobile}-${req.body.examId}`);
@@ -152,7 +386,10 @@ router.get("/submission-status/:examId", auth, async (req, res) => {
           wrong: result.wrong,
           unanswered: result.unanswered,
           total: result.total,
-          score: result.score
+          score: result.score,
+          maxScore: result.maxScore,
+          late: result.late,
+          autoSubmitted: result.autoSubmitted
         }
       });
     } else {
@@ -175,6 +412,78 @@ router.get("/my-results", auth, async (req, res) => {
   }
 });
 
+// Progress dashboard: trend, subject averages, weak topics and streaks
+router.get("/my-performance", auth, async (req, res) => {
+  try {
+    const student = await Student.findOne({ mobile: req.student.mobile }).select("mobile batches");
+    if (!student) return res.status(404).json({ error: "Student not found" });
+    res.json(await studentPerformance(student));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Answer review for one of my results, once the exam has closed and its paper is released
+router.get("/my-results/:id/review", auth, async (req, res) => {
+  try {
+    const result = await Result.findOne({ _id: req.params.id, studentMobile: req.student.mobile });
+    if (!result) return res.status(404).json({ error: "Result not found" });
+
+    const exam = await ScheduledExam.findById(result.examId);
+    if (!exam || exam.questionsDeleted) {
+      return res.status(410).json({ error: "The question paper for this exam is no longer available" });
+    }
+    if (!exam.isPaperReleased()) {
+      const closed = Date.now() >= exam.expiresAt.getTime() + exam.graceSeconds * 1000;
+      return res.status(403).json({
+        error: !closed
+          ? "Answers will be available after the exam closes"
+          : exam.paperRelease === "at" && exam.paperReleaseAt
+            ? `Answers will be available from ${exam.paperReleaseAt.toLocaleString("en-IN")}`
+            : "Answers for this exam have not been released",
+        expiresAt: exam.expiresAt,
+        paperReleaseAt: exam.paperRelease === "at" ? exam.paperReleaseAt : undefined,
+      });
+    }
+
+    const answers = result.answers || new Map();
+    res.json({
+      _id: result._id,
+      examId: exam._id,
+      examTitle: result.examTitle,
+      examSubject: result.examSubject,
+      examTestNumber: result.examTestNumber,
+      correct: result.correct,
+      wrong: result.wrong,
+      unanswered: result.unanswered,
+      score: result.score,
+      maxScore: result.maxScore,
+      total: result.total,
+      marking: exam.marking,
+      questions: exam.questions.map((q) => {
+        const chosen = answers.get(q._id.toString()) || null;
+        return {
+          _id: q._id,
+          questionNumber: q.questionNumber,
+          questionText: q.questionText,
+          options: q.options,
+          correctAnswer: q.correctAnswer,
+          explanation: q.explanation,
+          topic: q.topic,
+          difficulty: q.difficulty,
+          marks: q.marks ?? exam.marking.perCorrect,
+          penalty: q.penalty ?? exam.marking.perWrong,
+          adjustment: q.adjustment,
+          chosen,
+          isCorrect: q.adjustment === "bonus" || chosen === q.correctAnswer,
+        };
+      }),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Get student profile (for student profile page)
 router.get("/profile", auth, async (req, res) => {
   try {
@@ -187,13 +496,117 @@ router.get("/profile", auth, async (req, res) => {
   }
 });
 
-// ADMIN ROUTES (No auth middleware - assuming admin access control elsewhere)
+// Student edits their own details; mobile and name stay with the admin
+const PROFILE_LIMITS = { roll: 20, email: 100, address: 300 };
+
+router.put("/profile", auth, async (req, res) => {
+  try {
+    const update = {};
+    for (const field of ["roll", "email", "alternateMobile", "address"]) {
+      if (req.body[field] === undefined) continue;
+      const value = String(req.body[field] ?? "").trim();
+      if (PROFILE_LIMITS[field] && value.length > PROFILE_LIMITS[field]) {
+        return res.status(400).json({ error: `${field} can be at most ${PROFILE_LIMITS[field]} characters` });
+      }
+      update[field] = value;
+    }
+    if (update.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(update.email)) {
+      return res.status(400).json({ error: "Enter a valid email address" });
+    }
+    if (update.alternateMobile) {
+      update.alternateMobile = normalizeMobile(update.alternateMobile);
+      if (!update.alternateMobile) return res.status(400).json({ error: "Enter a valid 10-digit alternate mobile number" });
+      if (update.alternateMobile === req.student.mobile) return res.status(400).json({ error: "Alternate mobile must differ from your login mobile" });
+    }
+
+    const student = await Student.findOneAndUpdate({ mobile: req.student.mobile }, update, { new: true }).select("-password");
+    if (!student) return res.status(404).json({ error: "Student not found" });
+    res.json({ success: true, student, message: "Profile updated" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.put("/change-password", auth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: "Current and new password required" });
+    }
+    if (newPassword.length < 6) return res.status(400).json({ error: "Password must be at least 6 characters" });
+
+    const student = await Student.findOne({ mobile: req.student.mobile });
+    if (!student) return res.status(404).json({ error: "Student not found" });
+    if (!(await student.checkPassword(currentPassword))) {
+      return res.status(400).json({ error: "Current password is incorrect" });
+    }
+    if (currentPassword === newPassword) return res.status(400).json({ error: "New password must be different" });
+
+    student.password = await Student.hashPassword(newPassword);
+    await student.save();
+    res.json({ success: true, message: "Password changed successfully" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Profile photo: JPEG, PNG or WebP up to 1 MB, sent as multipart field "photo"
+router.put("/profile/photo", auth, receivePhoto, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "No photo uploaded" });
+    const contentType = StudentPhoto.detectType(req.file.buffer);
+    if (!contentType) return res.status(400).json({ error: "Photo must be a JPEG, PNG or WebP image" });
+
+    await StudentPhoto.findOneAndUpdate(
+      { studentMobile: req.student.mobile },
+      { contentType, data: req.file.buffer },
+      { upsert: true }
+    );
+    const student = await Student.findOneAndUpdate(
+      { mobile: req.student.mobile },
+      { photoUpdatedAt: new Date() },
+      { new: true }
+    ).select("-password");
+    res.json({ success: true, student, message: "Photo updated" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get("/profile/photo", auth, async (req, res) => {
+  try {
+    const photo = await StudentPhoto.findOne({ studentMobile: req.student.mobile });
+    if (!photo) return res.status(404).json({ error: "No photo" });
+    res.setHeader("Content-Type", photo.contentType);
+    res.setHeader("Cache-Control", "private, no-cache");
+    res.send(photo.data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete("/profile/photo", auth, async (req, res) => {
+  try {
+    await StudentPhoto.deleteOne({ studentMobile: req.student.mobile });
+    const student = await Student.findOneAndUpdate(
+      { mobile: req.student.mobile },
+      { $unset: { photoUpdatedAt: 1 } },
+      { new: true }
+    ).select("-password");
+    res.json({ success: true, student, message: "Photo removed" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ADMIN ROUTES (super-admin only)
 
 // Get all students
-router.get("/all", async (req, res) => {
+router.get("/all", superAdmin, async (req, res) => {
   try {
-    const students = await Student.find()
+    const students = await Student.find(Student.ENROLLED)
       .select("-password")
+      .populate("batches", "name")
       .sort({ createdAt: -1 });
     res.json(students);
   } catch (err) {
@@ -201,8 +614,46 @@ router.get("/all", async (req, res) => {
   }
 });
 
+// Student roster as an Excel workbook; ?batch=<id> or ?batch=none narrows it
+router.get("/export", superAdmin, async (req, res) => {
+  try {
+    const { batch } = req.query;
+    const filter = !batch || batch === "all" ? { ...Student.ENROLLED } : batch === "none" ? { ...Student.ENROLLED, batches: { $size: 0 } } : { ...Student.ENROLLED, batches: batch };
+    const [students, counts, batchDoc] = await Promise.all([
+      Student.find(filter).select("-password").populate("batches", "name").sort({ name: 1 }),
+      Result.aggregate([{ $group: { _id: "$studentMobile", tests: { $sum: 1 } } }]),
+      batch && batch !== "all" && batch !== "none" ? Batch.findById(batch).select("name") : null,
+    ]);
+    const title = batchDoc ? `Student roster • ${batchDoc.name}` : batch === "none" ? "Student roster • no batch" : "Student roster";
+    const wb = rosterWorkbook(students, new Map(counts.map((c) => [c._id, c.tests])), title);
+    sendWorkbook(res, wb, `students-${batchDoc?.name || batch || "all"}-${new Date().toISOString().slice(0, 10)}`);
+  } catch (err) {
+    res.status(500).json({ error: "Export failed: " + err.message });
+  }
+});
+
+// One student's full history for the admin detail page and report card
+router.get("/report/:mobile", superAdmin, async (req, res) => {
+  try {
+    const student = await Student.findByMobile(req.params.mobile);
+    if (!student) return res.status(404).json({ error: "Student not found" });
+    await student.populate("batches", "name");
+
+    const who = { mobile: student.mobile, batches: student.batches.map((b) => b._id) };
+    const [performance, videos, results, absences] = await Promise.all([
+      studentPerformance(who),
+      videoEngagement(who),
+      Result.find({ studentMobile: student.mobile }).select("-answers").sort({ submittedAt: -1 }),
+      ExamAbsence.find({ studentMobile: student.mobile }).sort({ createdAt: -1 }),
+    ]);
+    res.json({ student, performance, videos, results, absences, generatedAt: new Date() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Update student password (admin only)
-router.put("/update-password/:mobile", async (req, res) => {
+router.put("/update-password/:mobile", superAdmin, async (req, res) => {
   try {
     const { mobile } = req.params;
     const { newPassword } = req.body;
@@ -213,7 +664,7 @@ router.put("/update-password/:mobile", async (req, res) => {
 
     const student = await Student.findOneAndUpdate(
       { mobile },
-      { password: newPassword },
+      { password: await Student.hashPassword(newPassword) },
       { new: true }
     );
 
@@ -228,7 +679,7 @@ router.put("/update-password/:mobile", async (req, res) => {
 });
 
 // Toggle student active status (admin only)
-router.put("/toggle-active/:mobile", async (req, res) => {
+router.put("/toggle-active/:mobile", superAdmin, async (req, res) => {
   try {
     const { mobile } = req.params;
 
@@ -237,6 +688,10 @@ router.put("/toggle-active/:mobile", async (req, res) => {
       return res.status(404).json({ error: "Student not found" });
     }
 
+    if (!student.isApproved()) {
+      return res.status(400).json({ error: "Approve or reject the registration instead" });
+    }
+
     student.active = !student.active;
     await student.save();
 
@@ -250,13 +705,86 @@ router.put("/toggle-active/:mobile", async (req, res) => {
   }
 });
 
-// Delete student (admin only)
-router.delete("/delete/:mobile", async (req, res) => {
+// Assign student to batches (admin only)
+router.put("/batches/:mobile", superAdmin, async (req, res) => {
   try {
     const { mobile } = req.params;
+    const { batches } = req.body;
+    if (!Array.isArray(batches)) {
+      return res.status(400).json({ error: "batches must be an array of batch ids" });
+    }
+
+    const student = await Student.findOneAndUpdate(
+      { mobile },
+      { batches },
+      { new: true }
+    ).populate("batches", "name");
+
+    if (!student) {
+      return res.status(404).json({ error: "Student not found" });
+    }
+
+    res.json({ success: true, message: "Batches updated successfully", batches: student.batches });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ==== Self-registration queue (admin) ====
+// ?status=pending (default) or rejected
+router.get("/registrations", superAdmin, async (req, res) => {
+  try {
+    const status = req.query.status === "rejected" ? "rejected" : "pending";
+    const students = await Student.find({ status })
+      .select("-password")
+      .sort({ createdAt: status === "pending" ? 1 : -1 });
+    res.json(students);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Approve a registration, optionally placing the student in batches
+router.post("/registrations/:mobile/approve", superAdmin, async (req, res) => {
+  try {
+    const { batches = [] } = req.body;
+    if (!Array.isArray(batches)) {
+      return res.status(400).json({ error: "batches must be an array of batch ids" });
+    }
+    const student = await Student.findOneAndUpdate(
+      { mobile: req.params.mobile, status: { $in: ["pending", "rejected"] } },
+      { status: "approved", active: true, batches, reviewedBy: req.admin.username, reviewedAt: new Date() },
+      { new: true }
+    ).select("-password").populate("batches", "name");
+    if (!student) return res.status(404).json({ error: "No registration waiting for this mobile" });
 
-    // Also delete all results for this student
-    await Result.deleteMany({ studentMobile: mobile });
+    res.json({ success: true, student, message: `${student.name} approved` });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Decline a registration. The record stays so the same mobile can't simply re-register;
+// deleting it frees the number.
+router.post("/registrations/:mobile/reject", superAdmin, async (req, res) => {
+  try {
+    const student = await Student.findOneAndUpdate(
+      { mobile: req.params.mobile, status: "pending" },
+      { status: "rejected", active: false, reviewedBy: req.admin.username, reviewedAt: new Date() },
+      { new: true }
+    ).select("-password");
+    if (!student) return res.status(404).json({ error: "No registration waiting for this mobile" });
+
+    res.json({ success: true, student, message: `Registration from ${student.name} declined` });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete student (admin only)
+router.delete("/delete/:mobile", superAdmin, async (req, res) => {
+  try {
+    const { mobile } = req.params;
 
     const student = await Student.findOneAndDelete({ mobile });
 
@@ -264,6 +792,21 @@ router.delete("/delete/:mobile", async (req, res) => {
       return res.status(404).json({ error: "Student not found" });
     }
 
+    // Also delete everything kept per student, so a new account on the same
+    // mobile starts clean (no leftover exam attempts blocking live exams)
+    const own = { studentMobile: mobile };
+    await Promise.all([
+      Result.deleteMany(own),
+      ExamAttempt.deleteMany(own),
+      ExamAbsence.deleteMany(own),
+      VideoView.deleteMany(own),
+      StudentPhoto.deleteOne(own),
+      OtpCode.deleteMany({ mobile: { $in: [mobile, normalizeMobile(mobile)].filter(Boolean) } }),
+      // a personal notice left with no recipients would go to everyone
+      Notification.deleteMany({ students: [mobile] })
+        .then(() => Notification.updateMany({ students: mobile }, { $pull: { students: mobile } })),
+    ]);
+
     res.json({
       success: true,
       message: "Student and all associated results deleted successfully"
@@ -274,9 +817,9 @@ router.delete("/delete/:mobile", async (req, res) => {
 });
 
 // ==== Notifications (admin create + list; student active fetch) ====
-router.post("/notifications", async (req, res) => {
+router.post("/notifications", superAdmin, async (req, res) => {
   try {
-    const { message, startDate, endDate } = req.body;
+    const { message, startDate, endDate, batches = [] } = req.body;
     if (!message || !startDate || !endDate) {
       return res.status(400).json({ error: "message, startDate and endDate are required" });
     }
@@ -298,33 +841,36 @@ router.post("/notifications", async (req, res) => {
       return res.status(400).json({ error: "Notification period cannot exceed 90 days" });
     }
 
-    const newNotification = await new Notification({ message, startDate: start, endDate: end }).save();
+    const newNotification = await new Notification({ message, startDate: start, endDate: end, batches }).save();
     res.json({ success: true, notification: newNotification });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-router.get("/notifications/all", async (req, res) => {
+router.get("/notifications/all", superAdmin, async (req, res) => {
   try {
-    const notifications = await Notification.find().sort({ createdAt: -1 });
+    const notifications = await Notification.find().populate("batches", "name").sort({ createdAt: -1 });
     res.json(notifications);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-router.get("/notifications/active", async (req, res) => {
+router.get("/notifications/active", audience, async (req, res) => {
   try {
     const now = new Date();
-    const active = await Notification.find({ startDate: { $lte: now }, endDate: { $gte: now } }).sort({ startDate: 1 });
+    // personal notices only reach the students they name
+    const recipients = { $or: [{ students: { $exists: false } }, { students: { $size: 0 } }] };
+    if (req.student) recipients.$or.push({ students: req.student.mobile });
+    const active = await Notification.find({ startDate: { $lte: now }, endDate: { $gte: now }, $and: [req.audience, recipients] }).sort({ startDate: 1 });
     res.json(active);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-router.delete("/notifications/:id", async (req, res) => {
+router.delete("/notifications/:id", superAdmin, async (req, res) => {
   try {
     const { id } = req.params;
     const notification = await Notification.findByIdAndDelete(id);
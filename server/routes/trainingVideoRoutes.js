@@ -4,10 +4,13 @@ const {
   addTrainingVideo,
   getAllTrainingVideos,
   deleteTrainingVideo,
+  recordTrainingView,
 } = require("../controllers/trainingVideoController");
+const { auth, adminAuth, audience } = require("../middleware/auth");
 
-router.post("/", addTrainingVideo);
-router.get("/", getAllTrainingVideos);
-router.delete("/:id", deleteTrainingVideo);
+router.post("/", adminAuth("instructor"), addTrainingVideo);
+router.get("/", audience, getAllTrainingVideos);
+router.post("/:id/view", auth, audience, recordTrainingView);
+router.delete("/:id", adminAuth("instructor"), deleteTrainingVideo);
 
 module.exports = router;
\ No newline at end of file
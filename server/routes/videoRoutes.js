@@ -5,11 +5,14 @@ const {
   getAllVideos,
   getVideosBySubject,
   deleteVideo,
+  recordView,
 } = require("../controllers/videoController");
+const { auth, adminAuth, audience } = require("../middleware/auth");
 
-router.post("/", addVideo);
-router.get("/", getAllVideos);
-router.get("/subject/:subject", getVideosBySubject);
-router.delete("/:id", deleteVideo);
+router.post("/", adminAuth("instructor"), addVideo);
+router.get("/", audience, getAllVideos);
+router.get("/subject/:subject", audience, getVideosBySubject);
+router.post("/:id/view", auth, audience, recordView);
+router.delete("/:id", adminAuth("instructor"), deleteVideo);
 
 module.exports = router;
@@ -0,0 +1,35 @@
+// Create (or reset) an admin account from the command line.
+// Usage: node scripts/createAdmin.js <username> <password> [role] [name]
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+require("dotenv").config();
+
+const Admin = require("../models/Admin");
+
+const [username, password, role = "super-admin", name = "Administrator"] = process.argv.slice(2);
+
+const run = async () => {
+  if (!username || !password) {
+    console.error("Usage: node scripts/createAdmin.js <username> <password> [role] [name]");
+    process.exit(1);
+  }
+  if (!Admin.ROLES.includes(role)) {
+    console.error(`Role must be one of: ${Admin.ROLES.join(", ")}`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  const hash = await bcrypt.hash(password, 10);
+  const admin = await Admin.findOneAndUpdate(
+    { username: username.toLowerCase().trim() },
+    { name, password: hash, role, active: true },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  console.log(`✅ Admin "${admin.username}" saved with role ${admin.role}`);
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error("❌ Failed to create admin:", err);
+  process.exit(1);
+});
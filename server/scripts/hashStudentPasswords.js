@@ -0,0 +1,28 @@
+// One-time migration: hash any plaintext student passwords in place.
+// Safe to re-run — records that already hold a bcrypt hash are skipped.
+// Usage: node scripts/hashStudentPasswords.js
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const Student = require("../models/Student");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const students = await Student.find().select("mobile password");
+  let migrated = 0;
+  for (const student of students) {
+    if (Student.isHashed(student.password)) continue;
+    const hash = await Student.hashPassword(student.password);
+    await Student.updateOne({ _id: student._id }, { password: hash });
+    migrated++;
+  }
+
+  console.log(`✅ Hashed ${migrated} of ${students.length} student passwords`);
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error("❌ Migration failed:", err);
+  process.exit(1);
+});
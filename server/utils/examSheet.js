@@ -0,0 +1,82 @@
+const XLSX = require("xlsx");
+
+// Question paper sheets, first sheet only:
+// Q.No | Question | A | B | C | D | Answer | Explanation* | Topic* | Difficulty*  (* optional)
+
+// "E", "Easy", "medium " → "easy" / "medium"; "" when blank, null when unknown
+const DIFFICULTIES = { e: "easy", easy: "easy", m: "medium", medium: "medium", h: "hard", hard: "hard" };
+const parseDifficulty = (raw) => {
+  const key = String(raw || "").trim().toLowerCase();
+  if (!key) return "";
+  return DIFFICULTIES[key] || null;
+};
+
+const ANSWER_HEADERS = ["ANSWER", "ANS", "A / B / C / D", "A/B/C/D", "ANSWER\n(A/B/C/D)"];
+// whole-cell matches only, so real questions that mention these words are kept
+const TEMPLATE_QTEXT = ["type question here", "question", "questions", "q.no", "kannada", "english", "maths", "gk"];
+const OPTION_KEYS = ["A", "B", "C", "D"];
+
+// Reads the first sheet into questions plus a row-by-row report:
+// { row, questionNumber, status: "accepted" | "skipped" | "error", reason, questionText }
+const parseExamSheet = (buffer) => {
+  const workbook = XLSX.read(buffer, { type: "buffer" });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, defval: "" }) : [];
+
+  const questions = [];
+  const report = [];
+  const seenNumbers = new Map();
+
+  rows.forEach((row, i) => {
+    const cell = (c) => String(row[c] ?? "").trim();
+    if (row.every((c) => String(c).trim() === "")) return;
+
+    const entry = { row: i + 1, questionText: cell(1).slice(0, 80) };
+    const skip = (reason) => report.push({ ...entry, status: "skipped", reason });
+    const fail = (reason) => report.push({ ...entry, status: "error", reason });
+
+    const qText = cell(1);
+    const qNoNum = Number(cell(0));
+    const answer = cell(6).toUpperCase();
+
+    if (!cell(0) || isNaN(qNoNum)) return skip(qText ? "Header or note row (no question number)" : "No question number");
+    entry.questionNumber = qNoNum;
+    if (!qText) return skip("No question text");
+    if (TEMPLATE_QTEXT.includes(qText.toLowerCase()) || qText.toLowerCase().startsWith("type question here"))
+      return skip("Template placeholder row");
+    if (ANSWER_HEADERS.includes(answer)) return skip("Template placeholder row");
+
+    if (seenNumbers.has(qNoNum))
+      return fail(`Duplicate question number ${qNoNum} (first used on row ${seenNumbers.get(qNoNum)})`);
+    seenNumbers.set(qNoNum, i + 1);
+
+    if (!OPTION_KEYS.includes(answer)) return fail(`Answer must be A/B/C/D. Got: "${cell(6)}"`);
+
+    const options = { A: cell(2), B: cell(3), C: cell(4), D: cell(5) };
+    const empty = OPTION_KEYS.filter((k) => !options[k]);
+    if (empty.length) return fail(`Empty option${empty.length > 1 ? "s" : ""} ${empty.join(", ")}`);
+
+    const difficulty = parseDifficulty(row[9]);
+    if (difficulty === null) return fail(`Difficulty must be Easy/Medium/Hard. Got: "${cell(9)}"`);
+
+    questions.push({
+      questionNumber: qNoNum,
+      questionText: qText,
+      options,
+      correctAnswer: answer,
+      explanation: cell(7),
+      topic: cell(8),
+      difficulty,
+    });
+    report.push({ ...entry, status: "accepted" });
+  });
+
+  const count = (status) => report.filter((r) => r.status === status).length;
+  return {
+    questions,
+    report,
+    summary: { rows: report.length, accepted: count("accepted"), skipped: count("skipped"), errors: count("error") },
+  };
+};
+
+module.exports = { parseExamSheet, parseDifficulty };
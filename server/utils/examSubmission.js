@@ -0,0 +1,157 @@
+const Result = require("../models/Result");
+const ScheduledExam = require("../models/ScheduledExam");
+const ExamAttempt = require("../models/ExamAttempt");
+const ExamAbsence = require("../models/ExamAbsence");
+const Student = require("../models/Student");
+
+// Exams that closed longer ago than this are left alone, so history from
+// before automatic finalising isn't filled with absentees
+const FINALISE_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Grades answers (as lettered on the student's paper) and stores the result.
+// The attempt is claimed first so a manual submit and an automatic one can't
+// both record a result; returns null if someone else got there first.
+const recordResult = async (exam, student, answers = {}, { attempt, now = new Date(), autoSubmitted = false } = {}) => {
+  if (attempt) {
+    const claimed = await ExamAttempt.findOneAndUpdate(
+      { _id: attempt._id, status: "in-progress" },
+      { status: "submitted", submittedAt: now }
+    );
+    if (!claimed) return null;
+  }
+
+  const deadline = attempt ? attempt.deadline : exam.expiresAt;
+  const lateByMs = autoSubmitted ? 0 : now - deadline;
+  // stored and graded against the canonical paper, whatever order the student saw
+  const canonical = exam.toCanonicalAnswers(answers, student.mobile);
+  const { correct, wrong, unanswered, total, score, maxScore } = exam.grade(canonical);
+
+  try {
+    return await new Result({
+      studentMobile: student.mobile,
+      studentName: student.name,
+      examId: exam._id,
+      examTitle: exam.title,
+      examSubject: exam.subject,
+      examTestNumber: exam.testNumber,
+      correct,
+      wrong,
+      unanswered,
+      score,
+      maxScore,
+      total,
+      answers: new Map(Object.entries(canonical)),
+      startedAt: attempt?.startedAt,
+      deadline,
+      late: lateByMs > 0,
+      lateBySeconds: lateByMs > 0 ? Math.ceil(lateByMs / 1000) : 0,
+      autoSubmitted,
+      submittedAt: now,
+    }).save();
+  } catch (err) {
+    if (attempt) await ExamAttempt.updateOne({ _id: attempt._id }, { status: "in-progress", $unset: { submittedAt: 1 } });
+    throw err;
+  }
+};
+
+// Grades an attempt that was never submitted from its last autosave
+const finaliseAttempt = async (exam, attempt, now) => {
+  // a result saved before attempts were tracked as submitted
+  if (await Result.exists({ examId: exam._id, studentMobile: attempt.studentMobile })) {
+    await ExamAttempt.updateOne({ _id: attempt._id }, { status: "submitted" });
+    return null;
+  }
+  const student = { mobile: attempt.studentMobile, name: attempt.studentName };
+  const answers = Object.fromEntries(attempt.answers || []);
+  return recordResult(exam, student, answers, { attempt, now, autoSubmitted: true });
+};
+
+// Submits the last autosaved answers for attempts whose deadline and grace
+// period have passed without the student pressing submit. Cancelled exams get no results.
+const finaliseOverdueAttempts = async (now = new Date()) => {
+  const overdue = await ExamAttempt.find({ status: "in-progress", deadline: { $lt: now } });
+  if (overdue.length === 0) return 0;
+
+  const exams = await ScheduledExam.find({
+    _id: { $in: [...new Set(overdue.map((a) => a.examId.toString()))] },
+    cancelledAt: null,
+  });
+  const examsById = new Map(exams.map((e) => [e._id.toString(), e]));
+
+  let finalised = 0;
+  for (const attempt of overdue) {
+    const exam = examsById.get(attempt.examId.toString());
+    if (!exam || now - attempt.deadline <= exam.graceSeconds * 1000) continue;
+    if (await finaliseAttempt(exam, attempt, now)) finalised++;
+  }
+  return finalised;
+};
+
+// Closes out exams whose window and grace period have passed: every attempt still
+// open is graded from its autosave, and students the exam was open to who never
+// started it are recorded as absent. Each exam is finalised once; onFinalised
+// runs afterwards for follow-up work such as announcing results.
+const finaliseExpiredExams = async (now = new Date(), { onFinalised } = {}) => {
+  const exams = await ScheduledExam.find({
+    finalisedAt: null,
+    cancelledAt: null,
+    expiresAt: { $lt: now, $gt: new Date(now.getTime() - FINALISE_LOOKBACK_MS) },
+  });
+
+  const summary = { exams: 0, autoSubmitted: 0, absent: 0 };
+  for (const exam of exams) {
+    if (now.getTime() <= exam.expiresAt.getTime() + exam.graceSeconds * 1000) continue;
+
+    const open = await ExamAttempt.find({ examId: exam._id, status: "in-progress" });
+    for (const attempt of open) {
+      if (await finaliseAttempt(exam, attempt, now)) summary.autoSubmitted++;
+    }
+
+    const [attempted, submitted] = await Promise.all([
+      ExamAttempt.distinct("studentMobile", { examId: exam._id }),
+      Result.distinct("studentMobile", { examId: exam._id }),
+    ]);
+    const seen = new Set([...attempted, ...submitted]);
+    const eligible = await Student.find({
+      active: true,
+      ...(exam.batches?.length && { batches: { $in: exam.batches } }),
+      $or: [{ createdAt: { $lte: exam.expiresAt } }, { createdAt: { $exists: false } }],
+    }).select("name mobile");
+
+    const absent = eligible.filter((s) => !seen.has(s.mobile));
+    if (absent.length) {
+      const res = await ExamAbsence.bulkWrite(
+        absent.map((s) => ({
+          updateOne: {
+            filter: { examId: exam._id, studentMobile: s.mobile },
+            update: {
+              $setOnInsert: {
+                studentName: s.name,
+                examTitle: exam.title,
+                examSubject: exam.subject,
+                examTestNumber: exam.testNumber,
+              },
+            },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+      summary.absent += res.upsertedCount;
+    }
+
+    await ScheduledExam.updateOne({ _id: exam._id }, { finalisedAt: now });
+    summary.exams++;
+
+    if (onFinalised) {
+      try {
+        await onFinalised(exam);
+      } catch (err) {
+        console.error(`⚠️ Post-exam task failed for ${exam._id}:`, err.message);
+      }
+    }
+  }
+  return summary;
+};
+
+module.exports = { recordResult, finaliseOverdueAttempts, finaliseExpiredExams };
@@ -0,0 +1,79 @@
+const Result = require("../models/Result");
+
+const OPTION_KEYS = ["A", "B", "C", "D"];
+const GROUP_SHARE = 0.27; // classic upper / lower 27% groups
+const MIN_FOR_DISCRIMINATION = 10; // too few students and the index is noise
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const pct = (part, whole) => (whole ? round2((part / whole) * 100) : 0);
+
+// Per-question statistics for one exam from its results:
+// correct %, how often each option was picked, the discrimination index
+// (top 27% correct rate minus bottom 27%) and flags worth a second look.
+const analyseExam = (exam, results) => {
+  const ranked = Result.rankList(results).map((r) => r.result);
+  const n = ranked.length;
+  const groupSize = Math.max(1, Math.round(n * GROUP_SHARE));
+  const top = ranked.slice(0, groupSize);
+  const bottom = ranked.slice(-groupSize);
+  const pick = (r, id) => r.answers?.get?.(id) ?? r.answers?.[id] ?? null;
+  const correctIn = (group, q) => group.filter((r) => pick(r, q._id.toString()) === q.correctAnswer).length;
+
+  const questions = exam.questions.map((q) => {
+    const id = q._id.toString();
+    const counts = { A: 0, B: 0, C: 0, D: 0, blank: 0 };
+    ranked.forEach((r) => {
+      const ans = pick(r, id);
+      counts[OPTION_KEYS.includes(ans) ? ans : "blank"]++;
+    });
+
+    const correct = counts[q.correctAnswer] || 0;
+    const discrimination = n >= MIN_FOR_DISCRIMINATION
+      ? round2((correctIn(top, q) - correctIn(bottom, q)) / groupSize)
+      : null;
+
+    // the distractor strong students prefer over the key is the classic mis-key signal
+    const distractors = OPTION_KEYS.filter((k) => k !== q.correctAnswer && q.options?.[k]);
+    const favourite = distractors.sort((a, b) => counts[b] - counts[a])[0];
+    const topPicks = (k) => top.filter((r) => pick(r, id) === k).length;
+
+    const flags = [];
+    if (favourite && counts[favourite] > correct && topPicks(favourite) > topPicks(q.correctAnswer))
+      flags.push({ type: "check-key", message: `Top students chose ${favourite} more than the key ${q.correctAnswer}` });
+    if (discrimination !== null && discrimination < 0)
+      flags.push({ type: "negative", message: "Weaker students answered this better than stronger ones" });
+    else if (discrimination !== null && discrimination < 0.2)
+      flags.push({ type: "low-discrimination", message: "Does not separate strong and weak students" });
+    if (n > 0 && pct(correct, n) < 20) flags.push({ type: "too-hard", message: "Fewer than 20% answered correctly" });
+    if (n > 0 && pct(correct, n) > 95) flags.push({ type: "too-easy", message: "More than 95% answered correctly" });
+
+    return {
+      _id: q._id,
+      questionNumber: q.questionNumber,
+      questionText: q.questionText,
+      options: q.options,
+      correctAnswer: q.correctAnswer,
+      topic: q.topic,
+      difficulty: q.difficulty,
+      answered: n - counts.blank,
+      correct,
+      correctPct: pct(correct, n),
+      distribution: Object.fromEntries(Object.entries(counts).map(([k, c]) => [k, { count: c, pct: pct(c, n) }])),
+      discrimination,
+      flags,
+    };
+  });
+
+  return {
+    examId: exam._id,
+    title: exam.title,
+    subject: exam.subject,
+    testNumber: exam.testNumber,
+    participants: n,
+    groupSize,
+    flagged: questions.filter((q) => q.flags.length).length,
+    questions,
+  };
+};
+
+module.exports = { analyseExam };
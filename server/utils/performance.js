@@ -0,0 +1,194 @@
+const Result = require("../models/Result");
+const ScheduledExam = require("../models/ScheduledExam");
+const ExamAbsence = require("../models/ExamAbsence");
+const Student = require("../models/Student");
+const Batch = require("../models/Batch");
+const Video = require("../models/Video");
+const TrainingVideo = require("../models/TrainingVideo");
+const VideoView = require("../models/VideoView");
+
+const WEAK_ACCURACY = 60; // topics answered correctly less often than this (%) are weak
+const MIN_TOPIC_QUESTIONS = 3; // fewer questions than this say little about a topic
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const average = (xs) => (xs.length ? round1(xs.reduce((a, b) => a + b, 0) / xs.length) : null);
+
+// Share of the paper scored, in %; marks when the exam had a marking scheme, otherwise correct answers
+const percentOf = (r) => {
+  if (r.maxScore) return round1((Math.max(0, r.score ?? 0) / r.maxScore) * 100);
+  return r.total ? round1(((r.correct || 0) / r.total) * 100) : 0;
+};
+
+// Same calculation inside an aggregation, for batch averages
+const percentExpr = {
+  $cond: [
+    { $gt: ["$maxScore", 0] },
+    { $multiply: [{ $divide: [{ $max: ["$score", 0] }, "$maxScore"] }, 100] },
+    { $cond: [{ $gt: ["$total", 0] }, { $multiply: [{ $divide: ["$correct", "$total"] }, 100] }, 0] },
+  ],
+};
+
+// Average % per exam among students sharing a batch with this student
+// (everyone who took it when the student has no batch)
+const batchAverages = async (student, examIds) => {
+  const match = { examId: { $in: examIds } };
+  if (student.batches?.length) {
+    match.studentMobile = { $in: await Student.distinct("mobile", { batches: { $in: student.batches } }) };
+  }
+  const rows = await Result.aggregate([
+    { $match: match },
+    { $group: { _id: "$examId", avg: { $avg: percentExpr }, takers: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((r) => [r._id.toString(), { avg: round1(r.avg), takers: r.takers }]));
+};
+
+// Topic accuracy from answered papers; only exams whose key has been released,
+// so nothing here hints at answers students can't see yet
+const topicStats = (results, examsById, now) => {
+  const topics = new Map();
+  results.forEach((r) => {
+    const exam = examsById.get(r.examId.toString());
+    if (!exam || !exam.isPaperReleased(now)) return;
+    const answers = r.answers || new Map();
+    exam.questions.forEach((q) => {
+      if (!q.topic || q.adjustment === "dropped") return;
+      const t = topics.get(q.topic) || { topic: q.topic, questions: 0, correct: 0, wrong: 0, skipped: 0 };
+      const ans = answers.get(q._id.toString());
+      t.questions++;
+      if (q.adjustment === "bonus" || (ans && ans === q.correctAnswer)) t.correct++;
+      else if (!ans) t.skipped++;
+      else t.wrong++;
+      topics.set(q.topic, t);
+    });
+  });
+  return [...topics.values()]
+    .map((t) => ({ ...t, accuracy: round1((t.correct / t.questions) * 100) }))
+    .sort((a, b) => a.accuracy - b.accuracy || b.questions - a.questions);
+};
+
+// Runs of exams taken in a row (an absence breaks the run) and of recent
+// exams finished above the batch average
+const streaks = (trend, absences) => {
+  const timeline = [
+    ...trend.map((t) => ({ at: t.scheduledAt, taken: true })),
+    ...absences.map((a) => ({ at: a.scheduledAt, taken: false })),
+  ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  let run = 0;
+  let longest = 0;
+  timeline.forEach((e) => {
+    run = e.taken ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  });
+  let aboveAverage = 0;
+  for (let i = trend.length - 1; i >= 0 && trend[i].batchAverage !== null && trend[i].percent >= trend[i].batchAverage; i--) aboveAverage++;
+
+  return { attendance: run, longestAttendance: longest, aboveAverage, missed: absences.length };
+};
+
+// Everything the progress dashboard shows for one student: score trend against the
+// batch, per-subject averages, weakest topics and streaks
+const studentPerformance = async (student, now = new Date()) => {
+  const [results, absenceDocs] = await Promise.all([
+    Result.find({ studentMobile: student.mobile }).sort({ submittedAt: 1 }),
+    ExamAbsence.find({ studentMobile: student.mobile }).select("examId examTitle examSubject examTestNumber createdAt"),
+  ]);
+
+  const examIds = [...new Set([...results, ...absenceDocs].map((r) => r.examId.toString()))];
+  const [exams, batchAvg] = await Promise.all([
+    ScheduledExam.find({ _id: { $in: examIds } }).select(
+      "scheduledAt expiresAt graceSeconds paperRelease paperReleaseAt questionsDeleted questions._id questions.topic questions.correctAnswer questions.adjustment"
+    ),
+    batchAverages(student, results.map((r) => r.examId)),
+  ]);
+  const examsById = new Map(exams.map((e) => [e._id.toString(), e]));
+
+  const trend = results
+    .map((r) => {
+      const id = r.examId.toString();
+      return {
+        resultId: r._id,
+        examId: r.examId,
+        title: r.examTitle,
+        subject: r.examSubject || "Other",
+        testNumber: r.examTestNumber,
+        scheduledAt: examsById.get(id)?.scheduledAt || r.submittedAt,
+        submittedAt: r.submittedAt,
+        percent: percentOf(r),
+        score: r.maxScore ? r.score : r.correct,
+        maxScore: r.maxScore || r.total,
+        rank: r.rank,
+        rankedOf: r.rankedOf,
+        batchAverage: batchAvg.get(id)?.avg ?? null,
+        batchTakers: batchAvg.get(id)?.takers ?? 0,
+      };
+    })
+    .sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+
+  const bySubject = new Map();
+  trend.forEach((t) => bySubject.set(t.subject, [...(bySubject.get(t.subject) || []), t]));
+  const subjects = [...bySubject.entries()]
+    .map(([subject, list]) => {
+      const half = Math.floor(list.length / 2);
+      return {
+        subject,
+        exams: list.length,
+        average: average(list.map((t) => t.percent)),
+        best: Math.max(...list.map((t) => t.percent)),
+        batchAverage: average(list.filter((t) => t.batchAverage !== null).map((t) => t.batchAverage)),
+        // recent half against earlier half; needs at least two exams
+        change: half ? round1(average(list.slice(-half).map((t) => t.percent)) - average(list.slice(0, half).map((t) => t.percent))) : null,
+      };
+    })
+    .sort((a, b) => b.exams - a.exams);
+
+  const topics = topicStats(results, examsById, now);
+  const absences = absenceDocs.map((a) => ({
+    examTitle: a.examTitle,
+    examSubject: a.examSubject,
+    examTestNumber: a.examTestNumber,
+    scheduledAt: examsById.get(a.examId.toString())?.scheduledAt || a.createdAt,
+  }));
+
+  return {
+    summary: {
+      exams: trend.length,
+      average: average(trend.map((t) => t.percent)),
+      best: trend.length ? Math.max(...trend.map((t) => t.percent)) : null,
+      latest: trend.length ? trend[trend.length - 1].percent : null,
+      batchAverage: average(trend.filter((t) => t.batchAverage !== null).map((t) => t.batchAverage)),
+    },
+    trend,
+    subjects,
+    topics,
+    weakTopics: topics.filter((t) => t.questions >= MIN_TOPIC_QUESTIONS && t.accuracy < WEAK_ACCURACY).slice(0, 5),
+    streaks: streaks(trend, absences),
+  };
+};
+
+// Class and training videos the student has opened, out of those available to their batches
+const videoEngagement = async (student) => {
+  const available = Batch.audienceFilter(student.batches || []);
+  const [classVideos, trainingVideos, views] = await Promise.all([
+    Video.countDocuments(available),
+    TrainingVideo.countDocuments(available),
+    VideoView.find({ studentMobile: student.mobile }).sort({ lastViewedAt: -1 }),
+  ]);
+  const ofKind = (kind) => views.filter((v) => v.kind === kind);
+
+  return {
+    class: { available: classVideos, watched: ofKind("class").length },
+    training: { available: trainingVideos, watched: ofKind("training").length },
+    totalViews: views.reduce((sum, v) => sum + v.views, 0),
+    lastViewedAt: views[0]?.lastViewedAt || null,
+    recent: views.slice(0, 10).map((v) => ({
+      kind: v.kind,
+      title: v.title,
+      subject: v.subject,
+      views: v.views,
+      lastViewedAt: v.lastViewedAt,
+    })),
+  };
+};
+
+module.exports = { studentPerformance, videoEngagement, percentOf };
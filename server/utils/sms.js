@@ -0,0 +1,35 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Outgoing SMS. A provider is { send: async (mobile, text) => void } and is chosen
+// with SMS_PROVIDER (default "console"). A real gateway plugs in with
+// registerProvider("gateway-name", { send }) before the server starts.
+const providers = new Map();
+
+const registerProvider = (name, provider) => {
+  if (typeof provider?.send !== "function") throw new Error(`SMS provider ${name} needs a send(mobile, text) function`);
+  providers.set(name, provider);
+};
+
+// Development stand-ins: print the message, or append it to a file
+registerProvider("console", {
+  send: async (mobile, text) => console.log(`📱 SMS to ${mobile}: ${text}`),
+});
+
+registerProvider("file", {
+  send: async (mobile, text) => {
+    const file = process.env.SMS_FILE_PATH || path.join(os.tmpdir(), "sms-outbox.log");
+    await fs.promises.appendFile(file, `${new Date().toISOString()}\t${mobile}\t${text}\n`);
+  },
+});
+
+const providerName = () => process.env.SMS_PROVIDER || "console";
+
+const sendSms = async (mobile, text) => {
+  const provider = providers.get(providerName());
+  if (!provider) throw new Error(`Unknown SMS provider: ${providerName()}`);
+  await provider.send(mobile, text);
+};
+
+module.exports = { registerProvider, sendSms };
@@ -0,0 +1,85 @@
+const XLSX = require("xlsx");
+
+// Student admission sheets (.xlsx, .xls or .csv), first sheet only. Columns are
+// found by their header, in any order:
+// Name | Mobile | Roll* | Password* | Batch*  (* optional; several batches separated by , or ;)
+
+const HEADERS = {
+  name: ["name", "student name", "full name"],
+  mobile: ["mobile", "mobile no", "mobile number", "phone", "phone number"],
+  roll: ["roll", "roll no", "roll number"],
+  password: ["password"],
+  batch: ["batch", "batches"],
+};
+
+const headerKey = (cell) => {
+  const text = String(cell ?? "").trim().toLowerCase().replace(/[.:]/g, "");
+  return Object.keys(HEADERS).find((key) => HEADERS[key].includes(text));
+};
+
+// "+91 98450-12345", "098450 12345", 9845012345 → "9845012345"; null if not an Indian mobile number
+const normalizeMobile = (raw) => {
+  let digits = String(raw ?? "").replace(/\D/g, "");
+  if (digits.length === 12 && digits.startsWith("91")) digits = digits.slice(2);
+  if (digits.length === 11 && digits.startsWith("0")) digits = digits.slice(1);
+  return /^[6-9]\d{9}$/.test(digits) ? digits : null;
+};
+
+// Reads the sheet into students plus a row-by-row report:
+// { row, name, mobile, status: "accepted" | "skipped" | "error", reason }
+const parseStudentSheet = (buffer) => {
+  const workbook = XLSX.read(buffer, { type: "buffer" });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, defval: "" }) : [];
+
+  const headerIndex = rows.findIndex((row) => row.some((c) => headerKey(c) === "mobile"));
+  const columns = {};
+  if (headerIndex >= 0) rows[headerIndex].forEach((c, i) => {
+    const key = headerKey(c);
+    if (key && columns[key] === undefined) columns[key] = i;
+  });
+  if (headerIndex < 0 || columns.name === undefined) {
+    return { students: [], report: [], summary: { rows: 0, accepted: 0, skipped: 0, errors: 0 }, error: "No header row with Name and Mobile columns found" };
+  }
+
+  const students = [];
+  const report = [];
+  const seenMobiles = new Map();
+
+  rows.slice(headerIndex + 1).forEach((row, i) => {
+    const cell = (key) => (columns[key] === undefined ? "" : String(row[columns[key]] ?? "").trim());
+    if (row.every((c) => String(c).trim() === "")) return;
+
+    const entry = { row: headerIndex + i + 2, name: cell("name"), mobile: cell("mobile") };
+    const skip = (reason) => report.push({ ...entry, status: "skipped", reason });
+    const fail = (reason) => report.push({ ...entry, status: "error", reason });
+
+    if (!entry.name && !entry.mobile) return skip("No name or mobile");
+    if (!entry.name) return fail("Name is missing");
+    const mobile = normalizeMobile(entry.mobile);
+    if (!mobile) return fail(`Not a valid 10-digit mobile number: "${entry.mobile}"`);
+    entry.mobile = mobile;
+
+    if (seenMobiles.has(mobile)) return fail(`Mobile repeated in the file (first on row ${seenMobiles.get(mobile)})`);
+    seenMobiles.set(mobile, entry.row);
+
+    students.push({
+      row: entry.row,
+      name: entry.name,
+      mobile,
+      roll: cell("roll"),
+      password: cell("password"),
+      batchNames: cell("batch").split(/[,;]/).map((b) => b.trim()).filter(Boolean),
+    });
+    report.push({ ...entry, status: "accepted" });
+  });
+
+  const count = (status) => report.filter((r) => r.status === status).length;
+  return {
+    students,
+    report,
+    summary: { rows: report.length, accepted: count("accepted"), skipped: count("skipped"), errors: count("error") },
+  };
+};
+
+module.exports = { parseStudentSheet, normalizeMobile };
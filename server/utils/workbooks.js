@@ -0,0 +1,168 @@
+const XLSX = require("xlsx");
+
+// Builders for the .xlsx exports. Every sheet has a title line, a header row with
+// an autofilter, sized columns, and real dates / percentages Excel can sort on.
+
+const DATE_FORMAT = "dd-mmm-yyyy hh:mm";
+const PERCENT_FORMAT = "0.0%";
+const OPTION_KEYS = ["A", "B", "C", "D"];
+
+// Sheet names: at most 31 characters, none of []:*?/\ and unique within the workbook
+const sheetName = (name, used) => {
+  const base = String(name || "Sheet").replace(/[[\]:*?/\\]/g, " ").replace(/\s+/g, " ").trim().slice(0, 31) || "Sheet";
+  let candidate = base;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${base.slice(0, 31 - String(n).length - 3)} (${n})`;
+  used.add(candidate.toLowerCase());
+  return candidate;
+};
+
+// title: first line; columns: [{ header, width, format? }]; rows: arrays of values
+const buildSheet = (title, columns, rows, extraTop = []) => {
+  const top = [[title], ...extraTop];
+  const aoa = [...top, columns.map((c) => c.header), ...rows];
+  const ws = XLSX.utils.aoa_to_sheet(aoa, { cellDates: true });
+  const headerRow = top.length;
+
+  ws["!cols"] = columns.map((c) => ({ wch: c.width || 12 }));
+  ws["!autofilter"] = { ref: XLSX.utils.encode_range({ s: { r: headerRow, c: 0 }, e: { r: headerRow + rows.length, c: columns.length - 1 } }) };
+  columns.forEach((c, col) => {
+    if (!c.format) return;
+    for (let r = headerRow + 1; r <= headerRow + rows.length; r++) {
+      const cell = ws[XLSX.utils.encode_cell({ r, c: col })];
+      if (cell && (cell.t === "n" || cell.t === "d")) {
+        cell.z = c.format;
+        delete cell.w; // formatted by Excel from z
+      }
+    }
+  });
+  return ws;
+};
+
+const toBuffer = (wb) => XLSX.write(wb, { type: "buffer", bookType: "xlsx", cellDates: true });
+
+const fileSafe = (s) => String(s).replace(/[^\w-]+/g, "_");
+
+// Sends a workbook as a download
+const sendWorkbook = (res, wb, filename) => {
+  res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  res.setHeader("Content-Disposition", `attachment; filename="${fileSafe(filename)}.xlsx"`);
+  res.send(toBuffer(wb));
+};
+
+// ─── ROSTER ────────────────────────────────────
+// students with batches populated; testsTaken: Map mobile → count
+const rosterWorkbook = (students, testsTaken = new Map(), title = "Student roster") => {
+  const wb = XLSX.utils.book_new();
+  const columns = [
+    { header: "Name", width: 26 },
+    { header: "Mobile", width: 14 },
+    { header: "Roll", width: 10 },
+    { header: "Batches", width: 30 },
+    { header: "Status", width: 10 },
+    { header: "Registered", width: 18, format: DATE_FORMAT },
+    { header: "Tests Taken", width: 12 },
+  ];
+  const rows = students.map((s) => [
+    s.name,
+    s.mobile,
+    s.roll || "",
+    (s.batches || []).map((b) => b.name).filter(Boolean).join(", "),
+    s.active ? "Active" : "Inactive",
+    s.createdAt || "",
+    testsTaken.get(s.mobile) || 0,
+  ]);
+  XLSX.utils.book_append_sheet(wb, buildSheet(`${title} • ${students.length} students`, columns, rows), "Students");
+  return wb;
+};
+
+// ─── RESULTS ───────────────────────────────────
+const percentOf = (r) => (r.maxScore ? Math.max(0, r.score ?? 0) / r.maxScore : r.total ? (r.correct || 0) / r.total : 0);
+
+// One sheet per exam: merit order with each student's answer to every question,
+// the key in the row above, and absentees at the bottom.
+// sections: [{ exam (may be null once deleted), info: { title, subject, testNumber }, ranked: Result.rankList(...), absences }]
+const resultsWorkbook = (sections) => {
+  const wb = XLSX.utils.book_new();
+  const used = new Set();
+
+  sections.forEach(({ exam, info, ranked, absences = [] }) => {
+    const questions = exam && !exam.questionsDeleted ? exam.questions : [];
+    const columns = [
+      { header: "Rank", width: 6 },
+      { header: "Student Name", width: 24 },
+      { header: "Mobile", width: 13 },
+      { header: "Score", width: 8 },
+      { header: "Max", width: 6 },
+      { header: "%", width: 8, format: PERCENT_FORMAT },
+      { header: "Correct", width: 8 },
+      { header: "Wrong", width: 7 },
+      { header: "Skipped", width: 8 },
+      { header: "Submitted", width: 18, format: DATE_FORMAT },
+      { header: "Timing", width: 14 },
+      ...questions.map((q) => ({ header: `Q${q.questionNumber}`, width: 5 })),
+    ];
+    const fixed = columns.length - questions.length;
+    const keyRow = questions.length
+      ? [[...Array(fixed - 1).fill(""), "Key", ...questions.map((q) => (q.adjustment ? `${q.correctAnswer} (${q.adjustment})` : q.correctAnswer))]]
+      : [];
+
+    const rows = ranked.map(({ result: r, rank }) => {
+      const answers = r.answers || new Map();
+      return [
+        rank,
+        r.studentName,
+        r.studentMobile,
+        r.maxScore ? r.score : r.correct,
+        r.maxScore || r.total,
+        percentOf(r),
+        r.correct,
+        r.wrong,
+        r.unanswered,
+        r.submittedAt || "",
+        r.autoSubmitted ? "Auto-submitted" : r.late ? `Late (${r.lateBySeconds}s)` : "On time",
+        ...questions.map((q) => answers.get(q._id.toString()) || ""),
+      ];
+    });
+    absences.forEach((a) => rows.push(["", a.studentName, a.studentMobile, "", "", "", "", "", "", "", "Absent"]));
+
+    const title = `${info.title} • ${info.subject} • Test #${info.testNumber} • ${ranked.length} result${ranked.length === 1 ? "" : "s"}${absences.length ? `, ${absences.length} absent` : ""}`;
+    const ws = buildSheet(title, columns, rows, keyRow);
+    XLSX.utils.book_append_sheet(wb, ws, sheetName(`${info.testNumber} ${info.title}`, used));
+  });
+  return wb;
+};
+
+// ─── PAPERS ────────────────────────────────────
+// One sheet per exam in the same column layout the exam upload reads, so an
+// exported paper can be edited and uploaded again
+const papersWorkbook = (exams) => {
+  const wb = XLSX.utils.book_new();
+  const used = new Set();
+  const columns = [
+    { header: "Q.No", width: 6 },
+    { header: "Question", width: 60 },
+    ...OPTION_KEYS.map((k) => ({ header: k, width: 22 })),
+    { header: "Answer", width: 8 },
+    { header: "Explanation", width: 40 },
+    { header: "Topic", width: 18 },
+    { header: "Difficulty", width: 10 },
+  ];
+
+  exams.forEach((exam) => {
+    const rows = exam.questions.map((q) => [
+      q.questionNumber,
+      q.questionText,
+      ...OPTION_KEYS.map((k) => q.options?.[k] || ""),
+      q.correctAnswer,
+      q.explanation || "",
+      q.topic || "",
+      q.difficulty || "",
+    ]);
+    const adjusted = exam.questions.filter((q) => q.adjustment).map((q) => `Q${q.questionNumber} ${q.adjustment}`);
+    const title = `${exam.title} • ${exam.subject} • Test #${exam.testNumber} • ${exam.questions.length} questions${adjusted.length ? ` • ${adjusted.join(", ")}` : ""}`;
+    XLSX.utils.book_append_sheet(wb, buildSheet(title, columns, rows), sheetName(`${exam.testNumber} ${exam.title}`, used));
+  });
+  return wb;
+};
+
+module.exports = { rosterWorkbook, resultsWorkbook, papersWorkbook, sendWorkbook };